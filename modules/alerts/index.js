@@ -16,15 +16,98 @@
 // Alert Queue Manager
 // ============================================================================
 
+/**
+ * Priority queue of alerts split into concurrency lanes. Each lane shows up
+ * to maxConcurrent alerts at once and waits `gap` ms after an alert finishes
+ * before starting the next, so e.g. follows can stack in a corner lane while
+ * donations take the main lane.
+ */
 class AlertQueue {
   constructor(logger, storage) {
     this.logger = logger;
     this.storage = storage;
     this.queue = [];
-    this.processing = false;
-    this.maxConcurrent = 1;
-    this.minDelay = 500;
+    this.lanes = new Map();
     this.paused = false;
+    this.stopped = false;
+    this.processor = null;
+    this.maxAttempts = 3;
+    this.retryDelay = 2000;
+    this.wakeTimer = null;
+    this.displaying = new Map();
+    // Numbers display attempts, so callbacks from an earlier attempt of a
+    // retried alert cannot end the current one
+    this.displayCount = 0;
+    // Allowance for exit animations before the timer fallback ends an alert
+    this.completionGrace = 500;
+
+    this.configureLane({ id: 'main', name: 'Main', maxConcurrent: 1, gap: 500, layer: 100 });
+  }
+
+  configureLane(config) {
+    // Updated in place: running alerts hold a reference to their lane
+    let lane = this.lanes.get(config.id);
+    if (!lane) {
+      lane = { id: config.id, active: 0, slots: [], readyAt: 0 };
+      this.lanes.set(config.id, lane);
+    }
+
+    lane.name = config.name || config.id;
+    lane.maxConcurrent = Math.max(1, Number(config.maxConcurrent) || 1);
+    lane.gap = Math.max(0, Number(config.gap) || 0);
+    lane.layer = Number(config.layer) || 100;
+  }
+
+  // Unknown lanes (e.g. removed from settings) fall back to the main lane
+  getLane(laneId) {
+    return this.lanes.get(laneId) || this.lanes.get('main');
+  }
+
+  /**
+   * Queue items are plain data so they can be persisted; the processor
+   * displays an item and throws if it fails
+   */
+  setProcessor(processor) {
+    this.processor = processor;
+  }
+
+  /**
+   * Reload persisted items after a restart. Items left in 'processing' were
+   * interrupted mid-display and are queued again.
+   * @param {string[]} keys - storage keys listed at startup
+   */
+  async initialize(keys) {
+    const queueKeys = keys.filter(k => k.startsWith('queue:'));
+    let recovered = 0;
+
+    for (const key of queueKeys) {
+      const data = await this.storage.get(key);
+      if (!data) continue;
+
+      try {
+        const item = JSON.parse(data);
+        if (item.status === 'processing') {
+          item.status = 'pending';
+          item.recovered = true;
+          recovered++;
+          await this.storage.set(key, JSON.stringify(item));
+        }
+        this.queue.push(item);
+      } catch (error) {
+        this.logger.error('Failed to parse queued alert', { key, error: error.message });
+      }
+    }
+
+    this.sortQueue();
+
+    this.logger.info('Alert queue initialized', {
+      restored: this.queue.length,
+      recovered
+    });
+  }
+
+  sortQueue() {
+    this.queue.sort((a, b) => a.priority - b.priority || new Date(a.createdAt) - new Date(b.createdAt));
   }
 
   async add(alert) {
@@ -34,11 +117,12 @@ class AlertQueue {
       ...alert,
       priority: alert.priority || 5,
       status: 'pending',
+      attempts: 0,
       createdAt: new Date().toISOString()
     };
 
     this.queue.push(queueItem);
-    this.queue.sort((a, b) => a.priority - b.priority);
+    this.sortQueue();
 
     this.logger.info('Alert added to queue', {
       alertId,
@@ -50,70 +134,241 @@ class AlertQueue {
     // Store in database
     await this.storage.set(`queue:${alertId}`, JSON.stringify(queueItem));
 
-    // Start processing if not already
-    if (!this.processing && !this.paused) {
+    this.processQueue();
+
+    return alertId;
+  }
+
+  /**
+   * Start every queued alert whose lane has a free slot and whose gap and
+   * retry backoff have elapsed, in priority order. Alerts run concurrently;
+   * each one calls back in here when it finishes.
+   */
+  processQueue() {
+    if (this.paused || this.stopped || !this.processor) {
+      return;
+    }
+
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+
+    const now = Date.now();
+    let wakeAt = Infinity;
+
+    for (let i = 0; i < this.queue.length;) {
+      const alert = this.queue[i];
+      const lane = this.getLane(alert.lane);
+
+      if (alert.nextAttemptAt && alert.nextAttemptAt > now) {
+        wakeAt = Math.min(wakeAt, alert.nextAttemptAt);
+        i++;
+      } else if (lane.active >= lane.maxConcurrent) {
+        i++;
+      } else if (lane.readyAt > now) {
+        wakeAt = Math.min(wakeAt, lane.readyAt);
+        i++;
+      } else {
+        this.queue.splice(i, 1);
+        this.run(alert, lane);
+      }
+    }
+
+    if (wakeAt !== Infinity) {
+      this.wakeTimer = setTimeout(() => {
+        this.wakeTimer = null;
+        this.processQueue();
+      }, Math.max(0, wakeAt - now));
+    }
+  }
+
+  async run(alert, lane) {
+    // Claim a slot synchronously so processQueue sees it immediately
+    lane.active++;
+    let slot = lane.slots.indexOf(false);
+    if (slot === -1) slot = lane.slots.length;
+    lane.slots[slot] = true;
+
+    try {
+      alert.status = 'processing';
+      alert.attempts = (alert.attempts || 0) + 1;
+      alert.slot = slot;
+      await this.storage.set(`queue:${alert.id}`, JSON.stringify(alert));
+
+      this.logger.info('Processing alert', {
+        alertId: alert.id,
+        type: alert.type,
+        lane: lane.id,
+        slot,
+        attempt: alert.attempts
+      });
+
+      await this.processor(alert, lane);
+
+      alert.status = 'completed';
+      alert.processedAt = new Date().toISOString();
+
+      // History entries are written by the processor
+      await this.storage.delete(`queue:${alert.id}`);
+    } catch (error) {
+      await this.handleFailure(alert, error);
+    } finally {
+      lane.active--;
+      lane.slots[slot] = false;
+      lane.readyAt = Date.now() + lane.gap;
       this.processQueue();
     }
+  }
 
-    return alertId;
+  /**
+   * Track an alert from the moment it is shown until the overlay reports
+   * completion, it is skipped, or the timer fallback fires after its duration
+   * @returns {Object} { token, done }: the token identifies this display
+   *   attempt for completeDisplay(); done resolves to 'finished', 'skipped',
+   *   'failed' or 'stopped'
+   */
+  trackDisplay(alert, lane, duration) {
+    const previous = this.displaying.get(alert.id);
+    if (previous) {
+      this.completeDisplay(alert.id, 'failed', previous.token);
+    }
+
+    const token = `${alert.id}:${++this.displayCount}`;
+    const done = new Promise(resolve => {
+      this.displaying.set(alert.id, {
+        alert,
+        lane,
+        duration,
+        token,
+        shownAt: new Date().toISOString(),
+        timer: setTimeout(() => this.completeDisplay(alert.id, 'finished', token), duration + this.completionGrace),
+        resolve
+      });
+    });
+    return { token, done };
+  }
+
+  /**
+   * @param {string} [token] - only complete this display attempt; without
+   *   one, whichever attempt is on screen (skip, shutdown)
+   */
+  completeDisplay(alertId, status = 'finished', token = null) {
+    const entry = this.displaying.get(alertId);
+    if (!entry || (token && entry.token !== token)) {
+      return false;
+    }
+
+    clearTimeout(entry.timer);
+    this.displaying.delete(alertId);
+    entry.resolve(status);
+    return true;
+  }
+
+  /**
+   * Skip a displaying alert, by default the one shown most recently
+   * @returns {string|null} ID of the skipped alert
+   */
+  skip(alertId) {
+    const id = alertId || Array.from(this.displaying.keys()).pop();
+    if (!id || !this.completeDisplay(id, 'skipped')) {
+      return null;
+    }
+
+    this.logger.info('Alert skipped', { alertId: id });
+    return id;
+  }
+
+  getCurrent() {
+    return Array.from(this.displaying.values()).map(entry => ({
+      id: entry.alert.id,
+      type: entry.alert.type,
+      lane: entry.lane.id,
+      shownAt: entry.shownAt,
+      duration: entry.duration
+    }));
   }
 
-  async processQueue() {
-    if (this.processing || this.paused || this.queue.length === 0) {
+  /**
+   * Retry with exponential backoff, then move to the dead-letter list
+   */
+  async handleFailure(alert, error) {
+    // Interrupted by shutdown: leave the stored 'processing' item to be
+    // recovered on the next start instead of spending an attempt
+    if (this.stopped) {
       return;
     }
 
-    this.processing = true;
+    alert.error = error.message;
 
-    while (this.queue.length > 0 && !this.paused) {
-      const alert = this.queue.shift();
-      
-      try {
-        alert.status = 'processing';
-        await this.storage.set(`queue:${alert.id}`, JSON.stringify(alert));
+    if (alert.attempts >= this.maxAttempts) {
+      alert.status = 'dead';
+      alert.failedAt = new Date().toISOString();
+      delete alert.nextAttemptAt;
 
-        this.logger.info('Processing alert', {
-          alertId: alert.id,
-          type: alert.type
-        });
+      await this.storage.set(`deadletter:${alert.id}`, JSON.stringify(alert));
+      await this.storage.delete(`queue:${alert.id}`);
 
-        // Alert will be displayed by the caller
-        if (alert.onProcess) {
-          await alert.onProcess(alert);
-        }
+      this.logger.error('Alert moved to dead-letter list', {
+        alertId: alert.id,
+        attempts: alert.attempts,
+        error: error.message
+      });
+      return;
+    }
 
-        alert.status = 'completed';
-        alert.processedAt = new Date().toISOString();
-        
-        // Move to history
-        await this.storage.set(`history:${alert.id}`, JSON.stringify(alert));
-        await this.storage.delete(`queue:${alert.id}`);
+    alert.status = 'retrying';
+    alert.nextAttemptAt = Date.now() + this.retryDelay * Math.pow(2, alert.attempts - 1);
+    this.queue.push(alert);
+    this.sortQueue();
+    await this.storage.set(`queue:${alert.id}`, JSON.stringify(alert));
 
-        // Delay before next alert
-        if (this.queue.length > 0) {
-          await new Promise(resolve => setTimeout(resolve, this.minDelay));
-        }
+    this.logger.warn('Failed to process alert, will retry', {
+      alertId: alert.id,
+      attempt: alert.attempts,
+      retryAt: new Date(alert.nextAttemptAt).toISOString(),
+      error: error.message
+    });
+  }
 
-      } catch (error) {
-        this.logger.error('Failed to process alert', {
-          alertId: alert.id,
-          error: error.message
-        });
-        
-        alert.status = 'failed';
-        alert.error = error.message;
-        await this.storage.set(`queue:${alert.id}`, JSON.stringify(alert));
+  /**
+   * Apply settings: maxConcurrent and minDelay configure the main lane,
+   * `lanes` defines any additional lanes
+   */
+  configure(options = {}) {
+    const main = this.lanes.get('main');
+    this.configureLane({
+      ...main,
+      maxConcurrent: options.maxConcurrent !== undefined ? options.maxConcurrent : main.maxConcurrent,
+      gap: options.minDelay !== undefined ? options.minDelay : main.gap
+    });
+
+    if (Array.isArray(options.lanes)) {
+      for (const laneId of Array.from(this.lanes.keys())) {
+        if (laneId !== 'main' && !options.lanes.some(lane => lane.id === laneId)) {
+          this.lanes.delete(laneId);
+        }
       }
+      options.lanes
+        .filter(lane => lane && lane.id && lane.id !== 'main')
+        .forEach((lane, index) => this.configureLane({ layer: 110 + index * 10, ...lane }));
     }
 
-    this.processing = false;
+    if (options.maxRetries !== undefined) {
+      this.maxAttempts = Math.max(0, Number(options.maxRetries) || 0) + 1;
+    }
   }
 
-  clear() {
-    const count = this.queue.length;
+  async clear() {
+    const removed = this.queue;
     this.queue = [];
-    this.logger.info('Queue cleared', { alertsRemoved: count });
-    return count;
+
+    for (const item of removed) {
+      await this.storage.delete(`queue:${item.id}`);
+    }
+
+    this.logger.info('Queue cleared', { alertsRemoved: removed.length });
+    return removed.length;
   }
 
   pause() {
@@ -129,122 +384,1068 @@ class AlertQueue {
     }
   }
 
+  /**
+   * Stop processing without discarding persisted items, so they resume
+   * after the next initialize()
+   */
+  stop() {
+    this.stopped = true;
+    if (this.wakeTimer) {
+      clearTimeout(this.wakeTimer);
+      this.wakeTimer = null;
+    }
+    for (const alertId of Array.from(this.displaying.keys())) {
+      this.completeDisplay(alertId, 'stopped');
+    }
+  }
+
+  async getDeadLetters() {
+    const keys = await this.storage.keys();
+    const deadKeys = keys.filter(k => k.startsWith('deadletter:'));
+
+    const items = [];
+    for (const key of deadKeys) {
+      const data = await this.storage.get(key);
+      if (data) {
+        try {
+          items.push(JSON.parse(data));
+        } catch (error) {
+          this.logger.error('Failed to parse dead-letter alert', { key, error: error.message });
+        }
+      }
+    }
+
+    return items.sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt));
+  }
+
+  async retryDeadLetter(alertId) {
+    const data = await this.storage.get(`deadletter:${alertId}`);
+    if (!data) {
+      throw new Error(`Dead-letter alert not found: ${alertId}`);
+    }
+
+    const alert = JSON.parse(data);
+    alert.status = 'pending';
+    alert.attempts = 0;
+    delete alert.error;
+    delete alert.failedAt;
+
+    await this.storage.delete(`deadletter:${alertId}`);
+    this.queue.push(alert);
+    this.sortQueue();
+    await this.storage.set(`queue:${alert.id}`, JSON.stringify(alert));
+
+    this.logger.info('Dead-letter alert requeued', { alertId });
+    this.processQueue();
+    return alert.id;
+  }
+
+  async deleteDeadLetter(alertId) {
+    await this.storage.delete(`deadletter:${alertId}`);
+  }
+
+  async clearDeadLetters() {
+    const items = await this.getDeadLetters();
+    for (const item of items) {
+      await this.storage.delete(`deadletter:${item.id}`);
+    }
+    return items.length;
+  }
+
   getQueue() {
     return this.queue.map(item => ({
       id: item.id,
       type: item.type,
+      lane: this.getLane(item.lane).id,
       priority: item.priority,
       status: item.status,
+      attempts: item.attempts || 0,
+      nextAttemptAt: item.nextAttemptAt ? new Date(item.nextAttemptAt).toISOString() : null,
       createdAt: item.createdAt
     }));
   }
 
   getStatus() {
+    const lanes = Array.from(this.lanes.values()).map(lane => ({
+      id: lane.id,
+      name: lane.name,
+      active: lane.active,
+      maxConcurrent: lane.maxConcurrent,
+      gap: lane.gap,
+      pending: this.queue.filter(item => this.getLane(item.lane) === lane).length
+    }));
+
     return {
       queueLength: this.queue.length,
-      processing: this.processing,
-      paused: this.paused
+      retrying: this.queue.filter(item => item.status === 'retrying').length,
+      active: lanes.reduce((sum, lane) => sum + lane.active, 0),
+      processing: lanes.some(lane => lane.active > 0),
+      paused: this.paused,
+      current: this.getCurrent(),
+      lanes
     };
   }
 }
 
 // ============================================================================
-// Template Manager
+// Template Engine
 // ============================================================================
 
-class TemplateManager {
-  constructor(logger, storage) {
-    this.logger = logger;
-    this.storage = storage;
-    this.templates = new Map();
-  }
+// Elements rendered template HTML may use. Tags of other elements are
+// dropped and their content kept, except for SANITIZE_DROP_CONTENT
+const SANITIZE_ELEMENTS = new Set([
+  'a', 'abbr', 'article', 'aside', 'audio', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br', 'canvas', 'caption',
+  'center', 'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption',
+  'figure', 'font', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'label',
+  'li', 'main', 'mark', 'marquee', 'meter', 'nav', 'ol', 'p', 'picture', 'pre', 'progress', 'q', 'rp', 'rt', 'ruby',
+  's', 'samp', 'section', 'small', 'source', 'span', 'strike', 'strong', 'style', 'sub', 'summary', 'sup', 'table',
+  'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'track', 'tt', 'u', 'ul', 'var', 'video', 'wbr',
+  // SVG, without foreignObject, use and script
+  'svg', 'g', 'defs', 'symbol', 'desc', 'title', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect',
+  'text', 'tspan', 'textpath', 'image', 'lineargradient', 'radialgradient', 'stop', 'clippath', 'mask', 'pattern',
+  'filter', 'feblend', 'fecolormatrix', 'fecomposite', 'fedropshadow', 'feflood', 'fegaussianblur', 'femerge',
+  'femergenode', 'feoffset', 'animate', 'animatemotion', 'animatetransform', 'set'
+]);
 
-  async initialize() {
-    // Load templates from storage
-    const keys = await this.storage.keys();
-    const templateKeys = keys.filter(k => k.startsWith('template:'));
+// Elements removed together with everything inside them
+const SANITIZE_DROP_CONTENT = new Set([
+  'script', 'iframe', 'noembed', 'noframes', 'noscript', 'plaintext', 'template', 'textarea', 'xmp'
+]);
 
-    for (const key of templateKeys) {
-      const data = await this.storage.get(key);
-      if (data) {
+// Elements whose content is text up to their end tag rather than markup
+const SANITIZE_RAW_TEXT = new Set(['style', 'script', 'iframe', 'noembed', 'noframes', 'noscript', 'textarea', 'xmp']);
+
+// Attributes rendered template HTML may use, besides data-* and aria-*
+const SANITIZE_ATTRIBUTES = new Set([
+  'id', 'class', 'style', 'title', 'lang', 'dir', 'role', 'hidden', 'translate',
+  'href', 'src', 'alt', 'width', 'height', 'target', 'rel', 'poster', 'autoplay', 'loop', 'muted', 'controls',
+  'playsinline', 'preload', 'type', 'media', 'loading', 'decoding', 'kind', 'srclang', 'label', 'default',
+  'colspan', 'rowspan', 'align', 'valign', 'border', 'cellpadding', 'cellspacing', 'span', 'scope', 'headers',
+  'color', 'face', 'size', 'datetime', 'cite', 'open', 'value', 'max', 'min', 'low', 'high', 'optimum', 'start',
+  'reversed', 'behavior', 'direction', 'scrollamount', 'scrolldelay',
+  'viewbox', 'xmlns', 'xmlns:xlink', 'xlink:href', 'preserveaspectratio', 'd', 'fill', 'fill-opacity', 'fill-rule',
+  'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'stroke-dashoffset',
+  'stroke-opacity', 'stroke-miterlimit', 'opacity', 'transform', 'transform-origin', 'cx', 'cy', 'r', 'rx', 'ry',
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'dx', 'dy', 'points', 'pathlength', 'offset', 'stop-color', 'stop-opacity',
+  'gradientunits', 'gradienttransform', 'spreadmethod', 'fx', 'fy', 'clip-path', 'clip-rule', 'clippathunits',
+  'mask', 'maskunits', 'maskcontentunits', 'patternunits', 'patterncontentunits', 'patterntransform', 'filter',
+  'filterunits', 'primitiveunits', 'in', 'in2', 'result', 'stddeviation', 'mode', 'values', 'operator', 'k1', 'k2',
+  'k3', 'k4', 'flood-color', 'flood-opacity', 'font-family', 'font-size', 'font-weight', 'font-style',
+  'letter-spacing', 'text-anchor', 'dominant-baseline', 'alignment-baseline', 'text-decoration', 'textlength',
+  'lengthadjust', 'startoffset', 'method', 'spacing', 'visibility', 'display', 'vector-effect', 'shape-rendering',
+  'mix-blend-mode', 'paint-order',
+  'attributename', 'attributetype', 'begin', 'dur', 'end', 'repeatcount', 'repeatdur', 'from', 'to', 'by',
+  'keytimes', 'keysplines', 'calcmode', 'additive', 'accumulate', 'restart', 'rotate', 'path', 'keypoints'
+]);
+
+// Attributes holding a URL, checked for script schemes
+const SANITIZE_URL_ATTRIBUTES = new Set(['href', 'xlink:href', 'src', 'poster', 'cite']);
+
+// Named character references that can spell out a URL scheme
+const URL_ENTITIES = { colon: ':', tab: '\t', newline: '\n', amp: '&', sol: '/', period: '.', lpar: '(', rpar: ')' };
+
+/**
+ * Whether a URL would run script or load a document when followed: a
+ * javascript:, vbscript: or (non-image) data: URL. Browsers ignore tabs,
+ * newlines and surrounding control characters in URLs, so those are removed
+ * before the scheme is read.
+ * @param {string} value - the URL as the browser sees it, entities decoded
+ */
+function isScriptUrl(value) {
+  const url = String(value).replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+  return /^(javascript|vbscript|data):/i.test(url) && !/^data:image\/(png|gif|jpe?g|webp);/i.test(url);
+}
+
+/**
+ * Decode the character references in an attribute value that matter for
+ * reading its URL scheme
+ */
+function decodeUrlEntities(value) {
+  return value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (match, hex, decimal, name) => {
+    if (name) {
+      const decoded = URL_ENTITIES[name.toLowerCase()];
+      return decoded !== undefined ? decoded : match;
+    }
+    const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+  });
+}
+
+/**
+ * Mustache-style template language used for alert HTML, CSS and TTS text.
+ *
+ * - {{path.to.field}}                 nested event field access
+ * - {{value | filter arg | filter}}   formatting filters
+ * - {{#if cond}}...{{else}}...{{/if}} conditionals (cond: path or `path op value`)
+ * - {{#unless cond}}...{{/unless}}    negated conditional
+ * - {{#each list}}...{{else}}...{{/each}} loops with {{this}}, {{@index}}, {{@first}}, {{@last}}
+ * - {{{field}}}                      raw output, skips escaping (trusted fields only)
+ *
+ * Output is escaped for where it appears: HTML text and attributes are entity
+ * encoded, URL attributes drop script schemes, and CSS values (in cssContent,
+ * <style> blocks and style="" attributes) are stripped of characters that can
+ * break out of a declaration. Rendered HTML is sanitized afterwards, so even
+ * raw output cannot add scripts or event handlers.
+ */
+class TemplateEngine {
+  constructor() {
+    this.cache = new Map();
+    this.maxCacheSize = 200;
+    this.filters = {
+      upper: (value) => String(value ?? '').toUpperCase(),
+      lower: (value) => String(value ?? '').toLowerCase(),
+      capitalize: (value) => {
+        const str = String(value ?? '');
+        return str.charAt(0).toUpperCase() + str.slice(1);
+      },
+      default: (value, args) => (value === undefined || value === null || value === '' ? args[0] : value),
+      truncate: (value, args) => {
+        const str = String(value ?? '');
+        const length = Number(args[0]) || 50;
+        return str.length > length ? str.slice(0, length) + (args[1] !== undefined ? args[1] : '…') : str;
+      },
+      number: (value, args) => {
+        const num = Number(value);
+        if (!Number.isFinite(num)) return value;
+        const decimals = args[0] !== undefined ? Number(args[0]) : undefined;
+        return num.toLocaleString('en-US', decimals !== undefined
+          ? { minimumFractionDigits: decimals, maximumFractionDigits: decimals }
+          : undefined);
+      },
+      round: (value, args) => {
+        const num = Number(value);
+        if (!Number.isFinite(num)) return value;
+        const factor = Math.pow(10, Number(args[0]) || 0);
+        return Math.round(num * factor) / factor;
+      },
+      currency: (value, args, context) => {
+        const num = Number(value);
+        if (!Number.isFinite(num)) return value;
+        const code = args[0] || context.currency || 'USD';
         try {
-          const template = JSON.parse(data);
-          this.templates.set(template.id, template);
+          return new Intl.NumberFormat('en-US', { style: 'currency', currency: code }).format(num);
         } catch (error) {
-          this.logger.error('Failed to parse template', { key, error: error.message });
+          return `${code} ${num.toFixed(2)}`;
+        }
+      },
+      pluralize: (value, args) => {
+        const singular = args[0] !== undefined ? String(args[0]) : '';
+        const plural = args[1] !== undefined ? String(args[1]) : singular + 's';
+        return Number(value) === 1 ? singular : plural;
+      },
+      date: (value, args) => {
+        const date = value === undefined || value === null || value === '' ? new Date() : new Date(value);
+        if (isNaN(date.getTime())) return value;
+        switch (args[0]) {
+          case 'iso': return date.toISOString();
+          case 'time': return date.toLocaleTimeString('en-US');
+          case 'long': return date.toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' });
+          default: return date.toLocaleDateString('en-US');
         }
+      },
+      join: (value, args) => (Array.isArray(value) ? value.join(args[0] !== undefined ? args[0] : ', ') : value),
+      count: (value) => (Array.isArray(value) ? value.length : 0),
+      json: (value) => JSON.stringify(value)
+    };
+  }
+
+  /**
+   * @param {string} source - Template text
+   * @param {Object} context - Event data
+   * @param {Object} options - mode: 'html' (default), 'css' or 'text' (no escaping)
+   */
+  render(source, context, options = {}) {
+    const mode = options.mode || 'html';
+    const output = this.renderNodes(this.compile(source || '', mode), [context], mode);
+    return mode === 'html' ? this.sanitize(output) : output;
+  }
+
+  /**
+   * Parse a template into a node tree, throwing on syntax errors
+   */
+  compile(source, mode = 'html') {
+    const cacheKey = `${mode}:${source}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const nodes = this.parse(this.tokenize(source, mode));
+
+    if (this.cache.size >= this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(cacheKey, nodes);
+    return nodes;
+  }
+
+  tokenize(source, mode = 'html') {
+    const tokens = [];
+    const tagRegex = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagRegex.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        tokens.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+
+      if (match[1] !== undefined) {
+        tokens.push({ type: 'output', expression: match[1].trim(), raw: true });
+        lastIndex = tagRegex.lastIndex;
+        continue;
+      }
+
+      const tag = match[2].trim();
+      if (tag.startsWith('#')) {
+        const [name, ...rest] = tag.slice(1).split(/\s+/);
+        tokens.push({ type: 'open', name, expression: rest.join(' ') });
+      } else if (tag.startsWith('/')) {
+        tokens.push({ type: 'close', name: tag.slice(1).trim() });
+      } else if (tag === 'else') {
+        tokens.push({ type: 'else' });
+      } else {
+        tokens.push({
+          type: 'output',
+          expression: tag,
+          context: mode === 'html' ? this.detectContext(source.slice(0, match.index)) : mode
+        });
       }
+
+      lastIndex = tagRegex.lastIndex;
     }
 
-    // Create default templates if none exist
-    if (this.templates.size === 0) {
-      await this.createDefaultTemplates();
+    if (lastIndex < source.length) {
+      tokens.push({ type: 'text', value: source.slice(lastIndex) });
     }
 
-    this.logger.info('Template manager initialized', {
-      templateCount: this.templates.size
-    });
+    return tokens;
   }
 
-  async createDefaultTemplates() {
-    const defaults = [
-      {
-        id: 'default-follow',
-        name: 'Default Follow Alert',
-        eventType: 'follow',
-        enabled: true,
-        templateType: 'html',
-        htmlContent: `
-          <div class="alert-container follow-alert">
-            <div class="alert-icon">👤</div>
-            <div class="alert-content">
-              <div class="alert-title">New Follower!</div>
-              <div class="alert-username">{{displayName}}</div>
-            </div>
-          </div>
-        `,
-        cssContent: `
-          .alert-container { 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            padding: 20px 40px;
-            border-radius: 15px;
-            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
-            display: flex;
-            align-items: center;
-            gap: 20px;
-            animation: slideIn 0.5s ease-out;
-          }
-          .alert-icon { font-size: 48px; }
-          .alert-title { font-size: 24px; font-weight: bold; color: white; }
-          .alert-username { font-size: 32px; font-weight: bold; color: #fff; }
-          @keyframes slideIn {
-            from { transform: translateY(-100px); opacity: 0; }
-            to { transform: translateY(0); opacity: 1; }
+  /**
+   * Work out where in the HTML document an output tag sits from the source before it
+   */
+  detectContext(before) {
+    const lastOpen = before.lastIndexOf('<');
+    const lastClose = before.lastIndexOf('>');
+
+    if (lastOpen > lastClose) {
+      const tag = before.slice(lastOpen);
+      const attr = tag.match(/([\w:-]+)\s*=\s*["']?[^"'=]*$/);
+      if (attr) {
+        const name = attr[1].toLowerCase();
+        if (['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background'].includes(name)) {
+          return 'url';
+        }
+        if (name === 'style') {
+          return 'css';
+        }
+      }
+      return 'html';
+    }
+
+    const lower = before.toLowerCase();
+    if (lower.lastIndexOf('<style') > lower.lastIndexOf('</style')) {
+      return 'css';
+    }
+
+    return 'html';
+  }
+
+  escape(value, context) {
+    switch (context) {
+      case 'text':
+        return value;
+      case 'css':
+        return value
+          .replace(/[<>"'`\\;{}]/g, '')
+          .replace(/(url|expression|image-set)\s*\(/gi, '');
+      case 'url':
+        if (isScriptUrl(value)) {
+          return 'about:blank';
+        }
+        return this.escapeHtml(value);
+      default:
+        return this.escapeHtml(value);
+    }
+  }
+
+  escapeHtml(value) {
+    return value.replace(/[&<>"'`=]/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;',
+      '`': '&#96;',
+      '=': '&#61;'
+    })[char]);
+  }
+
+  /**
+   * Rebuild rendered HTML from the elements and attributes in
+   * SANITIZE_ELEMENTS and SANITIZE_ATTRIBUTES, tokenized the way a browser
+   * would read it. Everything else is dropped: scripts, embedded documents,
+   * event handlers, comments, script URLs and SVG animations that target links.
+   */
+  sanitize(html) {
+    let output = '';
+    let index = 0;
+
+    while (index < html.length) {
+      const open = html.indexOf('<', index);
+      if (open === -1) {
+        output += html.slice(index);
+        break;
+      }
+      output += html.slice(index, open);
+
+      const next = html[open + 1] || '';
+      if (/[a-z]/i.test(next)) {
+        const tag = this.readTag(html, open + 1);
+        index = tag.end;
+        if (tag.incomplete) break;
+
+        if (SANITIZE_DROP_CONTENT.has(tag.name)) {
+          index = tag.name === 'plaintext' ? html.length : this.skipRawText(html, index, tag.name);
+        } else if (SANITIZE_ELEMENTS.has(tag.name)) {
+          output += this.buildTag(tag);
+          if (SANITIZE_RAW_TEXT.has(tag.name)) {
+            const end = this.skipRawText(html, index, tag.name, false);
+            output += html.slice(index, end);
+            index = end;
           }
-        `,
-        duration: 5000,
-        animation: 'slide-in',
-        soundFile: null,
-        soundVolume: 0.8
-      },
-      {
-        id: 'default-subscribe',
-        name: 'Default Subscribe Alert',
-        eventType: 'subscribe',
-        enabled: true,
-        templateType: 'html',
-        htmlContent: `
-          <div class="alert-container subscribe-alert">
-            <div class="alert-icon">⭐</div>
-            <div class="alert-content">
-              <div class="alert-title">New Subscriber!</div>
-              <div class="alert-username">{{displayName}}</div>
-              <div class="alert-tier">Tier {{tier}}</div>
-            </div>
-          </div>
-        `,
-        cssContent: `
-          .alert-container { 
+        }
+      } else if (next === '/' && /[a-z]/i.test(html[open + 2] || '')) {
+        const tag = this.readTag(html, open + 2);
+        index = tag.end;
+        if (tag.incomplete) break;
+        if (SANITIZE_ELEMENTS.has(tag.name)) {
+          output += `</${tag.rawName}>`;
+        }
+      } else if (html.startsWith('<!--', open)) {
+        const close = html.indexOf('-->', open + 4);
+        index = close === -1 ? html.length : close + 3;
+      } else if (next === '!' || next === '?' || next === '/') {
+        // Doctypes, processing instructions and other bogus comments
+        const close = html.indexOf('>', open);
+        index = close === -1 ? html.length : close + 1;
+      } else {
+        output += '&lt;';
+        index = open + 1;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Read a start or end tag from just after its `<` (or `</`). A slash
+   * between attributes separates them, as in `<svg/onload=...>`
+   * @returns {Object} { name, rawName, attributes, selfClosing, end, incomplete }
+   */
+  readTag(html, start) {
+    let index = start;
+    while (index < html.length && !/[\t\n\f\r />]/.test(html[index])) index++;
+    const rawName = html.slice(start, index);
+    const attributes = [];
+    let selfClosing = false;
+
+    while (index < html.length) {
+      const char = html[index];
+      if (char === '>') {
+        return { name: rawName.toLowerCase(), rawName, attributes, selfClosing, end: index + 1, incomplete: false };
+      }
+      if (/[\t\n\f\r ]/.test(char)) {
+        index++;
+        continue;
+      }
+      if (char === '/') {
+        selfClosing = html[index + 1] === '>';
+        index++;
+        continue;
+      }
+
+      selfClosing = false;
+      const nameStart = index;
+      index++;
+      while (index < html.length && !/[\t\n\f\r />=]/.test(html[index])) index++;
+      const attribute = { name: html.slice(nameStart, index), value: null, quote: '' };
+
+      let cursor = index;
+      while (cursor < html.length && /[\t\n\f\r ]/.test(html[cursor])) cursor++;
+      if (html[cursor] === '=') {
+        cursor++;
+        while (cursor < html.length && /[\t\n\f\r ]/.test(html[cursor])) cursor++;
+        const quote = html[cursor];
+        if (quote === '"' || quote === "'") {
+          const close = html.indexOf(quote, cursor + 1);
+          if (close === -1) break;
+          attribute.value = html.slice(cursor + 1, close);
+          attribute.quote = quote;
+          index = close + 1;
+        } else {
+          const valueStart = cursor;
+          while (cursor < html.length && !/[\t\n\f\r >]/.test(html[cursor])) cursor++;
+          attribute.value = html.slice(valueStart, cursor);
+          index = cursor;
+        }
+      }
+      attributes.push(attribute);
+    }
+
+    // A tag cut off by the end of the document is never rendered
+    return { name: rawName.toLowerCase(), rawName, attributes, selfClosing, end: html.length, incomplete: true };
+  }
+
+  /**
+   * Index just after the end tag of a raw text element, or of its content when
+   * includeEndTag is false
+   */
+  skipRawText(html, index, name, includeEndTag = true) {
+    const match = new RegExp(`</${name}[\\t\\n\\f\\r />]`, 'i').exec(html.slice(index));
+    if (!match) return html.length;
+    if (!includeEndTag) return index + match.index;
+    const close = html.indexOf('>', index + match.index);
+    return close === -1 ? html.length : close + 1;
+  }
+
+  buildTag(tag) {
+    if (!/^[a-z][a-z0-9-]*$/i.test(tag.rawName)) return '';
+
+    const seen = new Set();
+    let attributes = '';
+    for (const attribute of tag.attributes) {
+      const name = attribute.name.toLowerCase();
+      // Browsers keep the first of repeated attributes
+      if (seen.has(name)) continue;
+      seen.add(name);
+
+      if (!SANITIZE_ATTRIBUTES.has(name) && !/^(data|aria)-[a-z0-9_.-]+$/.test(name)) continue;
+
+      if (attribute.value === null) {
+        attributes += ` ${attribute.name}`;
+        continue;
+      }
+
+      // SVG animations can rewrite a link into a script URL
+      if (name === 'attributename' && /^(xlink:)?href$/i.test(decodeUrlEntities(attribute.value).trim())) {
+        return '';
+      }
+
+      let value = attribute.quote === '"' ? attribute.value : attribute.value.replace(/"/g, '&quot;');
+      if (SANITIZE_URL_ATTRIBUTES.has(name) && isScriptUrl(decodeUrlEntities(attribute.value))) {
+        value = 'about:blank';
+      }
+      attributes += ` ${attribute.name}="${value}"`;
+    }
+
+    return `<${tag.rawName}${attributes}${tag.selfClosing ? ' /' : ''}>`;
+  }
+
+  parse(tokens) {
+    const root = { children: [] };
+    const stack = [root];
+
+    for (const token of tokens) {
+      const current = stack[stack.length - 1];
+      const target = current.inElse ? current.alternate : current.children;
+
+      switch (token.type) {
+        case 'text':
+          target.push({ type: 'text', value: token.value });
+          break;
+        case 'output':
+          target.push({
+            type: 'output',
+            raw: !!token.raw,
+            context: token.context,
+            ...this.parseOutput(token.expression)
+          });
+          break;
+        case 'open': {
+          if (!['if', 'unless', 'each'].includes(token.name)) {
+            throw new Error(`Template syntax error: unknown block {{#${token.name}}}`);
+          }
+          if (!token.expression) {
+            throw new Error(`Template syntax error: {{#${token.name}}} requires an expression`);
+          }
+          const block = {
+            type: token.name,
+            expression: token.expression,
+            children: [],
+            alternate: [],
+            inElse: false
+          };
+          target.push(block);
+          stack.push(block);
+          break;
+        }
+        case 'else':
+          if (current === root || current.inElse) {
+            throw new Error('Template syntax error: unexpected {{else}}');
+          }
+          current.inElse = true;
+          break;
+        case 'close':
+          if (current === root || current.type !== token.name) {
+            throw new Error(`Template syntax error: unexpected {{/${token.name}}}`);
+          }
+          stack.pop();
+          break;
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Template syntax error: unclosed {{#${stack[stack.length - 1].type}}}`);
+    }
+
+    return root.children;
+  }
+
+  parseOutput(expression) {
+    const [valueExpr, ...filterExprs] = this.splitPipes(expression);
+    const filters = filterExprs.map(expr => {
+      const [name, ...args] = this.splitArgs(expr);
+      if (!this.filters[name]) {
+        throw new Error(`Template syntax error: unknown filter "${name}"`);
+      }
+      return { name, args };
+    });
+    return { value: valueExpr.trim(), filters };
+  }
+
+  // Split on | outside of quoted strings
+  splitPipes(expression) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of expression) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '|') {
+        parts.push(current);
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts;
+  }
+
+  splitArgs(expression) {
+    return expression.match(/"[^"]*"|'[^']*'|\S+/g) || [];
+  }
+
+  renderNodes(nodes, scopes, mode) {
+    let output = '';
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+        case 'output': {
+          const value = this.formatOutput(this.evaluateOutput(node, scopes));
+          output += node.raw || mode === 'text' ? value : this.escape(value, node.context);
+          break;
+        }
+        case 'if':
+        case 'unless': {
+          let truthy = this.evaluateCondition(node.expression, scopes);
+          if (node.type === 'unless') truthy = !truthy;
+          output += this.renderNodes(truthy ? node.children : node.alternate, scopes, mode);
+          break;
+        }
+        case 'each': {
+          const list = this.resolve(node.expression, scopes);
+          const items = Array.isArray(list) ? list : [];
+          if (items.length === 0) {
+            output += this.renderNodes(node.alternate, scopes, mode);
+            break;
+          }
+          items.forEach((item, index) => {
+            const scope = {
+              this: item,
+              '@index': index,
+              '@number': index + 1,
+              '@first': index === 0,
+              '@last': index === items.length - 1
+            };
+            if (item && typeof item === 'object' && !Array.isArray(item)) {
+              Object.assign(scope, item, { this: item });
+            }
+            output += this.renderNodes(node.children, [...scopes, scope], mode);
+          });
+          break;
+        }
+      }
+    }
+
+    return output;
+  }
+
+  evaluateOutput(node, scopes) {
+    let value = this.resolveOperand(node.value, scopes);
+    for (const filter of node.filters) {
+      const args = filter.args.map(arg => this.resolveOperand(arg, scopes));
+      value = this.filters[filter.name](value, args, scopes[0]);
+    }
+    return value;
+  }
+
+  formatOutput(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  evaluateCondition(expression, scopes) {
+    const match = expression.match(/^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/);
+    if (!match) {
+      const value = this.resolveOperand(expression.trim(), scopes);
+      return Array.isArray(value) ? value.length > 0 : !!value;
+    }
+
+    const left = this.resolveOperand(match[1].trim(), scopes);
+    const right = this.resolveOperand(match[3].trim(), scopes);
+
+    switch (match[2]) {
+      // Loose equality so "3" == 3 for tiers and amounts coming from webhooks
+      case '==': return left == right;
+      case '!=': return left != right;
+      case '>=': return Number(left) >= Number(right);
+      case '<=': return Number(left) <= Number(right);
+      case '>': return Number(left) > Number(right);
+      case '<': return Number(left) < Number(right);
+    }
+    return false;
+  }
+
+  // Literal (string, number, boolean) or a path lookup
+  resolveOperand(operand, scopes) {
+    if (/^"[^"]*"$|^'[^']*'$/.test(operand)) return operand.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(operand)) return Number(operand);
+    if (operand === 'true') return true;
+    if (operand === 'false') return false;
+    if (operand === 'null') return null;
+    return this.resolve(operand, scopes);
+  }
+
+  resolve(path, scopes) {
+    const [head, ...rest] = path.split('.');
+
+    // Innermost scope that defines the head wins
+    let value;
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (scope && typeof scope === 'object' && Object.prototype.hasOwnProperty.call(scope, head)) {
+        value = scope[head];
+        break;
+      }
+    }
+
+    for (const key of rest) {
+      if (value === undefined || value === null) return undefined;
+      value = Object.prototype.hasOwnProperty.call(Object(value), key) ? value[key] : undefined;
+    }
+
+    return value;
+  }
+}
+
+// ============================================================================
+// Template Manager
+// ============================================================================
+
+const MEDIA_TYPES = ['image', 'gif', 'video', 'lottie'];
+
+const MEDIA_DEFAULTS = {
+  autoplay: true,
+  loop: false,
+  volume: 1,
+  // Show the alert for as long as the media plays instead of its duration
+  matchDuration: false,
+  // 'behind' puts the HTML on top of the media, 'above'/'below' stack them
+  placement: 'behind',
+  width: null,
+  height: null
+};
+
+// Where an alert sits on the overlay, as the justify-content and align-items
+// of the overlay's flex body
+const ALERT_POSITIONS = {
+  'top-left': ['flex-start', 'flex-start'],
+  'top-center': ['center', 'flex-start'],
+  'top-right': ['flex-end', 'flex-start'],
+  'center-left': ['flex-start', 'center'],
+  'center': ['center', 'center'],
+  'center-right': ['flex-end', 'center'],
+  'bottom-left': ['flex-start', 'flex-end'],
+  'bottom-center': ['center', 'flex-end'],
+  'bottom-right': ['flex-end', 'flex-end']
+};
+
+const LAYOUT_EDGES = ['top', 'right', 'bottom', 'left'];
+const LAYOUT_SCALE_MIN = 0.1;
+const LAYOUT_SCALE_MAX = 5;
+
+// Placement used where neither the template nor the settings set one
+const LAYOUT_DEFAULTS = {
+  position: 'center',
+  // Pixels right and down from the anchored position
+  offsetX: 0,
+  offsetY: 0,
+  scale: 1,
+  // Pixels kept clear along each edge, e.g. for a webcam or chat box
+  safeArea: { top: 0, right: 0, bottom: 0, left: 0 }
+};
+
+/**
+ * Check a template's layout or the placement settings. Fields left out or
+ * null fall back to the settings, then to LAYOUT_DEFAULTS.
+ */
+function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    throw new Error('Layout must be an object');
+  }
+  if (layout.position != null && !Object.prototype.hasOwnProperty.call(ALERT_POSITIONS, layout.position)) {
+    throw new Error(`Unknown alert position: ${layout.position}`);
+  }
+  for (const field of ['offsetX', 'offsetY']) {
+    if (layout[field] != null && !Number.isFinite(layout[field])) {
+      throw new Error(`Layout ${field} must be a number of pixels`);
+    }
+  }
+  if (layout.scale != null && !(Number.isFinite(layout.scale) && layout.scale >= LAYOUT_SCALE_MIN && layout.scale <= LAYOUT_SCALE_MAX)) {
+    throw new Error(`Layout scale must be between ${LAYOUT_SCALE_MIN} and ${LAYOUT_SCALE_MAX}`);
+  }
+  if (layout.safeArea != null) {
+    if (typeof layout.safeArea !== 'object' || Array.isArray(layout.safeArea)) {
+      throw new Error('Layout safeArea must be an object');
+    }
+    for (const edge of LAYOUT_EDGES) {
+      const inset = layout.safeArea[edge];
+      if (inset != null && !(Number.isFinite(inset) && inset >= 0)) {
+        throw new Error(`Safe area ${edge} must be zero or more pixels`);
+      }
+    }
+  }
+}
+
+// Saved versions kept per template; history replays of older versions fall
+// back to the current template once theirs has been dropped
+const TEMPLATE_VERSION_LIMIT = 50;
+
+// Fields that describe a stored template rather than what it shows
+const TEMPLATE_META_FIELDS = ['id', 'createdAt', 'updatedAt', 'version', 'usageCount'];
+
+// What a template shows and when, as set by createTemplate(); an import that
+// overwrites a template copies these, including ones it was saved without
+const TEMPLATE_CONTENT_FIELDS = [
+  'name', 'eventType', 'enabled', 'templateType', 'htmlContent', 'cssContent', 'jsContent',
+  'mediaType', 'mediaUrl', 'mediaSettings', 'duration', 'animation', 'soundFile', 'soundVolume',
+  'ttsEnabled', 'ttsVoice', 'ttsSpeed', 'ttsTemplate', 'minAmount', 'maxAmount', 'minViewers',
+  'tiers', 'minMonths', 'maxMonths', 'vipOnly', 'subOnly', 'firstTimeOnly', 'priority', 'weight',
+  'lane', 'layout'
+];
+
+// Diffed line by line; every other field is compared as a setting
+const TEMPLATE_CODE_FIELDS = { html: 'htmlContent', css: 'cssContent', js: 'jsContent' };
+
+// Larger line diffs show the old text removed and the new text added
+const DIFF_MAX_CELLS = 250000;
+
+// What to do with a bundle template whose ID or name is already used
+const IMPORT_CONFLICT_MODES = ['rename', 'overwrite', 'skip'];
+
+/**
+ * Line-by-line diff as a list of { op, text }, where op is ' ' for unchanged,
+ * '-' for removed and '+' for added lines
+ */
+function diffLines(before, after) {
+  const a = before ? String(before).split('\n') : [];
+  const b = after ? String(after).split('\n') : [];
+
+  // Only the lines between the common prefix and suffix go into the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const lines = a.slice(0, start).map(text => ({ op: ' ', text }));
+  const removed = (text) => lines.push({ op: '-', text });
+  const added = (text) => lines.push({ op: '+', text });
+
+  if (midA.length * midB.length > DIFF_MAX_CELLS) {
+    midA.forEach(removed);
+    midB.forEach(added);
+  } else {
+    // lcs[i][j]: longest common subsequence of midA from i and midB from j
+    const lcs = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        lines.push({ op: ' ', text: midA[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        removed(midA[i++]);
+      } else {
+        added(midB[j++]);
+      }
+    }
+    midA.slice(i).forEach(removed);
+    midB.slice(j).forEach(added);
+  }
+
+  return lines.concat(a.slice(endA).map(text => ({ op: ' ', text })));
+}
+
+// The core mounts a module's routes under /modules/<module id>, so the
+// directories given to serveStatic() in initialize() are served below it,
+// resolved against the module's own directory
+const MODULE_BASE_PATH = '/modules/alerts';
+const MEDIA_URL_PREFIX = `${MODULE_BASE_PATH}/media/`;
+
+// lottie-web 5.12.2, vendored so media alerts work offline. Overridable with
+// the lottiePlayerUrl setting
+const LOTTIE_PLAYER_URL = `${MODULE_BASE_PATH}/vendor/lottie-web/lottie.min.js`;
+
+const MEDIA_CSS = `
+  .alert-media-stack { position: relative; display: flex; flex-direction: column; align-items: center; }
+  .alert-media-below { flex-direction: column-reverse; }
+  .alert-media-behind .alert-media-content {
+    position: absolute; inset: 0; display: flex; align-items: center; justify-content: center;
+  }
+  .alert-media img, .alert-media video, .alert-media .alert-lottie {
+    display: block; max-width: 100vw; max-height: 100vh; object-fit: contain;
+  }
+`;
+
+class TemplateManager {
+  constructor(logger, storage) {
+    this.logger = logger;
+    this.storage = storage;
+    this.templates = new Map();
+    this.engine = new TemplateEngine();
+  }
+
+  async initialize(keys) {
+    // Load templates from storage
+    const templateKeys = keys.filter(k => k.startsWith('template:'));
+
+    for (const key of templateKeys) {
+      const data = await this.storage.get(key);
+      if (data) {
+        try {
+          const template = JSON.parse(data);
+          this.templates.set(template.id, template);
+        } catch (error) {
+          this.logger.error('Failed to parse template', { key, error: error.message });
+        }
+      }
+    }
+
+    // Create default templates if none exist
+    if (this.templates.size === 0) {
+      await this.createDefaultTemplates();
+    }
+
+    this.logger.info('Template manager initialized', {
+      templateCount: this.templates.size
+    });
+  }
+
+  async createDefaultTemplates() {
+    const defaults = [
+      {
+        id: 'default-follow',
+        name: 'Default Follow Alert',
+        eventType: 'follow',
+        enabled: true,
+        templateType: 'html',
+        htmlContent: `
+          <div class="alert-container follow-alert">
+            <div class="alert-icon">👤</div>
+            <div class="alert-content">
+              {{#if grouped}}
+              <div class="alert-title">{{count}} New Followers!</div>
+              {{else}}
+              <div class="alert-title">New Follower!</div>
+              {{/if}}
+              <div class="alert-username">{{displayName}}</div>
+            </div>
+          </div>
+        `,
+        cssContent: `
+          .alert-container { 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            padding: 20px 40px;
+            border-radius: 15px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+            display: flex;
+            align-items: center;
+            gap: 20px;
+            animation: slideIn 0.5s ease-out;
+          }
+          .alert-icon { font-size: 48px; }
+          .alert-title { font-size: 24px; font-weight: bold; color: white; }
+          .alert-username { font-size: 32px; font-weight: bold; color: #fff; }
+          @keyframes slideIn {
+            from { transform: translateY(-100px); opacity: 0; }
+            to { transform: translateY(0); opacity: 1; }
+          }
+        `,
+        duration: 5000,
+        animation: 'slide-in',
+        soundFile: null,
+        soundVolume: null
+      },
+      {
+        id: 'default-subscribe',
+        name: 'Default Subscribe Alert',
+        eventType: 'subscribe',
+        enabled: true,
+        templateType: 'html',
+        htmlContent: `
+          <div class="alert-container subscribe-alert">
+            <div class="alert-icon">⭐</div>
+            <div class="alert-content">
+              {{#if isGift}}
+              <div class="alert-title">{{gifter}} gifted {{count | default 1}} {{count | default 1 | pluralize "sub"}}!</div>
+              <div class="alert-username">{{#if grouped}}{{names}}{{else}}{{displayName}}{{/if}}</div>
+              {{else}}
+              {{#if grouped}}
+              <div class="alert-title">{{count}} New Subscribers!</div>
+              {{else}}
+              <div class="alert-title">New Subscriber!</div>
+              {{/if}}
+              <div class="alert-username">{{displayName}}</div>
+              {{/if}}
+              <div class="alert-tier">Tier {{tier}}</div>
+            </div>
+          </div>
+        `,
+        cssContent: `
+          .alert-container { 
             background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
             padding: 20px 40px;
             border-radius: 15px;
@@ -266,7 +1467,7 @@ class TemplateManager {
         duration: 5000,
         animation: 'bounce',
         soundFile: null,
-        soundVolume: 0.8
+        soundVolume: null
       },
       {
         id: 'default-raid',
@@ -307,7 +1508,7 @@ class TemplateManager {
         duration: 6000,
         animation: 'zoom',
         soundFile: null,
-        soundVolume: 0.8
+        soundVolume: null
       },
       {
         id: 'default-donation',
@@ -348,7 +1549,7 @@ class TemplateManager {
         duration: 5000,
         animation: 'fade',
         soundFile: null,
-        soundVolume: 0.8
+        soundVolume: null
       },
       {
         id: 'default-cheer',
@@ -390,428 +1591,3799 @@ class TemplateManager {
         duration: 5000,
         animation: 'confetti',
         soundFile: null,
-        soundVolume: 0.8
+        soundVolume: null
       }
     ];
 
-    for (const template of defaults) {
-      await this.createTemplate(template);
-    }
+    for (const template of defaults) {
+      await this.createTemplate(template);
+    }
+
+    this.logger.info('Default templates created', { count: defaults.length });
+  }
+
+  /**
+   * @param {Object} options - author, recorded with the first version
+   */
+  async createTemplate(template, { author = null } = {}) {
+    this.validateTemplate(template);
+
+    const templateId = template.id || 'template_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    
+    const fullTemplate = {
+      id: templateId,
+      name: template.name,
+      eventType: template.eventType,
+      enabled: template.enabled !== false,
+      templateType: template.templateType || 'html',
+      htmlContent: template.htmlContent || '',
+      cssContent: template.cssContent || '',
+      jsContent: template.jsContent || '',
+      mediaType: template.mediaType || null,
+      mediaUrl: template.mediaUrl || null,
+      mediaSettings: template.mediaSettings || {},
+      duration: template.duration || 5000,
+      animation: template.animation || 'slide-in',
+      soundFile: template.soundFile || null,
+      // Unset plays the sound at its own default volume
+      soundVolume: SoundLibrary.volumeOrNull(template.soundVolume),
+      ttsEnabled: template.ttsEnabled || false,
+      // Unset follows the ttsVoice setting
+      ttsVoice: template.ttsVoice || null,
+      ttsSpeed: template.ttsSpeed || 1.0,
+      ttsTemplate: template.ttsTemplate || '',
+      minAmount: template.minAmount || null,
+      maxAmount: template.maxAmount || null,
+      minViewers: template.minViewers || null,
+      tiers: template.tiers || [],
+      minMonths: template.minMonths || null,
+      maxMonths: template.maxMonths || null,
+      vipOnly: template.vipOnly || false,
+      subOnly: template.subOnly || false,
+      firstTimeOnly: template.firstTimeOnly || false,
+      priority: template.priority !== undefined ? template.priority : 5,
+      weight: template.weight !== undefined ? template.weight : 1,
+      lane: template.lane || null,
+      // Placement on the overlay; null, or fields left out, use the settings
+      layout: template.layout || null,
+      // { id, version } of the gallery pack the template was installed from
+      pack: template.pack || null,
+      createdAt: template.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      version: 1,
+      usageCount: template.usageCount || 0
+    };
+
+    this.templates.set(templateId, fullTemplate);
+    await this.storage.set(`template:${templateId}`, JSON.stringify(fullTemplate));
+    await this.saveVersion(fullTemplate, { author });
+
+    this.logger.info('Template created', {
+      templateId,
+      name: template.name,
+      eventType: template.eventType
+    });
+
+    return fullTemplate;
+  }
+
+  /**
+   * Save changes as a new version. Updates that change nothing are not saved.
+   * @param {Object} options - author; rolledBackFrom, the version a rollback restores
+   */
+  async updateTemplate(templateId, updates, { author = null, rolledBackFrom = null } = {}) {
+    const template = this.templates.get(templateId);
+    if (!template) {
+      throw new Error(`Template not found: ${templateId}`);
+    }
+
+    const updated = {
+      ...template,
+      ...updates,
+      id: templateId,
+      createdAt: template.createdAt,
+      usageCount: template.usageCount,
+      updatedAt: new Date().toISOString(),
+      version: (template.version || 1) + 1
+    };
+
+    this.validateTemplate(updated);
+
+    if (TemplateManager.changedFields(template, updated).length === 0) {
+      return template;
+    }
+
+    // Templates created before versioning get their current state saved first
+    if ((await this.loadVersions(templateId)).length === 0) {
+      await this.saveVersion({ ...template, version: template.version || 1 });
+    }
+
+    this.templates.set(templateId, updated);
+    await this.storage.set(`template:${templateId}`, JSON.stringify(updated));
+    await this.saveVersion(updated, { author, rolledBackFrom });
+
+    this.logger.info('Template updated', { templateId, version: updated.version });
+    return updated;
+  }
+
+  async deleteTemplate(templateId) {
+    if (!this.templates.has(templateId)) {
+      throw new Error(`Template not found: ${templateId}`);
+    }
+
+    this.templates.delete(templateId);
+    await this.storage.delete(`template:${templateId}`);
+    await this.storage.delete(`templateversions:${templateId}`);
+
+    this.logger.info('Template deleted', { templateId });
+  }
+
+  getTemplate(templateId) {
+    return this.templates.get(templateId);
+  }
+
+  /**
+   * Saved states of a template, oldest first, stored together as
+   * templateversions:<id>
+   */
+  async loadVersions(templateId) {
+    const data = await this.storage.get(`templateversions:${templateId}`);
+    if (!data) return [];
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      this.logger.error('Failed to parse template versions', { templateId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * @param {Object} options - author, rolledBackFrom
+   */
+  async saveVersion(template, { author = null, rolledBackFrom = null } = {}) {
+    const { usageCount, ...snapshot } = template;
+    const versions = (await this.loadVersions(template.id)).filter(v => v.version !== snapshot.version);
+    const previous = versions[versions.length - 1];
+
+    versions.push({
+      version: snapshot.version,
+      savedAt: snapshot.updatedAt,
+      author: author ? String(author).trim().slice(0, 100) || null : null,
+      // Fields changed since the previous kept version
+      changes: previous ? TemplateManager.changedFields(previous.template, snapshot) : [],
+      rolledBackFrom,
+      template: snapshot
+    });
+    await this.storage.set(
+      `templateversions:${template.id}`,
+      JSON.stringify(versions.slice(-TEMPLATE_VERSION_LIMIT))
+    );
+  }
+
+  /**
+   * A template as it was at a version, or null when that version is no longer kept
+   */
+  async getTemplateVersion(templateId, version) {
+    const current = this.templates.get(templateId);
+    if (current && (current.version || 1) === Number(version)) {
+      return current;
+    }
+
+    const saved = (await this.loadVersions(templateId)).find(v => v.version === Number(version));
+    return saved ? saved.template : null;
+  }
+
+  /**
+   * Templates without install-specific fields (dates, version, usage), all
+   * when no IDs are given
+   */
+  exportTemplates(templateIds = []) {
+    const ids = templateIds.length > 0 ? templateIds : Array.from(this.templates.keys());
+
+    return ids.map(id => {
+      const template = this.templates.get(id);
+      if (!template) {
+        throw new Error(`Template not found: ${id}`);
+      }
+
+      const portable = { ...template };
+      TEMPLATE_META_FIELDS.filter(field => field !== 'id').forEach(field => delete portable[field]);
+      delete portable.pack;
+      return portable;
+    });
+  }
+
+  // An existing template with the same ID, or else the same name
+  findConflict(template) {
+    if (template.id && this.templates.has(template.id)) {
+      return this.templates.get(template.id);
+    }
+
+    const name = String(template.name).trim().toLowerCase();
+    return this.getTemplates().find(t => String(t.name).trim().toLowerCase() === name) || null;
+  }
+
+  uniqueName(name, taken = new Set()) {
+    const names = new Set([...this.getTemplates().map(t => String(t.name).toLowerCase()), ...taken]);
+    for (let n = 2; ; n++) {
+      const candidate = `${name} (${n})`;
+      if (!names.has(candidate.toLowerCase())) return candidate;
+    }
+  }
+
+  /**
+   * Import bundle templates. A template whose ID or name is already used, by
+   * a stored template or an earlier one in the same bundle, is handled by its
+   * conflict mode: 'rename' imports a copy under a new name, 'overwrite' saves
+   * the bundle's content as a new version of the existing template (so it can
+   * be rolled back) and 'skip' leaves it alone. Every template is validated
+   * before any is saved.
+   *
+   * @param {Object} options - conflict (default 'rename'), conflicts (modes by
+   *   bundle template ID), author, pack ({ id, version } when installed from
+   *   the gallery), dryRun (validate and plan only)
+   * @returns {Promise<Array>} per template: { id, name, action, conflictWith, templateId }
+   */
+  async importTemplates(templates, { conflict = 'rename', conflicts = {}, author = null, pack = null, dryRun = false } = {}) {
+    if (!Array.isArray(templates) || templates.length === 0) {
+      throw new Error('No templates to import');
+    }
+
+    // Templates this import creates, by ID and by lowercase name
+    const plannedIds = new Map();
+    const plannedNames = new Map();
+    const plan = templates.map((record, index) => {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error(`Template ${index + 1} is not an object`);
+      }
+      if (typeof record.name !== 'string' || !record.name.trim() || typeof record.eventType !== 'string' || !record.eventType) {
+        throw new Error(`Template ${index + 1} needs a name and an event type`);
+      }
+
+      const mode = (record.id && conflicts[record.id]) || conflict;
+      if (!IMPORT_CONFLICT_MODES.includes(mode)) {
+        throw new Error(`Unknown conflict mode: ${mode}`);
+      }
+
+      const content = { ...record, pack: pack ? { id: String(pack.id), version: String(pack.version || '') } : null };
+      TEMPLATE_META_FIELDS.forEach(field => delete content[field]);
+      // IDs end up in storage keys and URLs
+      const id = /^[\w-]{1,100}$/.test(String(record.id || '')) ? record.id : null;
+
+      const existing = this.findConflict({ ...record, id });
+      const earlier = existing ? null : (id && plannedIds.get(id)) || plannedNames.get(record.name.trim().toLowerCase()) || null;
+      const item = { record, content, id, existing, earlier, action: existing || earlier ? mode : 'create' };
+      if (item.action === 'rename') {
+        item.name = this.uniqueName(record.name, plannedNames.keys());
+      }
+
+      if (item.action === 'create' || item.action === 'rename') {
+        if (item.action === 'create' && id) plannedIds.set(id, item);
+        plannedNames.set((item.name || record.name).trim().toLowerCase(), item);
+      }
+      return item;
+    });
+
+    // Checked up front so one bad template does not leave a half-imported pack
+    for (const item of plan) {
+      if (item.action === 'skip') continue;
+      try {
+        const target = item.existing || (item.earlier && item.earlier.content);
+        this.validateTemplate(item.action === 'overwrite' ? { ...target, ...item.content } : item.content);
+      } catch (error) {
+        throw new Error(`Template "${item.record.name}": ${error.message}`);
+      }
+    }
+
+    const results = [];
+    for (const item of plan) {
+      const result = {
+        id: item.record.id || null,
+        name: item.name || item.record.name,
+        action: item.action,
+        conflictWith: item.existing ? item.existing.id : item.earlier ? item.earlier.id : null,
+        templateId: null
+      };
+
+      if (!dryRun && item.action === 'overwrite') {
+        // Only template fields, so stray bundle fields are not stored
+        const updates = {};
+        TEMPLATE_CONTENT_FIELDS
+          .filter(field => field in item.content)
+          .forEach(field => { updates[field] = item.content[field]; });
+        updates.pack = item.content.pack;
+        const targetId = item.existing ? item.existing.id : item.earlier.templateId;
+        result.templateId = (await this.updateTemplate(targetId, updates, { author })).id;
+      } else if (!dryRun && item.action !== 'skip') {
+        const template = { ...item.content, id: item.action === 'create' ? item.id : null, name: result.name };
+        result.templateId = (await this.createTemplate(template, { author })).id;
+        item.templateId = result.templateId;
+      }
+      results.push(result);
+    }
+
+    if (!dryRun) {
+      this.logger.info('Templates imported', {
+        imported: results.filter(r => r.templateId).length,
+        skipped: results.filter(r => r.action === 'skip').length
+      });
+    }
+    return results;
+  }
+
+  static changedFields(before, after) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(fields).filter(field =>
+      !TEMPLATE_META_FIELDS.includes(field) &&
+      JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+    );
+  }
+
+  /**
+   * Kept versions, newest first, without their content
+   */
+  async listVersions(templateId) {
+    const template = this.templates.get(templateId);
+    if (!template) {
+      throw new Error(`Template not found: ${templateId}`);
+    }
+
+    let versions = await this.loadVersions(templateId);
+    if (versions.length === 0) {
+      // Not edited since versioning was added
+      versions = [{ version: template.version || 1, savedAt: template.updatedAt, author: null, changes: [], rolledBackFrom: null }];
+    }
+
+    return versions
+      .map(({ template: snapshot, ...version }) => ({ ...version, current: version.version === (template.version || 1) }))
+      .reverse();
+  }
+
+  /**
+   * Compare two versions: line diffs of the HTML, CSS and JS, and the
+   * settings that differ. `to` defaults to the current version.
+   */
+  async diffVersions(templateId, from, to) {
+    const template = this.templates.get(templateId);
+    if (!template) {
+      throw new Error(`Template not found: ${templateId}`);
+    }
+
+    const toVersion = to === undefined || to === null || to === '' ? template.version || 1 : Number(to);
+    const before = await this.getTemplateVersion(templateId, from);
+    const after = await this.getTemplateVersion(templateId, toVersion);
+    if (!before || !after) {
+      throw new Error(`Template version not found: ${!before ? from : toVersion}`);
+    }
+
+    const diff = { templateId, from: before.version || 1, to: after.version || 1 };
+    for (const [name, field] of Object.entries(TEMPLATE_CODE_FIELDS)) {
+      const lines = diffLines(before[field], after[field]);
+      diff[name] = { changed: lines.some(line => line.op !== ' '), lines };
+    }
+    diff.settings = TemplateManager.changedFields(before, after)
+      .filter(field => !Object.values(TEMPLATE_CODE_FIELDS).includes(field))
+      .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+    return diff;
+  }
+
+  /**
+   * Restore a kept version by saving its content as a new version, so the
+   * change being undone stays in the version list
+   */
+  async rollback(templateId, version, { author = null } = {}) {
+    const template = this.templates.get(templateId);
+    if (!template) {
+      throw new Error(`Template not found: ${templateId}`);
+    }
+
+    const target = await this.getTemplateVersion(templateId, version);
+    if (!target) {
+      throw new Error(`Template version not found: ${version}`);
+    }
+    if (TemplateManager.changedFields(template, target).length === 0) {
+      throw new Error(`Template already matches version ${version}`);
+    }
+
+    const content = { ...target };
+    TEMPLATE_META_FIELDS.forEach(field => delete content[field]);
+
+    const restored = await this.updateTemplate(templateId, content, { author, rolledBackFrom: target.version || 1 });
+    this.logger.info('Template rolled back', { templateId, restoredVersion: target.version, version: restored.version });
+    return restored;
+  }
+
+  getTemplates(filter = {}) {
+    let templates = Array.from(this.templates.values());
+
+    if (filter.eventType) {
+      templates = templates.filter(t => t.eventType === filter.eventType);
+    }
+
+    if (filter.enabled !== undefined) {
+      templates = templates.filter(t => t.enabled === filter.enabled);
+    }
+
+    return templates;
+  }
+
+  async incrementUsage(templateId) {
+    const template = this.templates.get(templateId);
+    if (template) {
+      template.usageCount = (template.usageCount || 0) + 1;
+      await this.storage.set(`template:${templateId}`, JSON.stringify(template));
+    }
+  }
+
+  /**
+   * Check a template's display conditions against an event.
+   * Returns null when the template may be shown, otherwise the reason it can't.
+   *
+   * @param {Object} audience - { roles: { vip, subscriber, ... }, firstTime }
+   */
+  checkConditions(template, data, audience) {
+    if (template.minAmount && !(Number(data.amount) >= template.minAmount)) {
+      return 'Amount below minimum threshold';
+    }
+
+    if (template.maxAmount && !(Number(data.amount) <= template.maxAmount)) {
+      return 'Amount above maximum threshold';
+    }
+
+    if (template.minViewers && !(Number(data.viewers) >= template.minViewers)) {
+      return 'Viewers below minimum threshold';
+    }
+
+    if (template.tiers && template.tiers.length > 0) {
+      // Twitch reports tiers as 1000/2000/3000
+      let tier = Number(data.tier) || 1;
+      if (tier >= 1000) tier = tier / 1000;
+      if (!template.tiers.map(Number).includes(tier)) {
+        return 'Subscription tier does not match';
+      }
+    }
+
+    if (template.minMonths && !(Number(data.months) >= template.minMonths)) {
+      return 'Months below minimum threshold';
+    }
+
+    if (template.maxMonths && !(Number(data.months) <= template.maxMonths)) {
+      return 'Months above maximum threshold';
+    }
+
+    if (template.vipOnly && !audience.roles.vip) {
+      return 'Template is restricted to VIPs';
+    }
+
+    if (template.subOnly && !audience.roles.subscriber) {
+      return 'Template is restricted to subscribers';
+    }
+
+    if (template.firstTimeOnly && !audience.firstTime) {
+      return 'Template is restricted to first-time viewers';
+    }
+
+    return null;
+  }
+
+  /**
+   * Number of conditions a template sets; more specific templates win selection
+   */
+  specificity(template) {
+    return [
+      template.minAmount,
+      template.maxAmount,
+      template.minViewers,
+      template.tiers && template.tiers.length > 0,
+      template.minMonths,
+      template.maxMonths,
+      template.vipOnly,
+      template.subOnly,
+      template.firstTimeOnly
+    ].filter(Boolean).length;
+  }
+
+  /**
+   * How tightly a template's amount, month and viewer ranges fit, compared
+   * field by field: the higher minimum first, then the lower maximum. Tiers
+   * of $5+ and $50+ both match $100; the $50+ tier is the closer fit.
+   * @returns {number[]} smaller sorts first
+   */
+  rangeFit(template) {
+    const min = (value) => -(Number(value) || 0);
+    const max = (value) => (value !== undefined && value !== null && value !== '' ? Number(value) : Infinity);
+    return [
+      min(template.minAmount),
+      max(template.maxAmount),
+      min(template.minMonths),
+      max(template.maxMonths),
+      min(template.minViewers)
+    ];
+  }
+
+  compareRangeFit(a, b) {
+    const fitA = this.rangeFit(a);
+    const fitB = this.rangeFit(b);
+    for (let i = 0; i < fitA.length; i++) {
+      if (fitA[i] !== fitB[i]) return fitA[i] < fitB[i] ? -1 : 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Choose the template for an event:
+   * 1. Only enabled templates for the event type whose conditions match
+   * 2. The most specific ones (amount ranges, tiers, months, audience)
+   * 3. Among those, the closest range fit (highest minimum, lowest maximum)
+   * 4. Among those, the lowest priority number
+   * 5. Remaining variants are picked weighted-random by their weight
+   *
+   * @returns {Object} { template, selection } or { skipReason } / {}
+   */
+  selectTemplate(eventType, data, audience) {
+    const templates = this.getTemplates({ eventType, enabled: true });
+    if (templates.length === 0) {
+      return {};
+    }
+
+    const matching = templates.filter(t => !this.checkConditions(t, data, audience));
+    if (matching.length === 0) {
+      return { skipReason: this.checkConditions(templates[0], data, audience) };
+    }
+
+    const topSpecificity = Math.max(...matching.map(t => this.specificity(t)));
+    const mostSpecific = matching.filter(t => this.specificity(t) === topSpecificity);
+
+    const closest = mostSpecific.reduce((best, t) => (this.compareRangeFit(t, best) < 0 ? t : best));
+    const closestFit = mostSpecific.filter(t => this.compareRangeFit(t, closest) === 0);
+
+    const priorityOf = (t) => (t.priority !== undefined && t.priority !== null ? Number(t.priority) : 5);
+    const topPriority = Math.min(...closestFit.map(priorityOf));
+    const variants = closestFit.filter(t => priorityOf(t) === topPriority);
+
+    const template = this.pickWeighted(variants);
+    const reasonParts = [`specificity ${topSpecificity}`];
+    if (closestFit.length < mostSpecific.length) {
+      reasonParts.push('closest range');
+    }
+    reasonParts.push(`priority ${topPriority}`);
+    if (variants.length > 1) {
+      reasonParts.push(`weighted variant (weight ${this.weightOf(template)} of ${variants.reduce((sum, t) => sum + this.weightOf(t), 0)})`);
+    }
+
+    return {
+      template,
+      selection: {
+        method: variants.length > 1 ? 'weighted' : matching.length > 1 ? 'specificity' : 'only-match',
+        reason: `Matched ${matching.length} of ${templates.length} templates; chose "${template.name}" by ${reasonParts.join(', ')}`,
+        specificity: topSpecificity,
+        priority: topPriority,
+        candidates: matching.length,
+        variants: variants.length
+      }
+    };
+  }
+
+  weightOf(template) {
+    const weight = Number(template.weight);
+    return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+  }
+
+  pickWeighted(variants) {
+    const total = variants.reduce((sum, t) => sum + this.weightOf(t), 0);
+    if (total <= 0) {
+      return variants[Math.floor(Math.random() * variants.length)];
+    }
+
+    let roll = Math.random() * total;
+    for (const variant of variants) {
+      roll -= this.weightOf(variant);
+      if (roll < 0) {
+        return variant;
+      }
+    }
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Throws if any of the template's text fields fail to parse
+   */
+  validateTemplate(template) {
+    this.engine.compile(template.htmlContent || '', 'html');
+    this.engine.compile(template.cssContent || '', 'css');
+    this.engine.compile(template.ttsTemplate || '', 'text');
+
+    if (template.jsContent) {
+      try {
+        // Compiled only to catch syntax errors; the script runs in the overlay
+        new Function('alert', template.jsContent);
+      } catch (error) {
+        throw new Error(`Template script error: ${error.message}`);
+      }
+    }
+
+    if (template.mediaType) {
+      if (!MEDIA_TYPES.includes(template.mediaType)) {
+        throw new Error(`Unknown media type: ${template.mediaType}`);
+      }
+      // Uploaded files or web URLs only, never javascript: or data: URLs
+      const mediaUrl = template.mediaUrl || '';
+      if (!mediaUrl.startsWith(MEDIA_URL_PREFIX) && !/^https?:\/\//i.test(mediaUrl)) {
+        throw new Error('Media URL must be an uploaded file or an http(s) URL');
+      }
+    }
+
+    if (template.mediaSettings != null) {
+      const media = template.mediaSettings;
+      if (typeof media !== 'object' || Array.isArray(media)) {
+        throw new Error('Media settings must be an object');
+      }
+      // Unset (null) plays at the default volume
+      if (media.volume != null && !(Number.isFinite(media.volume) && media.volume >= 0 && media.volume <= 1)) {
+        throw new Error('Media volume must be between 0 and 1');
+      }
+    }
+
+    if (template.layout != null) {
+      validateLayout(template.layout);
+    }
+  }
+
+  buildContext(data = {}) {
+    // Defaults keep pre-engine templates rendering the same; every other
+    // event field (including nested objects and arrays) is passed through
+    return {
+      ...data,
+      username: data.username || '',
+      displayName: data.displayName || data.username || '',
+      amount: data.amount !== undefined ? data.amount : '',
+      message: data.message || '',
+      tier: data.tier || 1,
+      months: data.months || 1,
+      viewers: data.viewers || 0,
+      currency: data.currency || 'USD'
+    };
+  }
+
+  /**
+   * @param {Object} options - lottiePlayerUrl: script that provides window.lottie
+   */
+  renderTemplate(template, data, options = {}) {
+    const context = this.buildContext(data);
+    const html = this.engine.render(template.htmlContent, context, { mode: 'html' });
+    // A literal </style> would close the overlay's style element early
+    const css = this.engine.render(template.cssContent, context, { mode: 'css' }).replace(/<\/style/gi, '<\\/style');
+    const media = template.mediaType ? this.renderMedia(template, options) : null;
+
+    return {
+      html: media ? media.wrap(html) : html,
+      css: media ? MEDIA_CSS + css : css,
+      scripts: media ? media.scripts : '',
+      duration: template.duration,
+      animation: template.animation,
+      sound: template.soundFile,
+      soundVolume: template.soundVolume
+    };
+  }
+
+  /**
+   * Build the media layer for a media template. The rendered (already
+   * sanitized) HTML is composed with it, and any player scripts are returned
+   * separately for the overlay document.
+   */
+  renderMedia(template, options = {}) {
+    const settings = { ...MEDIA_DEFAULTS, ...(template.mediaSettings || {}) };
+    const url = this.engine.escapeHtml(template.mediaUrl || '');
+    const size = ['width', 'height']
+      .filter(dimension => Number(settings[dimension]) > 0)
+      .map(dimension => `${dimension}: ${Number(settings[dimension])}px;`)
+      .join(' ');
+    const style = size ? ` style="${size}"` : '';
+    // Templates saved before media settings were validated may hold anything
+    const volume = settings.volume != null && Number.isFinite(Number(settings.volume))
+      ? Math.min(1, Math.max(0, Number(settings.volume)))
+      : MEDIA_DEFAULTS.volume;
+
+    let element;
+    let scripts = '';
+    switch (template.mediaType) {
+      case 'video':
+        element = `<video src="${url}"${style} playsinline${settings.autoplay ? ' autoplay' : ''}`
+          + `${settings.loop ? ' loop' : ''}${volume === 0 ? ' muted' : ''}></video>`;
+        scripts = `<script>
+          document.querySelectorAll('.alert-media video').forEach(function (video) { video.volume = ${volume}; });
+        </script>`;
+        break;
+      case 'lottie':
+        element = `<div class="alert-lottie"${style}></div>`;
+        scripts = `<script src="${this.engine.escapeHtml(options.lottiePlayerUrl || LOTTIE_PLAYER_URL)}"></script>
+        <script>
+          if (window.lottie) {
+            window.lottie.loadAnimation({
+              container: document.querySelector('.alert-lottie'),
+              renderer: 'svg',
+              loop: ${settings.loop === true},
+              autoplay: ${settings.autoplay !== false},
+              path: ${JSON.stringify(template.mediaUrl || '').replace(/</g, '\\u003c')}
+            });
+          }
+        </script>`;
+        break;
+      default:
+        // Images and GIFs; GIFs loop on their own
+        element = `<img src="${url}"${style} alt="">`;
+    }
+
+    const placement = ['behind', 'above', 'below'].includes(settings.placement) ? settings.placement : 'behind';
+    return {
+      wrap: (html) => `<div class="alert-media-stack alert-media-${placement}">`
+        + `<div class="alert-media">${element}</div>`
+        + `<div class="alert-media-content">${html}</div>`
+        + '</div>',
+      scripts
+    };
+  }
+
+  renderSpeech(source, data) {
+    return this.engine.render(source || '', this.buildContext(data), { mode: 'text' }).trim();
+  }
+}
+
+// ============================================================================
+// Media Library
+// ============================================================================
+
+/**
+ * Metadata for uploaded media files (images, GIFs, videos, Lottie
+ * animations), stored as media:<id>. The files themselves are written and
+ * probed by the admin UI routes, since modules have no filesystem access.
+ */
+class MediaLibrary {
+  constructor(logger, storage) {
+    this.logger = logger;
+    this.storage = storage;
+    this.items = new Map();
+  }
+
+  async initialize(keys) {
+    for (const key of keys.filter(k => k.startsWith('media:'))) {
+      const data = await this.storage.get(key);
+      if (!data) continue;
+
+      try {
+        const item = JSON.parse(data);
+        this.items.set(item.id, item);
+      } catch (error) {
+        this.logger.error('Failed to parse media item', { key, error: error.message });
+      }
+    }
+
+    this.logger.info('Media library initialized', { count: this.items.size });
+  }
+
+  async addMedia(media) {
+    if (!MEDIA_TYPES.includes(media.mediaType)) {
+      throw new Error(`Unknown media type: ${media.mediaType}`);
+    }
+    if (!media.url) {
+      throw new Error('Media URL is required');
+    }
+
+    const item = {
+      id: 'media_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      name: media.name || media.fileName,
+      fileName: media.fileName,
+      url: media.url,
+      mediaType: media.mediaType,
+      format: media.format || null,
+      mimeType: media.mimeType || null,
+      fileSize: media.fileSize || 0,
+      width: media.width || null,
+      height: media.height || null,
+      // Seconds, null for still images
+      duration: media.duration || null,
+      uploadedAt: new Date().toISOString()
+    };
+
+    this.items.set(item.id, item);
+    await this.storage.set(`media:${item.id}`, JSON.stringify(item));
+
+    this.logger.info('Media added', { mediaId: item.id, mediaType: item.mediaType });
+    return item;
+  }
+
+  getMedia(filter = {}) {
+    let items = Array.from(this.items.values());
+    if (filter.mediaType) {
+      items = items.filter(item => item.mediaType === filter.mediaType);
+    }
+    return items.sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+  }
+
+  getMediaItem(id) {
+    return this.items.get(id) || null;
+  }
+
+  findByUrl(url) {
+    return Array.from(this.items.values()).find(item => item.url === url) || null;
+  }
+
+  async deleteMedia(id) {
+    const item = this.items.get(id);
+    if (!item) {
+      return null;
+    }
+
+    this.items.delete(id);
+    await this.storage.delete(`media:${id}`);
+
+    this.logger.info('Media deleted', { mediaId: id });
+    return item;
+  }
+}
+
+// ============================================================================
+// Sound Library
+// ============================================================================
+
+// Volume of sounds that were uploaded without one
+const SOUND_DEFAULT_VOLUME = 0.8;
+
+/**
+ * Uploaded alert sounds, stored as sound:<id>. Like media, the files are
+ * written and probed by the admin UI routes; this keeps their metadata, tags,
+ * usage counts and loudness for volume normalization.
+ */
+class SoundLibrary {
+  constructor(logger, storage) {
+    this.logger = logger;
+    this.storage = storage;
+    this.sounds = new Map();
+    this.normalize = true;
+    this.loudnessTarget = -18;
+  }
+
+  async initialize(keys) {
+    for (const key of keys.filter(k => k.startsWith('sound:'))) {
+      const data = await this.storage.get(key);
+      if (!data) continue;
+
+      try {
+        const sound = JSON.parse(data);
+        this.sounds.set(sound.id, sound);
+      } catch (error) {
+        this.logger.error('Failed to parse sound', { key, error: error.message });
+      }
+    }
+
+    this.logger.info('Sound library initialized', { count: this.sounds.size });
+  }
+
+  /**
+   * @param {Object} settings - normalizeSounds, soundLoudnessTarget (RMS dBFS)
+   */
+  configure({ normalizeSounds = true, soundLoudnessTarget = -18 } = {}) {
+    this.normalize = normalizeSounds !== false;
+    this.loudnessTarget = Number(soundLoudnessTarget) || -18;
+  }
+
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  static normalizeLoudness(loudness) {
+    if (!loudness) return null;
+
+    const peakDb = Number(loudness.peakDb);
+    const rmsDb = Number(loudness.rmsDb);
+    if (!Number.isFinite(peakDb) || !Number.isFinite(rmsDb) || rmsDb > peakDb) {
+      return null;
+    }
+    return { peakDb, rmsDb };
+  }
+
+  async addSound(sound) {
+    if (!sound.url) {
+      throw new Error('Sound URL is required');
+    }
+
+    const entry = {
+      id: 'sound_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      name: sound.name || sound.fileName,
+      fileName: sound.fileName,
+      url: sound.url,
+      format: sound.format || null,
+      mimeType: sound.mimeType || null,
+      fileSize: sound.fileSize || 0,
+      // Seconds
+      duration: sound.duration || null,
+      sampleRate: sound.sampleRate || null,
+      channels: sound.channels || null,
+      // Peak and RMS level in dBFS, null when not measured
+      loudness: SoundLibrary.normalizeLoudness(sound.loudness),
+      tags: SoundLibrary.normalizeTags(sound.tags),
+      defaultVolume: sound.defaultVolume !== undefined ? sound.defaultVolume : SOUND_DEFAULT_VOLUME,
+      usageCount: 0,
+      lastUsedAt: null,
+      uploadedAt: new Date().toISOString()
+    };
+
+    this.sounds.set(entry.id, entry);
+    await this.storage.set(`sound:${entry.id}`, JSON.stringify(entry));
+
+    this.logger.info('Sound added', { soundId: entry.id, format: entry.format });
+    return entry;
+  }
+
+  /**
+   * @param {Object} filter - tag, search (name or file name)
+   */
+  getSounds(filter = {}) {
+    let sounds = Array.from(this.sounds.values());
+
+    if (filter.tag) {
+      const tag = filter.tag.toLowerCase();
+      sounds = sounds.filter(sound => (sound.tags || []).includes(tag));
+    }
+    if (filter.search) {
+      const search = filter.search.toLowerCase();
+      sounds = sounds.filter(sound =>
+        `${sound.name} ${sound.fileName}`.toLowerCase().includes(search)
+      );
+    }
+
+    return sounds.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  getSound(id) {
+    return this.sounds.get(id) || null;
+  }
+
+  /**
+   * Find a sound by the value a template stores in soundFile: its URL, ID or
+   * file name
+   */
+  findSound(file) {
+    if (!file) return null;
+    return Array.from(this.sounds.values()).find(sound =>
+      sound.url === file || sound.id === file || sound.fileName === file
+    ) || null;
+  }
+
+  async updateSound(id, updates) {
+    const sound = this.sounds.get(id);
+    if (!sound) {
+      throw new Error(`Sound not found: ${id}`);
+    }
+
+    if (updates.name !== undefined) sound.name = String(updates.name).trim() || sound.name;
+    if (updates.tags !== undefined) sound.tags = SoundLibrary.normalizeTags(updates.tags);
+    if (updates.defaultVolume !== undefined) {
+      sound.defaultVolume = Math.min(1, Math.max(0, Number(updates.defaultVolume) || 0));
+    }
+    if (updates.loudness !== undefined) sound.loudness = SoundLibrary.normalizeLoudness(updates.loudness);
+
+    await this.storage.set(`sound:${id}`, JSON.stringify(sound));
+    return sound;
+  }
+
+  async deleteSound(id) {
+    const sound = this.sounds.get(id);
+    if (!sound) {
+      return null;
+    }
+
+    this.sounds.delete(id);
+    await this.storage.delete(`sound:${id}`);
+
+    this.logger.info('Sound deleted', { soundId: id });
+    return sound;
+  }
+
+  static volumeOrNull(volume) {
+    if (volume === undefined || volume === null || volume === '') return null;
+    const value = Number(volume);
+    return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null;
+  }
+
+  /**
+   * The volume a template plays a sound at: its own soundVolume when set,
+   * otherwise the sound's default volume
+   */
+  templateVolume(sound, soundVolume) {
+    const volume = SoundLibrary.volumeOrNull(soundVolume);
+    if (volume !== null) return volume;
+    return sound && sound.defaultVolume !== undefined ? sound.defaultVolume : SOUND_DEFAULT_VOLUME;
+  }
+
+  /**
+   * Volume to play a sound at so that measured sounds land near the loudness
+   * target. Loud sounds are turned down; quiet ones are turned up only as far
+   * as volume 1 allows and never so far that their peak goes above 0 dBFS.
+   */
+  playbackVolume(sound, volume) {
+    if (!this.normalize || !sound || !sound.loudness) {
+      return volume;
+    }
+
+    const gainDb = Math.min(this.loudnessTarget - sound.loudness.rmsDb, -sound.loudness.peakDb);
+    return Math.min(1, volume * Math.pow(10, gainDb / 20));
+  }
+
+  async recordUsage(sound) {
+    sound.usageCount = (sound.usageCount || 0) + 1;
+    sound.lastUsedAt = new Date().toISOString();
+    await this.storage.set(`sound:${sound.id}`, JSON.stringify(sound));
+  }
+}
+
+// ============================================================================
+// Viewer Tracker
+// ============================================================================
+
+// Viewers kept in memory; the least recently seen are dropped first
+const VIEWER_CACHE_SIZE = 5000;
+
+// Sightings are written to storage in batches, at most this often
+const VIEWER_FLUSH_INTERVAL_MS = 10000;
+
+// Viewers not seen for this long are deleted and count as new again
+const VIEWER_RETENTION_DAYS = 90;
+
+const VIEWER_PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Remembers when each viewer was first seen (alert or chat message) so
+ * templates can target first-time viewers. Persisted as viewer:<platform>:<name>.
+ */
+class ViewerTracker {
+  constructor(logger, storage) {
+    this.logger = logger;
+    this.storage = storage;
+    // Recently used viewers, least recent first; null for viewers never seen
+    this.viewers = new Map();
+    // Sightings not written to storage yet
+    this.pending = new Map();
+    this.flushTimer = null;
+    this.pruneTimer = null;
+  }
+
+  viewerKey(username, platform) {
+    return `viewer:${platform || 'default'}:${String(username).toLowerCase()}`;
+  }
+
+  remember(key, viewer) {
+    this.viewers.delete(key);
+    this.viewers.set(key, viewer);
+    if (this.viewers.size > VIEWER_CACHE_SIZE) {
+      this.viewers.delete(this.viewers.keys().next().value);
+    }
+  }
+
+  async getViewer(username, platform) {
+    const key = this.viewerKey(username, platform);
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+    if (this.viewers.has(key)) {
+      const viewer = this.viewers.get(key);
+      this.remember(key, viewer);
+      return viewer;
+    }
+
+    let viewer = null;
+    const data = await this.storage.get(key);
+    if (data) {
+      try {
+        viewer = JSON.parse(data);
+      } catch (error) {
+        this.logger.error('Failed to parse viewer', { key, error: error.message });
+      }
+    }
+
+    this.remember(key, viewer);
+    return viewer;
+  }
+
+  /**
+   * Whether the viewer counts as first-time: never seen before, seen so long
+   * ago that the sighting has expired, or first seen within the last windowMs
+   * (so a new chatter who follows a few minutes later still gets the
+   * first-time alert)
+   */
+  isFirstTime(viewer, windowMs = 0, now = new Date()) {
+    return !viewer || this.isExpired(viewer, now) || now - new Date(viewer.firstSeenAt) < windowMs;
+  }
+
+  isExpired(viewer, now = new Date()) {
+    return now - new Date(viewer.lastSeenAt) > VIEWER_RETENTION_DAYS * 86400000;
+  }
+
+  /**
+   * Check a viewer without recording a sighting, for test alerts
+   */
+  async peekFirstTime(username, platform, windowMs = 0) {
+    if (!username) return false;
+    return this.isFirstTime(await this.getViewer(username, platform), windowMs);
+  }
+
+  /**
+   * Record a sighting and report whether the viewer counts as first-time
+   */
+  async recordSeen(username, platform, windowMs = 0) {
+    if (!username) return false;
+
+    const key = this.viewerKey(username, platform);
+    const now = new Date();
+    let viewer = await this.getViewer(username, platform);
+    const firstTime = this.isFirstTime(viewer, windowMs, now);
+    if (viewer && this.isExpired(viewer, now)) {
+      viewer = null;
+    }
+
+    const updated = {
+      username,
+      platform: platform || 'default',
+      firstSeenAt: viewer ? viewer.firstSeenAt : now.toISOString(),
+      lastSeenAt: now.toISOString(),
+      seenCount: (viewer ? viewer.seenCount || 0 : 0) + 1
+    };
+
+    this.remember(key, updated);
+    this.pending.set(key, updated);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), VIEWER_FLUSH_INTERVAL_MS);
+    }
+
+    return firstTime;
+  }
+
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const batch = Array.from(this.pending.entries());
+    this.pending.clear();
+    for (const [key, viewer] of batch) {
+      try {
+        await this.storage.set(key, JSON.stringify(viewer));
+      } catch (error) {
+        this.logger.error('Failed to save viewer', { key, error: error.message });
+      }
+    }
+  }
+
+  // Prune expired viewers on an interval until stop(), starting one interval
+  // after startup so it stays out of the way of loading everything else
+  start() {
+    const run = async () => {
+      try {
+        await this.prune();
+      } catch (error) {
+        this.logger.error('Viewer pruning failed', { error: error.message });
+      }
+      this.pruneTimer = setTimeout(run, VIEWER_PRUNE_INTERVAL_MS);
+    };
+    this.pruneTimer = setTimeout(run, VIEWER_PRUNE_INTERVAL_MS);
+  }
+
+  async stop() {
+    clearTimeout(this.pruneTimer);
+    this.pruneTimer = null;
+    await this.flush();
+  }
+
+  async prune() {
+    const now = new Date();
+    const keys = (await this.storage.keys()).filter(k => k.startsWith('viewer:') && !this.pending.has(k));
+    let removed = 0;
+
+    for (const key of keys) {
+      let viewer = null;
+      try {
+        viewer = JSON.parse(await this.storage.get(key));
+      } catch (error) {
+        // Unreadable records are pruned too
+      }
+      if (!viewer || !viewer.lastSeenAt || this.isExpired(viewer, now)) {
+        await this.storage.delete(key);
+        this.viewers.delete(key);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.logger.info('Pruned expired viewers', { removed });
+    }
+  }
+}
+
+// ============================================================================
+// Event Coalescer
+// ============================================================================
+
+/**
+ * Merges bursts of same-type events (follows during a raid, gift bombs) into
+ * one aggregate alert. The first event for a group key opens a window, and
+ * everything with the same key that arrives before it closes is shown together.
+ */
+class EventCoalescer {
+  constructor(logger) {
+    this.logger = logger;
+    this.groups = new Map();
+    // Off until a window is configured, so alerts are never held back by default
+    this.windowMs = 0;
+    this.types = ['follow', 'subscribe'];
+    this.maxNames = 3;
+    this.handler = null;
+  }
+
+  setHandler(handler) {
+    this.handler = handler;
+  }
+
+  configure(options = {}) {
+    if (options.coalesceWindowMs !== undefined) {
+      this.windowMs = Math.max(0, Number(options.coalesceWindowMs) || 0);
+    }
+    if (Array.isArray(options.coalesceTypes)) {
+      this.types = options.coalesceTypes;
+    }
+    if (options.coalesceMaxNames !== undefined) {
+      this.maxNames = Math.max(1, Number(options.coalesceMaxNames) || 1);
+    }
+  }
+
+  /**
+   * Hold an event for grouping
+   * @returns {boolean} false if coalescing is off for this type and the
+   * caller should show the alert itself
+   */
+  add(type, data, groupKey = type) {
+    if (!this.handler || this.windowMs === 0 || !this.types.includes(type)) {
+      return false;
+    }
+
+    let group = this.groups.get(groupKey);
+    if (!group) {
+      group = {
+        type,
+        events: [],
+        timer: setTimeout(() => this.flush(groupKey), this.windowMs)
+      };
+      this.groups.set(groupKey, group);
+    }
+
+    group.events.push(data);
+    return true;
+  }
+
+  async flush(groupKey) {
+    const group = this.groups.get(groupKey);
+    if (!group) {
+      return;
+    }
+
+    this.groups.delete(groupKey);
+    clearTimeout(group.timer);
+
+    const data = group.events.length === 1 ? group.events[0] : this.aggregate(group.events);
+    if (data.grouped) {
+      this.logger.info('Coalesced events into one alert', { type: group.type, count: data.count });
+    }
+
+    try {
+      await this.handler(group.type, data);
+    } catch (error) {
+      this.logger.error('Failed to show coalesced alert', { type: group.type, error: error.message });
+    }
+  }
+
+  async flushAll() {
+    for (const groupKey of Array.from(this.groups.keys())) {
+      await this.flush(groupKey);
+    }
+  }
+
+  /**
+   * Build the aggregate event. Gift groups share one gifter, who becomes the
+   * alert's user; other groups list the individual users.
+   */
+  aggregate(events) {
+    const first = events[0];
+    const users = events.map(event => event.displayName || event.username);
+    const listed = users.slice(0, this.maxNames);
+    const others = users.length - listed.length;
+
+    const data = {
+      platform: first.platform,
+      tier: first.tier,
+      grouped: true,
+      count: events.length,
+      users,
+      names: this.formatNames(listed, others),
+      others
+    };
+
+    if (first.gifter) {
+      return {
+        ...data,
+        username: first.gifter,
+        displayName: first.gifter,
+        gifter: first.gifter,
+        isGift: true,
+        recipients: users
+      };
+    }
+
+    return {
+      ...data,
+      username: first.username,
+      displayName: data.names
+    };
+  }
+
+  // "A, B, C and 9 more" or "A, B and C"
+  formatNames(listed, others) {
+    if (others > 0) {
+      return `${listed.join(', ')} and ${others} more`;
+    }
+    if (listed.length < 2) {
+      return listed.join('');
+    }
+    return `${listed.slice(0, -1).join(', ')} and ${listed[listed.length - 1]}`;
+  }
+}
+
+// ============================================================================
+// Text-to-Speech
+// ============================================================================
+
+// Rough speaking time, about 160 words per minute at normal speed
+function estimateSpeechDuration(text, speed = 1) {
+  const words = String(text).split(/\s+/).filter(Boolean).length;
+  return Math.ceil((words / 160) * 60000 / (Number(speed) || 1));
+}
+
+// The default engine. Modules cannot run native synthesizers, so the admin UI
+// server registers it (routes/lib/localTts.js) when it finds one
+const LOCAL_TTS_ENGINE = 'local';
+
+/**
+ * Fallback while no audio engine is registered: the text is spoken by the
+ * overlay browser's own voices (speechSynthesis) instead of context.audio.
+ */
+const overlayTtsEngine = {
+  id: 'overlay',
+  name: 'Overlay browser voices',
+  async synthesize({ text, voice, speed }) {
+    return {
+      speech: { text, lang: voice, rate: speed },
+      durationMs: estimateSpeechDuration(text, speed)
+    };
+  }
+};
+
+/**
+ * Pluggable TTS pipeline. Engines are objects with an id, a name and
+ *   synthesize({ text, voice, speed }) => { audio, mimeType, durationMs }
+ * where audio is a URL or data: URL played through context.audio, or
+ *   => { speech, durationMs } for speech the overlay performs itself.
+ * Synthesized audio is cached in storage as tts:<engine>:<hash>; engines that
+ * keep files can implement discard(output) to delete one the cache dropped.
+ */
+class TtsManager {
+  constructor(logger, storage) {
+    this.logger = logger;
+    this.storage = storage;
+    this.engines = new Map();
+    this.engineId = LOCAL_TTS_ENGINE;
+    this.cacheSize = 100;
+    // Cache key -> last used timestamp, for least-recently-used eviction
+    this.cacheIndex = new Map();
+
+    this.registerEngine(overlayTtsEngine);
+  }
+
+  async initialize(keys) {
+    for (const key of keys.filter(k => k.startsWith('tts:'))) {
+      const data = await this.storage.get(key);
+      if (!data) continue;
+
+      try {
+        this.cacheIndex.set(key, new Date(JSON.parse(data).createdAt).getTime() || 0);
+      } catch (error) {
+        this.logger.error('Failed to parse TTS cache entry', { key, error: error.message });
+      }
+    }
+
+    this.logger.info('TTS cache loaded', { entries: this.cacheIndex.size });
+  }
+
+  configure(options = {}) {
+    if (options.ttsEngine) {
+      this.engineId = options.ttsEngine;
+    }
+    if (options.ttsCacheSize !== undefined) {
+      this.cacheSize = Math.max(0, Number(options.ttsCacheSize) || 0);
+    }
+  }
+
+  registerEngine(engine) {
+    if (!engine || !engine.id || typeof engine.synthesize !== 'function') {
+      throw new Error('TTS engine requires an id and a synthesize() function');
+    }
+
+    this.engines.set(engine.id, engine);
+    this.logger.info('TTS engine registered', { engine: engine.id });
+  }
+
+  unregisterEngine(engineId) {
+    if (engineId === overlayTtsEngine.id) {
+      throw new Error('The overlay TTS engine cannot be removed');
+    }
+    return this.engines.delete(engineId);
+  }
+
+  // Falls back to the local engine, then to the overlay's voices, when the
+  // configured one is not registered
+  getEngine() {
+    return this.engines.get(this.engineId) || this.engines.get(LOCAL_TTS_ENGINE) || overlayTtsEngine;
+  }
+
+  getEngines() {
+    const active = this.getEngine();
+    return Array.from(this.engines.values()).map(engine => ({
+      id: engine.id,
+      name: engine.name || engine.id,
+      voices: engine.voices || [],
+      active: engine === active
+    }));
+  }
+
+  // FNV-1a; entries also store their request, so a collision is only a miss
+  cacheKey(engineId, request) {
+    const input = `${request.voice}|${request.speed}|${request.text}`;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `tts:${engineId}:${hash.toString(16)}`;
+  }
+
+  /**
+   * @param {string} text - Text to speak
+   * @param {Object} options - voice and speed
+   * @returns {Promise<Object>} { engine, text, audio, mimeType, speech, durationMs, cached }
+   */
+  async synthesize(text, options = {}) {
+    const engine = this.getEngine();
+    const request = {
+      text,
+      voice: options.voice || 'en-US',
+      speed: Number(options.speed) || 1
+    };
+    const key = this.cacheKey(engine.id, request);
+
+    const cached = await this.readCache(key, request);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    const result = await engine.synthesize(request);
+    if (!result || (!result.audio && !result.speech)) {
+      throw new Error(`TTS engine "${engine.id}" returned no audio`);
+    }
+
+    const output = {
+      engine: engine.id,
+      text,
+      audio: result.audio || null,
+      mimeType: result.mimeType || null,
+      speech: result.speech || null,
+      durationMs: Number(result.durationMs) || estimateSpeechDuration(text, request.speed)
+    };
+
+    // Overlay speech is cheap to produce again, only audio is worth keeping
+    if (output.audio) {
+      await this.writeCache(key, request, output);
+    }
+
+    return { ...output, cached: false };
+  }
+
+  async readCache(key, request) {
+    if (!this.cacheIndex.has(key)) {
+      return null;
+    }
+
+    const data = await this.storage.get(key);
+    if (!data) {
+      this.cacheIndex.delete(key);
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(data);
+      if (entry.text !== request.text || entry.voice !== request.voice || entry.speed !== request.speed) {
+        return null;
+      }
+
+      this.cacheIndex.set(key, Date.now());
+      return entry.output;
+    } catch (error) {
+      this.logger.error('Failed to parse TTS cache entry', { key, error: error.message });
+      return null;
+    }
+  }
+
+  async writeCache(key, request, output) {
+    if (this.cacheSize === 0) {
+      return;
+    }
+
+    await this.storage.set(key, JSON.stringify({
+      ...request,
+      output,
+      createdAt: new Date().toISOString()
+    }));
+    this.cacheIndex.set(key, Date.now());
+
+    while (this.cacheIndex.size > this.cacheSize) {
+      let oldestKey = null;
+      for (const [cacheKey, usedAt] of this.cacheIndex) {
+        if (oldestKey === null || usedAt < this.cacheIndex.get(oldestKey)) {
+          oldestKey = cacheKey;
+        }
+      }
+      await this.removeEntry(oldestKey);
+    }
+  }
+
+  // Drop a cache entry and let its engine delete any file behind it
+  async removeEntry(key) {
+    this.cacheIndex.delete(key);
+    const engine = this.engines.get(key.split(':')[1]);
+
+    if (engine && typeof engine.discard === 'function') {
+      try {
+        const entry = JSON.parse(await this.storage.get(key));
+        if (entry && entry.output) {
+          await engine.discard(entry.output);
+        }
+      } catch (error) {
+        this.logger.warn('Failed to discard cached speech', { key, error: error.message });
+      }
+    }
+
+    await this.storage.delete(key);
+  }
+
+  async clearCache() {
+    const keys = Array.from(this.cacheIndex.keys());
+    for (const key of keys) {
+      await this.removeEntry(key);
+    }
+
+    this.logger.info('TTS cache cleared', { entriesRemoved: keys.length });
+    return keys.length;
+  }
+}
+
+/**
+ * Makes viewer-supplied text safe to read aloud. Messages are cleaned
+ * (emotes, links, spam, length) before the TTS template is rendered, and the
+ * word blocklist and regex rules then apply to the whole spoken text, so
+ * display names are covered too. Muted users are stored as
+ * ttsmute:<platform>:<name>, with '*' matching every platform.
+ */
+class TtsModerator {
+  constructor(logger, storage) {
+    this.logger = logger;
+    this.storage = storage;
+    this.muted = new Map();
+    this.blockedWords = null;
+    this.rules = [];
+    this.replacement = 'bleep';
+    this.stripUrls = true;
+    this.collapseSpam = true;
+    this.maxLength = 200;
+  }
+
+  async initialize(keys) {
+    for (const key of keys.filter(k => k.startsWith('ttsmute:'))) {
+      const data = await this.storage.get(key);
+      if (!data) continue;
+
+      try {
+        this.muted.set(key, JSON.parse(data));
+      } catch (error) {
+        this.logger.error('Failed to parse TTS mute entry', { key, error: error.message });
+      }
+    }
+
+    this.logger.info('TTS moderation initialized', { mutedUsers: this.muted.size });
+  }
+
+  /**
+   * @throws {Error} if a regex rule does not compile
+   */
+  configure(options = {}) {
+    if (options.ttsRegexRules !== undefined) {
+      this.rules = TtsModerator.compileRules(options.ttsRegexRules);
+    }
+    if (options.ttsBlockedWords !== undefined) {
+      const words = (options.ttsBlockedWords || [])
+        .map(word => String(word).trim())
+        .filter(Boolean)
+        .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      this.blockedWords = words.length > 0 ? new RegExp(`\\b(?:${words.join('|')})\\b`, 'gi') : null;
+    }
+    if (options.ttsReplacement !== undefined) {
+      this.replacement = String(options.ttsReplacement || '');
+    }
+    if (options.ttsStripUrls !== undefined) {
+      this.stripUrls = options.ttsStripUrls !== false;
+    }
+    if (options.ttsCollapseSpam !== undefined) {
+      this.collapseSpam = options.ttsCollapseSpam !== false;
+    }
+    if (options.ttsMaxLength !== undefined) {
+      this.maxLength = Math.max(0, Number(options.ttsMaxLength) || 0);
+    }
+  }
+
+  /**
+   * @param {Array} rules - { pattern, flags, replacement }
+   * @returns {Array} rules with a compiled regex
+   */
+  static compileRules(rules) {
+    return (rules || []).map(rule => {
+      try {
+        const flags = rule.flags !== undefined ? rule.flags : 'gi';
+        return {
+          regex: new RegExp(rule.pattern, flags.includes('g') ? flags : flags + 'g'),
+          replacement: rule.replacement !== undefined ? String(rule.replacement) : ''
+        };
+      } catch (error) {
+        throw new Error(`Invalid TTS rule "${rule.pattern}": ${error.message}`);
+      }
+    });
+  }
+
+  muteKey(username, platform) {
+    return `ttsmute:${platform || '*'}:${String(username).toLowerCase()}`;
+  }
+
+  getMutedUser(username, platform) {
+    if (!username) return null;
+    return this.muted.get(this.muteKey(username, platform)) || this.muted.get(this.muteKey(username, '*')) || null;
+  }
+
+  getMutedUsers() {
+    return Array.from(this.muted.values());
+  }
+
+  async muteUser(username, platform, reason) {
+    if (!username) {
+      throw new Error('Username is required');
+    }
+
+    const key = this.muteKey(username, platform);
+    const entry = {
+      id: key.slice('ttsmute:'.length),
+      username: String(username).toLowerCase(),
+      platform: platform || '*',
+      reason: reason || '',
+      createdAt: new Date().toISOString()
+    };
+
+    this.muted.set(key, entry);
+    await this.storage.set(key, JSON.stringify(entry));
+
+    this.logger.info('User muted for TTS', { username: entry.username, platform: entry.platform });
+    return entry;
+  }
+
+  // id is <platform>:<username> as returned by muteUser
+  async unmuteUser(id) {
+    const key = `ttsmute:${id}`;
+    if (!this.muted.has(key)) {
+      return false;
+    }
+
+    this.muted.delete(key);
+    await this.storage.delete(key);
+
+    this.logger.info('User unmuted for TTS', { id });
+    return true;
+  }
+
+  /**
+   * Clean a viewer message before it is rendered into the TTS text
+   * @param {Array} emotes - Emote names (or { name } / { code }) from the event
+   * @returns {Object} { text, applied }
+   */
+  cleanMessage(message, emotes) {
+    const applied = [];
+    let text = String(message || '');
+    const apply = (step, next) => {
+      if (next !== text) {
+        applied.push(step);
+        text = next;
+      }
+    };
+
+    const emoteNames = (Array.isArray(emotes) ? emotes : [])
+      .map(emote => (typeof emote === 'string' ? emote : emote && (emote.name || emote.code)))
+      .filter(Boolean)
+      .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (emoteNames.length > 0) {
+      apply('emotes', text.replace(new RegExp(`(^|\\s)(?:${emoteNames.join('|')})(?=\\s|$)`, 'g'), '$1'));
+    }
+
+    if (this.stripUrls) {
+      apply('urls', text
+        .replace(/\b(?:https?:\/\/|www\.)\S+/gi, '')
+        .replace(/\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|tv|gg|io|ly|me|co|xyz|link)\b(?:\/\S*)?/gi, ''));
+    }
+
+    if (this.collapseSpam) {
+      apply('spam', text
+        // Repeated words, e.g. emote walls: "Kappa Kappa Kappa" -> "Kappa"
+        .replace(/(^|\s)(\S+)(?:\s+\2(?=\s|$))+/gi, '$1$2')
+        // Stretched letters and punctuation: "noooooo!!!!!" -> "nooo!!!"
+        .replace(/(\S)\1{3,}/g, '$1$1$1'));
+    }
+
+    text = text.replace(/\s+/g, ' ').trim();
+
+    if (this.maxLength > 0 && text.length > this.maxLength) {
+      const cut = text.slice(0, this.maxLength);
+      const lastSpace = cut.lastIndexOf(' ');
+      apply('length', (lastSpace > this.maxLength - 20 ? cut.slice(0, lastSpace) : cut).trim());
+    }
+
+    return { text, applied };
+  }
+
+  /**
+   * Apply the word blocklist and regex rules to the final spoken text
+   * @returns {Object} { text, applied }
+   */
+  filterText(input) {
+    const applied = [];
+    let text = String(input || '');
+
+    if (this.blockedWords) {
+      const next = text.replace(this.blockedWords, this.replacement);
+      if (next !== text) applied.push('blocklist');
+      text = next;
+    }
+
+    for (const rule of this.rules) {
+      const next = text.replace(rule.regex, rule.replacement);
+      if (next !== text && !applied.includes('rules')) applied.push('rules');
+      text = next;
+    }
+
+    return { text: text.replace(/\s+/g, ' ').trim(), applied };
+  }
+}
+
+// ============================================================================
+// Webhook Manager
+// ============================================================================
+
+// Signed requests older than this are rejected to prevent replays
+const WEBHOOK_SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+class WebhookManager {
+  constructor(logger, storage) {
+    this.logger = logger;
+    this.storage = storage;
+    this.integrations = new Map();
+    this.requestLog = new Map();
+    this.defaultRateLimit = { maxRequests: 30, windowMs: 60000 };
+  }
+
+  async initialize(keys) {
+    const webhookKeys = keys.filter(k => k.startsWith('webhook:'));
+
+    for (const key of webhookKeys) {
+      const data = await this.storage.get(key);
+      if (data) {
+        try {
+          const integration = JSON.parse(data);
+          this.integrations.set(integration.id, integration);
+        } catch (error) {
+          this.logger.error('Failed to parse webhook integration', { key, error: error.message });
+        }
+      }
+    }
+
+    this.logger.info('Webhook manager initialized', {
+      integrationCount: this.integrations.size
+    });
+  }
+
+  /**
+   * Credentials are generated by the caller: only the API key hash and the
+   * HMAC signing secret are stored, never the plaintext API key
+   */
+  async createIntegration(integration) {
+    if (!integration.name) {
+      throw new Error('Integration name is required');
+    }
+    if (!integration.keyHash || !integration.secret) {
+      throw new Error('Integration credentials are required');
+    }
+
+    const integrationId = 'webhook_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    const fullIntegration = {
+      id: integrationId,
+      name: integration.name,
+      keyHash: integration.keyHash,
+      keyPrefix: integration.keyPrefix || '',
+      secret: integration.secret,
+      enabled: integration.enabled !== false,
+      allowedTypes: integration.allowedTypes || [],
+      rateLimit: { ...this.defaultRateLimit, ...integration.rateLimit },
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      usageCount: 0
+    };
+
+    this.integrations.set(integrationId, fullIntegration);
+    await this.storage.set(`webhook:${integrationId}`, JSON.stringify(fullIntegration));
+
+    this.logger.info('Webhook integration created', { integrationId, name: fullIntegration.name });
+    return this.toPublic(fullIntegration);
+  }
+
+  async updateIntegration(integrationId, updates) {
+    const integration = this.integrations.get(integrationId);
+    if (!integration) {
+      throw new Error(`Webhook integration not found: ${integrationId}`);
+    }
+
+    const updated = {
+      ...integration,
+      name: updates.name !== undefined ? updates.name : integration.name,
+      enabled: updates.enabled !== undefined ? updates.enabled : integration.enabled,
+      allowedTypes: updates.allowedTypes !== undefined ? updates.allowedTypes : integration.allowedTypes,
+      rateLimit: { ...integration.rateLimit, ...updates.rateLimit }
+    };
+
+    this.integrations.set(integrationId, updated);
+    await this.storage.set(`webhook:${integrationId}`, JSON.stringify(updated));
+
+    this.logger.info('Webhook integration updated', { integrationId });
+    return this.toPublic(updated);
+  }
+
+  async deleteIntegration(integrationId) {
+    if (!this.integrations.has(integrationId)) {
+      throw new Error(`Webhook integration not found: ${integrationId}`);
+    }
+
+    this.integrations.delete(integrationId);
+    this.requestLog.delete(integrationId);
+    await this.storage.delete(`webhook:${integrationId}`);
+
+    this.logger.info('Webhook integration deleted', { integrationId });
+  }
+
+  getIntegration(integrationId) {
+    const integration = this.integrations.get(integrationId);
+    return integration ? this.toPublic(integration) : null;
+  }
+
+  findByKeyHash(keyHash) {
+    for (const integration of this.integrations.values()) {
+      if (integration.keyHash === keyHash) {
+        return this.toPublic(integration);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check an HMAC-SHA256 signature over "<timestamp>.<rawBody>". The signing
+   * secret never leaves the module, so the check runs here.
+   * @param {string} signature - "sha256=" and the hex digest
+   * @returns {Promise<Object|null>} the integration, or null if the signature
+   *   is wrong or the timestamp too far off
+   */
+  async verifySignature(integrationId, timestamp, rawBody, signature) {
+    const integration = this.integrations.get(integrationId);
+    const sentAt = Number(timestamp);
+    const digest = String(signature).match(/^sha256=([0-9a-f]{64})$/i);
+    if (!integration || !digest || !Number.isFinite(sentAt) ||
+        Math.abs(Date.now() - sentAt) > WEBHOOK_SIGNATURE_TOLERANCE_MS) {
+      return null;
+    }
+
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw', encoder.encode(integration.secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['verify']
+    );
+    const bytes = Uint8Array.from(digest[1].match(/../g), byte => parseInt(byte, 16));
+    const valid = await crypto.subtle.verify('HMAC', key, bytes, encoder.encode(`${timestamp}.${rawBody}`));
+    return valid ? this.toPublic(integration) : null;
+  }
+
+  getIntegrations() {
+    return Array.from(this.integrations.values()).map(i => this.toPublic(i));
+  }
+
+  toPublic(integration) {
+    const { keyHash, secret, ...rest } = integration;
+    return rest;
+  }
+
+  /**
+   * Sliding window rate limit per integration
+   */
+  checkRateLimit(integration) {
+    const now = Date.now();
+    const { maxRequests, windowMs } = integration.rateLimit;
+    const timestamps = (this.requestLog.get(integration.id) || []).filter(t => now - t < windowMs);
+
+    if (timestamps.length >= maxRequests) {
+      this.requestLog.set(integration.id, timestamps);
+      return {
+        allowed: false,
+        retryAfter: Math.ceil((timestamps[0] + windowMs - now) / 1000)
+      };
+    }
+
+    timestamps.push(now);
+    this.requestLog.set(integration.id, timestamps);
+    return { allowed: true };
+  }
+
+  async recordUsage(integrationId) {
+    const integration = this.integrations.get(integrationId);
+    if (!integration) {
+      return;
+    }
+
+    integration.lastUsedAt = new Date().toISOString();
+    integration.usageCount = (integration.usageCount || 0) + 1;
+    await this.storage.set(`webhook:${integrationId}`, JSON.stringify(integration));
+  }
+}
+
+// ============================================================================
+// Alert History
+// ============================================================================
+
+// Sources that are not real stream events and stay out of analytics
+const NON_EVENT_SOURCES = ['replay', 'test'];
+
+const HISTORY_INDEX_KEY = 'history:index';
+const HISTORY_CHUNK_KEY = /^history:(\d{4}-\d{2}-\d{2}):(\d+)$/;
+
+// Entries per stored chunk. A busy day is split over several chunks so saving
+// an alert never rewrites the whole day.
+const HISTORY_CHUNK_SIZE = 200;
+
+const HISTORY_COMPACT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Displayed alerts, bucketed by the UTC day they were shown: history:<day>:<n>
+ * holds up to HISTORY_CHUNK_SIZE entries and history:index the chunk and entry
+ * count per day. The number of keys grows with days rather than alerts, and
+ * date-range queries only read the days they cover.
+ *
+ * Queries filter by type, user, template, status and date range; stats
+ * aggregate real events only, so replays and test alerts are not counted
+ * twice. Retention (max age, max entries) is applied by compact(), which runs
+ * on startup and every HISTORY_COMPACT_INTERVAL_MS.
+ */
+class HistoryStore {
+  constructor(logger, storage) {
+    this.logger = logger;
+    this.storage = storage;
+    // day -> { chunks, count }
+    this.days = new Map();
+    // id -> { day, chunk } of entries saved while their alert is on screen, so
+    // finishing the alert updates the entry in place
+    this.locations = new Map();
+    // Last chunk written, usually the one the next alert is appended to
+    this.cached = null;
+    this.writes = Promise.resolve();
+    this.compactTimer = null;
+    this.compacting = null;
+    this.stopped = false;
+    this.maxAgeDays = 0;
+    this.maxEntries = 0;
+  }
+
+  async initialize(keys) {
+    const data = await this.storage.get(HISTORY_INDEX_KEY);
+    let indexed = false;
+    if (data) {
+      try {
+        this.days = new Map(Object.entries(JSON.parse(data).days || {}));
+        indexed = true;
+      } catch (error) {
+        this.logger.error('Failed to parse history index', { error: error.message });
+      }
+    }
+
+    if (!indexed) {
+      await this.rebuildIndex(keys);
+    }
+
+    // Before day buckets, every alert was stored as history:<id>
+    const legacy = keys.filter(k => k.startsWith('history:') && k !== HISTORY_INDEX_KEY && !HISTORY_CHUNK_KEY.test(k));
+    if (legacy.length > 0) {
+      await this.write(() => this.migrate(legacy));
+    }
+
+    this.logger.info('History initialized', { days: this.days.size, entries: this.count() });
+  }
+
+  /**
+   * @param {Object} settings - historyMaxAgeDays, historyMaxEntries (0 keeps everything)
+   */
+  configure({ historyMaxAgeDays = 0, historyMaxEntries = 0 } = {}) {
+    this.maxAgeDays = Math.max(0, Number(historyMaxAgeDays) || 0);
+    this.maxEntries = Math.max(0, parseInt(historyMaxEntries, 10) || 0);
+  }
+
+  // Compact now and then on an interval until stop()
+  start() {
+    this.stopped = false;
+    const run = async () => {
+      this.compactTimer = null;
+      this.compacting = this.compact().catch(error => {
+        this.logger.error('History compaction failed', { error: error.message });
+      });
+      await this.compacting;
+      this.compacting = null;
+
+      // stop() may have been called while compacting
+      if (!this.stopped) {
+        this.compactTimer = setTimeout(run, HISTORY_COMPACT_INTERVAL_MS);
+      }
+    };
+    return run();
+  }
+
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.compactTimer);
+    this.compactTimer = null;
+    await this.compacting;
+  }
+
+  // Mutations run one at a time so concurrent alerts never overwrite each
+  // other's chunk or the index
+  write(task) {
+    const result = this.writes.then(task);
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  static dayOf(date) {
+    const time = new Date(date).getTime();
+    return new Date(Number.isNaN(time) ? Date.now() : time).toISOString().slice(0, 10);
+  }
+
+  count() {
+    let count = 0;
+    for (const info of this.days.values()) count += info.count;
+    return count;
+  }
+
+  // Days that can hold entries matching the filter's date range, oldest first
+  daysInRange(filter = {}) {
+    const bound = (value, end) => {
+      const time = end ? HistoryStore.rangeEnd(value) : new Date(value).getTime();
+      return Number.isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+    };
+    const from = filter.from ? bound(filter.from, false) : null;
+    const to = filter.to ? bound(filter.to, true) : null;
+
+    return Array.from(this.days.keys())
+      .filter(day => (!from || day >= from) && (!to || day <= to))
+      .sort();
+  }
+
+  async readChunk(day, chunk) {
+    const key = `history:${day}:${chunk}`;
+    if (this.cached && this.cached.key === key) {
+      return this.cached.entries;
+    }
+
+    const data = await this.storage.get(key);
+    if (!data) return [];
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      this.logger.error('Failed to parse history chunk', { key, error: error.message });
+      return [];
+    }
+  }
+
+  async writeChunk(day, chunk, entries) {
+    const key = `history:${day}:${chunk}`;
+    await this.storage.set(key, JSON.stringify(entries));
+    this.cached = { key, entries };
+  }
+
+  async readDay(day) {
+    const info = this.days.get(day);
+    const entries = [];
+    for (let chunk = 0; info && chunk < info.chunks; chunk++) {
+      entries.push(...(await this.readChunk(day, chunk)));
+    }
+    return entries;
+  }
+
+  async saveIndex() {
+    await this.storage.set(HISTORY_INDEX_KEY, JSON.stringify({ days: Object.fromEntries(this.days) }));
+  }
+
+  /**
+   * Store a day's entries in as few chunks as possible, oldest first, and drop
+   * the day when none are left
+   */
+  async rewriteDay(day, entries) {
+    const previous = this.days.get(day) || { chunks: 0, count: 0 };
+    const sorted = entries.slice().sort((a, b) => new Date(a.displayedAt) - new Date(b.displayedAt));
+    const chunks = Math.ceil(sorted.length / HISTORY_CHUNK_SIZE);
+
+    for (let chunk = 0; chunk < chunks; chunk++) {
+      await this.writeChunk(day, chunk, sorted.slice(chunk * HISTORY_CHUNK_SIZE, (chunk + 1) * HISTORY_CHUNK_SIZE));
+    }
+    for (let chunk = chunks; chunk < previous.chunks; chunk++) {
+      await this.storage.delete(`history:${day}:${chunk}`);
+    }
+
+    if (chunks > 0) {
+      this.days.set(day, { chunks, count: sorted.length });
+    } else {
+      this.days.delete(day);
+    }
+    this.cached = null;
+
+    // Entries on screen may have moved to another chunk
+    for (const [id, location] of this.locations) {
+      if (location.day !== day) continue;
+      const index = sorted.findIndex(entry => entry.id === id);
+      if (index === -1) {
+        this.locations.delete(id);
+      } else {
+        location.chunk = Math.floor(index / HISTORY_CHUNK_SIZE);
+      }
+    }
+  }
+
+  // Recover the index from the stored chunks
+  async rebuildIndex(keys) {
+    this.days = new Map();
+    for (const key of keys) {
+      const match = key.match(HISTORY_CHUNK_KEY);
+      if (!match) continue;
+
+      const [, day, chunk] = match;
+      const info = this.days.get(day) || { chunks: 0, count: 0 };
+      info.chunks = Math.max(info.chunks, Number(chunk) + 1);
+      info.count += (await this.readChunk(day, chunk)).length;
+      this.days.set(day, info);
+    }
+
+    if (this.days.size > 0) {
+      this.logger.warn('History index rebuilt', { days: this.days.size });
+      await this.saveIndex();
+    }
+  }
+
+  // Move history:<id> entries into day buckets, a batch at a time
+  async migrate(keys) {
+    let migrated = 0;
+
+    for (let i = 0; i < keys.length; i += 1000) {
+      const batch = keys.slice(i, i + 1000);
+      const byDay = new Map();
+
+      for (const key of batch) {
+        const data = await this.storage.get(key);
+        if (!data) continue;
+
+        try {
+          const entry = JSON.parse(data);
+          const day = HistoryStore.dayOf(entry.displayedAt);
+          byDay.set(day, [...(byDay.get(day) || []), entry]);
+        } catch (error) {
+          this.logger.error('Failed to parse history entry', { key, error: error.message });
+        }
+      }
+
+      for (const [day, entries] of byDay) {
+        const ids = new Set(entries.map(entry => entry.id));
+        const existing = (await this.readDay(day)).filter(entry => !ids.has(entry.id));
+        await this.rewriteDay(day, [...existing, ...entries]);
+        migrated += entries.length;
+      }
+      await this.saveIndex();
+
+      for (const key of batch) {
+        await this.storage.delete(key);
+      }
+    }
+
+    this.logger.info('History migrated to day buckets', { entries: migrated });
+  }
+
+  /**
+   * Add an entry, or replace the one saved earlier for the same alert. Entries
+   * without finishedAt are still on screen: their chunk is remembered until
+   * the finished entry is saved, wherever its day ends, so the update never
+   * searches storage or appends the alert twice.
+   */
+  save(entry) {
+    return this.write(async () => {
+      const location = this.locations.get(entry.id);
+      if (entry.finishedAt) {
+        this.locations.delete(entry.id);
+      }
+
+      if (location) {
+        const entries = await this.readChunk(location.day, location.chunk);
+        const index = entries.findIndex(e => e.id === entry.id);
+        if (index !== -1) {
+          entries[index] = entry;
+          await this.writeChunk(location.day, location.chunk, entries);
+          return;
+        }
+      }
+
+      const day = HistoryStore.dayOf(entry.displayedAt);
+      const info = this.days.get(day) || { chunks: 0, count: 0 };
+      let chunk = Math.max(0, info.chunks - 1);
+      let entries = await this.readChunk(day, chunk);
+      if (entries.length >= HISTORY_CHUNK_SIZE) {
+        chunk = info.chunks;
+        entries = [];
+      }
+      await this.writeChunk(day, chunk, [...entries, entry]);
+
+      this.days.set(day, { chunks: Math.max(info.chunks, chunk + 1), count: info.count + 1 });
+      await this.saveIndex();
+
+      if (!entry.finishedAt) {
+        this.locations.set(entry.id, { day, chunk });
+        // Alerts interrupted by shutdown are never finished
+        if (this.locations.size > 100) {
+          this.locations.delete(this.locations.keys().next().value);
+        }
+      }
+    });
+  }
+
+  /**
+   * Remember where the entry of an alert interrupted by a restart is stored,
+   * so showing it again replaces that entry
+   */
+  resume(id) {
+    return this.write(async () => {
+      const found = await this.locate(id);
+      if (found) {
+        this.locations.set(id, { day: found.day, chunk: found.chunk });
+      }
+    });
+  }
+
+  /**
+   * Find where an entry is stored by alert ID. IDs start with the time the
+   * alert was queued, so the search starts on that day.
+   * @returns {Promise<Object|null>} { day, chunk, entry }
+   */
+  async locate(id) {
+    const match = String(id).match(/^alert_(\d+)_/);
+    const first = match ? HistoryStore.dayOf(Number(match[1])) : '';
+    const days = this.daysInRange();
+
+    for (const day of days.filter(d => d >= first).concat(days.filter(d => d < first))) {
+      for (let chunk = 0; chunk < this.days.get(day).chunks; chunk++) {
+        const entry = (await this.readChunk(day, chunk)).find(e => e.id === id);
+        if (entry) return { day, chunk, entry };
+      }
+    }
+    return null;
+  }
+
+  async get(id) {
+    const found = await this.locate(id);
+    return found ? found.entry : null;
+  }
+
+  async loadEntries(filter = {}) {
+    const entries = [];
+    for (const day of this.daysInRange(filter)) {
+      entries.push(...(await this.readDay(day)));
+    }
+    return entries;
+  }
+
+  /**
+   * @param {Object} filter - eventType (string or list), user, templateId,
+   *   status, from/to (dates), includeReplays (default true)
+   */
+  static matches(entry, filter) {
+    if (filter.eventType) {
+      const types = Array.isArray(filter.eventType) ? filter.eventType : String(filter.eventType).split(',');
+      if (!types.includes(entry.eventType)) return false;
+    }
+    if (filter.templateId && entry.templateId !== filter.templateId) return false;
+    if (filter.status && entry.status !== filter.status) return false;
+    if (filter.includeReplays === false && entry.source && NON_EVENT_SOURCES.includes(entry.source.kind)) {
+      return false;
+    }
+
+    const displayedAt = new Date(entry.displayedAt).getTime();
+    if (filter.from && displayedAt < new Date(filter.from).getTime()) return false;
+    if (filter.to && displayedAt > HistoryStore.rangeEnd(filter.to)) return false;
+
+    if (filter.user) {
+      const user = String(filter.user).toLowerCase();
+      const data = entry.eventData || {};
+      const names = [data.username, data.displayName, data.gifter, ...(data.users || [])];
+      if (!names.some(name => name && String(name).toLowerCase().includes(user))) return false;
+    }
+
+    return true;
+  }
+
+  // A date without a time ("2026-01-31") includes that whole day
+  static rangeEnd(to) {
+    const end = new Date(to).getTime();
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(to)) ? end + 24 * 60 * 60 * 1000 - 1 : end;
+  }
+
+  // Filters that need each entry read to apply; the rest work on the index
+  static isNarrowed(filter) {
+    return Boolean(filter.eventType || filter.user || filter.templateId || filter.status ||
+      filter.includeReplays === false || filter.from || filter.to);
+  }
+
+  /**
+   * Newest-first entries matching a filter. With a limit, only the most
+   * recent days are read.
+   */
+  async find(filter = {}, limit = 0) {
+    const entries = [];
+
+    for (const day of this.daysInRange(filter).reverse()) {
+      entries.push(...(await this.readDay(day)).filter(entry => HistoryStore.matches(entry, filter)));
+      if (limit && entries.length >= limit) break;
+    }
+
+    entries.sort((a, b) => new Date(b.displayedAt) - new Date(a.displayedAt));
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Read matching entries in batches, oldest first, without loading the whole
+   * history. Batches are whole chunks, so one can hold up to
+   * HISTORY_CHUNK_SIZE - 1 entries more than the limit.
+   * @param {Object} options - cursor from the previous batch, limit
+   * @returns {Promise<Object>} { items, cursor } with a null cursor after the last batch
+   */
+  async scan(filter = {}, { cursor = null, limit = 500 } = {}) {
+    const chunks = [];
+    for (const day of this.daysInRange(filter)) {
+      for (let chunk = 0; chunk < this.days.get(day).chunks; chunk++) {
+        chunks.push({ day, chunk });
+      }
+    }
+
+    // The cursor names the next chunk to read
+    const [cursorDay, cursorChunk] = cursor ? String(cursor).split('/') : [];
+    let index = cursor
+      ? chunks.findIndex(c => c.day > cursorDay || (c.day === cursorDay && c.chunk >= Number(cursorChunk)))
+      : 0;
+    if (index === -1) index = chunks.length;
+
+    const items = [];
+    for (; index < chunks.length && items.length < limit; index++) {
+      const entries = await this.readChunk(chunks[index].day, chunks[index].chunk);
+      items.push(...entries.filter(entry => HistoryStore.matches(entry, filter)));
+    }
+
+    const next = chunks[index];
+    return { items, cursor: next ? `${next.day}/${next.chunk}` : null };
+  }
+
+  /**
+   * @returns {Promise<Object>} { items, total, page, pageSize }
+   */
+  async query(filter = {}) {
+    const pageSize = Math.min(500, Math.max(1, parseInt(filter.pageSize, 10) || 50));
+    const page = Math.max(1, parseInt(filter.page, 10) || 1);
+
+    // Unfiltered pages come from the newest days, with the total from the index
+    const narrowed = HistoryStore.isNarrowed(filter);
+    const entries = await this.find(filter, narrowed ? 0 : page * pageSize);
+
+    return {
+      items: entries.slice((page - 1) * pageSize, page * pageSize),
+      total: narrowed ? entries.length : this.count(),
+      page,
+      pageSize
+    };
+  }
+
+  /**
+   * Aggregate real events in a date range: counts per type and hour, top
+   * donors and cheerers, and totals per stream. Streams are runs of alerts
+   * with no gap longer than streamGapMinutes.
+   */
+  async stats(filter = {}, { top = 10, streamGapMinutes = 120 } = {}) {
+    const entries = (await this.find({ ...filter, includeReplays: false })).reverse();
+    const byType = {};
+    const perHour = new Map();
+    const donors = new Map();
+    const cheerers = new Map();
+    const streams = [];
+    const gapMs = streamGapMinutes * 60 * 1000;
+    let stream = null;
+
+    for (const entry of entries) {
+      const data = entry.eventData || {};
+      const events = data.grouped ? data.count || 1 : 1;
+      const displayedAt = new Date(entry.displayedAt);
+
+      const type = byType[entry.eventType] || (byType[entry.eventType] = { alerts: 0, events: 0 });
+      type.alerts++;
+      type.events += events;
+
+      const hour = new Date(displayedAt).setUTCMinutes(0, 0, 0);
+      perHour.set(hour, (perHour.get(hour) || 0) + 1);
+
+      if (!stream || displayedAt - new Date(stream.endedAt) > gapMs) {
+        stream = { startedAt: entry.displayedAt, endedAt: entry.displayedAt, alerts: 0, events: {}, donations: {}, bits: 0 };
+        streams.push(stream);
+      }
+      stream.endedAt = entry.displayedAt;
+      stream.alerts++;
+      stream.events[entry.eventType] = (stream.events[entry.eventType] || 0) + events;
+
+      const amount = Number(data.amount) || 0;
+      if (entry.eventType === 'donation' && amount > 0) {
+        const currency = data.currency || 'USD';
+        stream.donations[currency] = roundAmount((stream.donations[currency] || 0) + amount);
+        addSupporter(donors, data, amount, currency);
+      } else if (entry.eventType === 'cheer' && amount > 0) {
+        stream.bits += amount;
+        addSupporter(cheerers, data, amount);
+      }
+    }
+
+    const rank = (supporters) => Array.from(supporters.values())
+      .sort((a, b) => b.total - a.total)
+      .slice(0, top);
+
+    return {
+      total: entries.length,
+      byType,
+      perHour: Array.from(perHour.entries()).map(([hour, count]) => ({ hour: new Date(hour).toISOString(), count })),
+      topDonors: rank(donors),
+      topCheerers: rank(cheerers),
+      streams: streams.reverse()
+    };
+  }
+
+  delete(id) {
+    return this.write(async () => {
+      const found = await this.locate(id);
+      if (!found) return false;
+
+      const { day } = found;
+      await this.rewriteDay(day, (await this.readDay(day)).filter(e => e.id !== id));
+      await this.saveIndex();
+      return true;
+    });
+  }
+
+  clear() {
+    return this.write(async () => {
+      const keys = (await this.storage.keys()).filter(k => k.startsWith('history:'));
+      const removed = this.count() + keys.filter(k => k !== HISTORY_INDEX_KEY && !HISTORY_CHUNK_KEY.test(k)).length;
+
+      for (const key of keys) {
+        await this.storage.delete(key);
+      }
+      this.days = new Map();
+      this.locations.clear();
+      this.cached = null;
+
+      this.logger.info('History cleared', { entriesRemoved: removed });
+      return removed;
+    });
+  }
+
+  /**
+   * Apply retention and tidy storage: drop entries older than maxAgeDays, then
+   * the oldest entries beyond maxEntries, and repack days whose chunks are
+   * partly empty.
+   * @returns {Promise<Object>} { removed, entries, days }
+   */
+  compact() {
+    return this.write(async () => {
+      const cutoff = this.maxAgeDays > 0 ? Date.now() - this.maxAgeDays * DAY_MS : null;
+      let excess = this.maxEntries > 0 ? this.count() - this.maxEntries : 0;
+      let removed = 0;
+
+      for (const day of this.daysInRange()) {
+        const info = this.days.get(day);
+        const dayStart = new Date(day).getTime();
+        const expired = cutoff !== null && dayStart < cutoff;
+
+        if ((cutoff !== null && dayStart + DAY_MS <= cutoff) || (excess > 0 && info.count <= excess)) {
+          // The whole day goes
+          await this.rewriteDay(day, []);
+          removed += info.count;
+          excess -= info.count;
+        } else if (expired || excess > 0 || info.chunks > Math.ceil(info.count / HISTORY_CHUNK_SIZE)) {
+          const entries = (await this.readDay(day))
+            .filter(entry => cutoff === null || new Date(entry.displayedAt).getTime() >= cutoff)
+            .sort((a, b) => new Date(a.displayedAt) - new Date(b.displayedAt));
+          // Entries past the age limit already count toward the excess
+          const kept = entries.slice(Math.max(0, excess - (info.count - entries.length)));
+
+          await this.rewriteDay(day, kept);
+          removed += info.count - kept.length;
+          excess -= info.count - kept.length;
+        }
+      }
+      await this.saveIndex();
+
+      const result = { removed, entries: this.count(), days: this.days.size };
+      if (removed > 0) {
+        this.logger.info('History compacted', result);
+      }
+      return result;
+    });
+  }
+
+  /**
+   * @returns {Object} { entries, days, oldest, newest, maxAgeDays, maxEntries }
+   */
+  getInfo() {
+    const days = this.daysInRange();
+    return {
+      entries: this.count(),
+      days: days.length,
+      oldest: days[0] || null,
+      newest: days[days.length - 1] || null,
+      maxAgeDays: this.maxAgeDays,
+      maxEntries: this.maxEntries
+    };
+  }
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Sum a supporter's amounts, per currency for donations
+function addSupporter(supporters, data, amount, currency) {
+  const username = String(data.username || data.displayName || 'Anonymous');
+  const key = `${username.toLowerCase()}:${currency || ''}`;
+  const supporter = supporters.get(key) || {
+    username,
+    displayName: data.displayName || username,
+    ...(currency ? { currency } : {}),
+    total: 0,
+    count: 0
+  };
+
+  supporter.total = roundAmount(supporter.total + amount);
+  supporter.count++;
+  supporters.set(key, supporter);
+}
+
+// ============================================================================
+// Alert System Module
+// ============================================================================
+
+// The page holding a script template's sandboxed frame; the alert itself is
+// laid out inside the frame
+const OVERLAY_BASE_CSS = `
+  body {
+    margin: 0;
+    padding: 0;
+    overflow: hidden;
+    background: transparent;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    height: 100vh;
+    width: 100vw;
+  }
+`;
+
+// Placement settings, by layout field
+const LAYOUT_SETTINGS = {
+  position: 'alertPosition',
+  offsetX: 'alertOffsetX',
+  offsetY: 'alertOffsetY',
+  scale: 'alertScale',
+  safeArea: 'alertSafeArea'
+};
+
+function settingsLayout(source = settings) {
+  const layout = {};
+  for (const [field, key] of Object.entries(LAYOUT_SETTINGS)) {
+    layout[field] = source[key];
+  }
+  return layout;
+}
+
+/**
+ * Where a template's alerts go: each field from the template's layout, then
+ * the placement settings, then LAYOUT_DEFAULTS. Safe area edges fall back
+ * one by one.
+ */
+function resolveLayout(template) {
+  const layers = [template.layout || {}, settingsLayout(), LAYOUT_DEFAULTS];
+  const pick = (value) => layers.map(value).find(v => v != null);
+
+  return {
+    position: pick(layer => layer.position),
+    offsetX: pick(layer => layer.offsetX),
+    offsetY: pick(layer => layer.offsetY),
+    scale: pick(layer => layer.scale),
+    safeArea: Object.fromEntries(LAYOUT_EDGES.map(edge => [edge, pick(layer => layer.safeArea && layer.safeArea[edge])]))
+  };
+}
+
+/**
+ * The overlay body for a layout. Everything is rebuilt from known positions
+ * and numbers, so a stored layout cannot add CSS of its own. Offsets move the
+ * whole body; scale zooms each top-level element, leaving transforms and
+ * animations in the template's own CSS alone.
+ */
+function overlayLayoutCss(layout) {
+  const [justify, align] = ALERT_POSITIONS[layout.position] || ALERT_POSITIONS.center;
+  const px = (value) => `${Number(value) || 0}px`;
+  const scale = Number(layout.scale) || 1;
+
+  return `
+  body {
+    margin: 0;
+    padding: ${LAYOUT_EDGES.map(edge => px(layout.safeArea[edge])).join(' ')};
+    box-sizing: border-box;
+    overflow: hidden;
+    background: transparent;
+    display: flex;
+    justify-content: ${justify};
+    align-items: ${align};
+    position: relative;
+    left: ${px(layout.offsetX)};
+    top: ${px(layout.offsetY)};
+    height: 100vh;
+    width: 100vw;
+  }
+${scale !== 1 ? `  body > * { zoom: ${scale}; }\n` : ''}`;
+}
+
+const SANDBOX_CSS = `
+  .alert-sandbox { position: fixed; inset: 0; width: 100vw; height: 100vh; border: 0; background: transparent; }
+`;
+
+// Time onHide handlers get for outro animations before the alert is removed
+const SCRIPT_HIDE_MS = 500;
+
+// Time a template script and its onShow handlers, or its onHide handlers, get
+// to run. A script still running then is stopped and its alert ended.
+const SCRIPT_RUN_TIMEOUT_MS = 3000;
+
+// Where the overlay reports an alert a template script ended early, the admin
+// API route that calls completeAlert()
+const COMPLETE_ALERT_URL = '/api/alerts/queue/complete';
+
+// Runs inside the sandbox iframe. Template scripts get a single `alert`
+// object; see "Template Scripts" in the README.
+const TEMPLATE_SCRIPT_BOOTSTRAP = `
+  function runAlertScript(context, code, hideMs) {
+    var showHandlers = [];
+    var hideHandlers = [];
+    var hideTimer = null;
+    var hidden = false;
+
+    function call(handlers) {
+      handlers.forEach(function (handler) {
+        try {
+          handler(api.data);
+        } catch (error) {
+          console.error('Alert script error:', error);
+        }
+      });
+    }
+
+    function hide() {
+      if (hidden) return;
+      hidden = true;
+      parent.postMessage('alert-script:hiding', '*');
+      call(hideHandlers);
+      parent.postMessage('alert-script:hidden', '*');
+    }
+
+    function scheduleHide(ms) {
+      clearTimeout(hideTimer);
+      hideTimer = setTimeout(hide, Math.max(0, ms - hideMs));
+    }
+
+    var api = Object.freeze({
+      type: context.type,
+      data: Object.freeze(context.data || {}),
+      duration: context.duration,
+      onShow: function (handler) {
+        if (typeof handler === 'function') showHandlers.push(handler);
+      },
+      onHide: function (handler) {
+        if (typeof handler === 'function') hideHandlers.push(handler);
+      },
+      playSound: function (url, volume) {
+        url = String(url);
+        if (url.indexOf(${JSON.stringify(MEDIA_URL_PREFIX)}) !== 0 && !/^https?:/i.test(url)) {
+          console.error('Alert script error: sound URL not allowed', url);
+          return;
+        }
+        var audio = new Audio(url);
+        audio.volume = Math.min(1, Math.max(0, volume === undefined ? 1 : Number(volume) || 0));
+        audio.play().catch(function (error) {
+          console.error('Alert script error:', error);
+        });
+      },
+      // Shorten the alert; it cannot run past the duration it was shown with
+      setDuration: function (ms) {
+        scheduleHide(Math.min(Math.max(0, Number(ms) || 0), context.duration));
+      }
+    });
+
+    try {
+      new Function('alert', code)(api);
+    } catch (error) {
+      console.error('Alert script error:', error);
+    }
+
+    // Unless the script already chose a shorter duration
+    if (hideTimer === null) {
+      scheduleHide(context.duration);
+    }
+    call(showHandlers);
+    parent.postMessage('alert-script:shown', '*');
+  }
+`;
+
+let moduleContext = null;
+let alertQueue = null;
+let templateManager = null;
+let webhookManager = null;
+let viewerTracker = null;
+let eventCoalescer = null;
+let ttsManager = null;
+let ttsModerator = null;
+let mediaLibrary = null;
+let soundLibrary = null;
+let historyStore = null;
+let settings = {};
+
+/**
+ * Normalize user roles from the different shapes platforms deliver:
+ * badge arrays ['vip', 'subscriber/12'], badge maps { vip: '1' },
+ * role arrays, or boolean flags such as isVip / isSubscriber
+ */
+function getUserRoles(data) {
+  const roles = { vip: false, subscriber: false, moderator: false, broadcaster: false };
+  const names = [];
+
+  const collect = (badges) => {
+    if (Array.isArray(badges)) {
+      for (const badge of badges) {
+        const name = typeof badge === 'string' ? badge : badge && (badge.set_id || badge.id || badge.name);
+        if (name) names.push(String(name).split('/')[0].toLowerCase());
+      }
+    } else if (badges && typeof badges === 'object') {
+      names.push(...Object.keys(badges).map(name => name.toLowerCase()));
+    }
+  };
+
+  collect(data.badges);
+  collect(data.roles);
+  if (data.user) {
+    collect(data.user.badges);
+    collect(data.user.roles);
+  }
+
+  const flag = (...keys) => keys.some(key => data[key] === true || (data.user && data.user[key] === true));
+
+  roles.vip = names.includes('vip') || flag('isVip', 'isVIP', 'vip');
+  roles.subscriber = names.some(n => ['subscriber', 'founder', 'sub'].includes(n)) ||
+    flag('isSubscriber', 'isSub', 'subscriber');
+  roles.moderator = names.includes('moderator') || flag('isModerator', 'isMod', 'moderator');
+  roles.broadcaster = names.includes('broadcaster') || flag('isBroadcaster', 'broadcaster');
+
+  return roles;
+}
+
+/**
+ * @param {Object} data - event data
+ * @param {Object} [source] - where the alert came from; test alerts use
+ *   sample viewers, so they are not recorded as sightings
+ */
+async function getAudience(data, source) {
+  const windowMs = (settings.firstTimeWindowMinutes !== undefined ? settings.firstTimeWindowMinutes : 60) * 60000;
+  const seenFirstTime = source && NON_EVENT_SOURCES.includes(source.kind)
+    ? await viewerTracker.peekFirstTime(data.username, data.platform, windowMs)
+    : await viewerTracker.recordSeen(data.username, data.platform, windowMs);
+
+  return {
+    roles: getUserRoles(data),
+    // Platforms that flag a viewer's first chat message take precedence
+    firstTime: data.isFirstTime === true || data.firstMessage === true || seenFirstTime
+  };
+}
+
+async function showAlert(config) {
+  if (!moduleContext) {
+    return { success: false, error: 'Module not initialized' };
+  }
+
+  try {
+    const data = config.data || {};
+    const audience = await getAudience(data, config.source);
+
+    // Get template
+    let template = null;
+    let skipReason = null;
+    let selection = null;
+    if (config.templateId) {
+      template = templateManager.getTemplate(config.templateId);
+      if (template) {
+        skipReason = templateManager.checkConditions(template, data, audience);
+        selection = { method: 'explicit', reason: `Template "${template.name}" requested explicitly` };
+      }
+    } else {
+      ({ template, selection, skipReason } = templateManager.selectTemplate(config.type, data, audience));
+    }
+
+    if (skipReason) {
+      return {
+        success: false,
+        error: skipReason,
+        skipped: true
+      };
+    }
+
+    if (!template) {
+      return {
+        success: false,
+        error: `No template found for type: ${config.type}`
+      };
+    }
+
+    // Add to queue; rendering happens when the alert is displayed
+    const alertId = await alertQueue.add({
+      type: config.type,
+      templateId: template.id,
+      data,
+      priority: config.priority,
+      duration: config.duration || getMediaDuration(template) || template.duration,
+      lane: config.lane || template.lane || (settings.laneByType && settings.laneByType[config.type]) || 'main',
+      source: config.source || null,
+      selection
+    });
+
+    return {
+      success: true,
+      alertId,
+      message: `Alert queued: ${config.type}`
+    };
+
+  } catch (error) {
+    moduleContext.logger.error('Failed to show alert', {
+      type: config.type,
+      error: error.message
+    });
+
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Length of a media template's file when it should set the alert duration
+function getMediaDuration(template) {
+  if (!template.mediaType || !template.mediaSettings || !template.mediaSettings.matchDuration) {
+    return null;
+  }
+
+  const media = mediaLibrary.findByUrl(template.mediaUrl);
+  return media && media.duration ? Math.round(media.duration * 1000) : null;
+}
+
+/**
+ * Delete a media item's metadata. Refused while templates still use it.
+ * @returns {Object|null} the deleted item, so the caller can remove its file
+ */
+async function deleteMedia(id) {
+  const item = mediaLibrary.getMediaItem(id);
+  if (!item) {
+    return null;
+  }
+
+  const users = templateManager.getTemplates().filter(t => t.mediaUrl === item.url);
+  if (users.length > 0) {
+    throw new Error(`Media is used by templates: ${users.map(t => t.name).join(', ')}`);
+  }
+
+  return mediaLibrary.deleteMedia(id);
+}
+
+/**
+ * Queue processor: render the alert's template, show it on the overlay and
+ * wait until it has finished or been skipped. Throws on failure so the queue
+ * can retry the alert.
+ */
+async function displayAlert(alert, lane) {
+  if (!moduleContext) {
+    throw new Error('Module not initialized');
+  }
+
+  // Replays ask for the version first shown, if it is still kept
+  const template = (alert.templateVersion && await templateManager.getTemplateVersion(alert.templateId, alert.templateVersion)) ||
+    templateManager.getTemplate(alert.templateId);
+  if (!template) {
+    throw new Error(`Template not found: ${alert.templateId}`);
+  }
+
+  const rendered = templateManager.renderTemplate(template, alert.data, {
+    lottiePlayerUrl: settings.lottiePlayerUrl
+  });
+
+  // Synthesized up front so speech starts together with the visual alert,
+  // which stays on screen until the speech has finished
+  const speech = await prepareSpeech(template, alert);
+  const ttsDelay = settings.ttsDelay !== undefined ? Number(settings.ttsDelay) || 0 : 1000;
+  let duration = alert.duration || rendered.duration;
+  if (speech) {
+    duration = Math.max(duration, ttsDelay + speech.durationMs + 500);
+  }
+
+  // Registered before showing so an early onComplete is not missed
+  const display = alertQueue.trackDisplay(alert, lane, duration);
+
+  // Display alert via unified overlay
+  if (moduleContext.overlay) {
+    try {
+      await moduleContext.overlay.show({
+        id: alert.id,
+        component: 'CustomHTML',
+        layer: lane.layer,
+        data: {
+          html: overlayDocument(template, rendered, alert, duration,
+            speech && speech.speech ? overlaySpeechScript(speech.speech, ttsDelay) : '', display.token),
+          duration,
+          lane: lane.id,
+          slot: alert.slot
+        },
+        duration,
+        onComplete: () => alertQueue && alertQueue.completeDisplay(alert.id, 'finished', display.token)
+      });
+    } catch (error) {
+      alertQueue.completeDisplay(alert.id, 'failed', display.token);
+      throw error;
+    }
+  }
+  const shownAt = Date.now();
+
+  // The alert is on screen now. Throwing from here on would retry it and show
+  // it a second time, so later failures are logged instead
+  const afterShown = async (step, task) => {
+    try {
+      await task();
+    } catch (error) {
+      if (moduleContext) {
+        moduleContext.logger.error(`Failed to ${step} for a shown alert`, { alertId: alert.id, error: error.message });
+      }
+    }
+  };
+
+  // Play sound if specified
+  if (moduleContext.overlay && rendered.sound && moduleContext.audio) {
+    await afterShown('play the sound', async () => {
+      const sound = soundLibrary.findSound(rendered.sound);
+      await moduleContext.audio.play({
+        file: sound ? sound.url : rendered.sound,
+        volume: soundLibrary.playbackVolume(sound, soundLibrary.templateVolume(sound, rendered.soundVolume))
+      });
+      if (sound) {
+        await soundLibrary.recordUsage(sound);
+      }
+    });
+  }
+
+  // Speech starts after the alert sound has had a moment to play
+  let ttsTimer = null;
+  if (speech && speech.audio && moduleContext.audio) {
+    ttsTimer = setTimeout(() => {
+      if (!moduleContext) return;
+      Promise.resolve(moduleContext.audio.play({
+        file: speech.audio,
+        volume: settings.ttsVolume !== undefined ? settings.ttsVolume : 1
+      })).catch(error => {
+        moduleContext.logger.error('Failed to play TTS audio', { alertId: alert.id, error: error.message });
+      });
+    }, ttsDelay);
+  }
+
+  // Increment template usage
+  await afterShown('count the template use', () => templateManager.incrementUsage(template.id));
+
+  // Shown before a restart interrupted it: update that history entry
+  if (alert.recovered) {
+    await afterShown('find the history entry', () => historyStore.resume(alert.id));
+  }
+
+  // Save to history as soon as the alert is on screen
+  const historyEntry = {
+    id: alert.id,
+    templateId: template.id,
+    templateVersion: template.version || 1,
+    eventType: alert.type,
+    eventData: alert.data,
+    displayedAt: new Date().toISOString(),
+    duration,
+    source: alert.source || null,
+    selection: alert.selection || null,
+    attempts: alert.attempts || 1,
+    lane: lane.id,
+    tts: speech ? speech.text : null,
+    status: 'shown'
+  };
+  await afterShown('save history', () => historyStore.save(historyEntry));
+
+  const status = await display.done;
+  clearTimeout(ttsTimer);
+
+  // Interrupted by shutdown: keep the queue item so it is shown again
+  if (status === 'stopped') {
+    throw new Error('Queue stopped during display');
+  }
+
+  // Skipped, or ended sooner by a template script's setDuration()
+  const endedEarly = status === 'skipped' || Date.now() < shownAt + duration;
+  if (endedEarly && moduleContext.overlay && typeof moduleContext.overlay.hideElement === 'function') {
+    await afterShown('hide the alert', () => moduleContext.overlay.hideElement(alert.id));
+  }
+
+  historyEntry.status = status;
+  historyEntry.finishedAt = new Date().toISOString();
+  if (historyStore) {
+    await afterShown('save history', () => historyStore.save(historyEntry));
+  }
+}
+
+/**
+ * The page the overlay shows for an alert
+ * @param {string} extra - markup appended to the body, such as a speech script
+ * @param {string} [token] - the display attempt, reported back when a template
+ *   script ends the alert early; previews have none
+ */
+function overlayDocument(template, rendered, alert, duration, extra = '', token = null) {
+  const content = template.jsContent
+    ? overlayScriptSandbox(template, rendered, alert, duration, token)
+    : `${rendered.html}
+              ${rendered.scripts}`;
+
+  return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+              <style>
+                ${template.jsContent ? OVERLAY_BASE_CSS + SANDBOX_CSS : overlayLayoutCss(resolveLayout(template)) + rendered.css}
+              </style>
+            </head>
+            <body>
+              ${content}
+              ${extra}
+            </body>
+            </html>
+          `;
+}
+
+/**
+ * Render a template into the page the overlay would show, without queueing
+ * it, saving history or counting a use. Unsaved editor changes in `template`
+ * are laid over the stored template, and `data` over sample data for the
+ * event type. Speech and sound are left out.
+ * @param {Object} request - templateId and/or template, eventType, data
+ * @returns {Object} { html, duration, eventType, data }
+ */
+function previewTemplate(request = {}) {
+  const stored = request.templateId ? templateManager.getTemplate(request.templateId) : null;
+  if (request.templateId && !stored) {
+    throw new Error(`Template not found: ${request.templateId}`);
+  }
+
+  for (const field of ['template', 'data']) {
+    if (request[field] !== undefined && (!request[field] || typeof request[field] !== 'object' || Array.isArray(request[field]))) {
+      throw new Error(`Preview ${field} must be an object`);
+    }
+  }
+
+  const template = { ...(stored || {}), ...(request.template || {}) };
+  templateManager.validateTemplate(template);
+
+  const eventType = request.eventType || template.eventType || 'follow';
+  const data = { ...(SAMPLE_EVENT_DATA[eventType] || SAMPLE_EVENT_DATA.follow), ...(request.data || {}) };
+  const rendered = templateManager.renderTemplate(template, data, {
+    lottiePlayerUrl: settings.lottiePlayerUrl
+  });
+  const duration = Number(rendered.duration) || 5000;
+
+  return {
+    html: overlayDocument(template, rendered, { id: 'preview', type: eventType, data }, duration),
+    duration,
+    eventType,
+    data
+  };
+}
+
+/**
+ * Build exactly what will be spoken for an alert: muted users get no speech,
+ * the viewer's message is cleaned before rendering and the blocklist and
+ * rules apply to the rendered text.
+ * @returns {Object} { text, muted, applied }
+ */
+async function buildSpeechText(source, data) {
+  const muted = ttsModerator.getMutedUser(data.username, data.platform);
+  if (muted) {
+    return { text: '', muted: true, applied: ['muted'] };
+  }
+
+  const message = ttsModerator.cleanMessage(data.message, data.emotes);
+  const filtered = ttsModerator.filterText(templateManager.renderSpeech(source, { ...data, message: message.text }));
+
+  return {
+    text: filtered.text,
+    muted: false,
+    applied: [...message.applied, ...filtered.applied]
+  };
+}
+
+/**
+ * Moderate and synthesize the template's TTS text, in the template's voice or
+ * the ttsVoice setting. Nothing is spoken unless the enableTTS setting is on.
+ * A failing engine only costs the speech, the alert itself is still shown.
+ */
+async function prepareSpeech(template, alert) {
+  if (!template.ttsEnabled || !template.ttsTemplate || settings.enableTTS !== true) {
+    return null;
+  }
+
+  try {
+    const speech = await buildSpeechText(template.ttsTemplate, alert.data);
+    if (!speech.text) {
+      return null;
+    }
+
+    return await ttsManager.synthesize(speech.text, {
+      voice: template.ttsVoice || settings.ttsVoice,
+      speed: template.ttsSpeed
+    });
+  } catch (error) {
+    moduleContext.logger.warn('TTS failed, showing alert without speech', {
+      alertId: alert.id,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Show what an alert would speak without showing it
+ * @param {Object} request - templateId or ttsTemplate, plus event data
+ */
+async function previewSpeech(request = {}) {
+  const template = request.templateId ? templateManager.getTemplate(request.templateId) : null;
+  if (request.templateId && !template) {
+    throw new Error(`Template not found: ${request.templateId}`);
+  }
+
+  const source = request.ttsTemplate !== undefined
+    ? request.ttsTemplate
+    : (template && template.ttsTemplate) || '{{message}}';
+  const data = request.data || {};
+  const speech = await buildSpeechText(source, data);
+
+  return {
+    ...speech,
+    original: templateManager.renderSpeech(source, data)
+  };
+}
+
+// JSON-encode a value for an inline script, with '<' escaped so event text
+// cannot close the script element
+function encodeScriptValue(value) {
+  return JSON.stringify(value === undefined ? null : value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Speaks through the overlay browser for the overlay engine
+function overlaySpeechScript(speech, delay) {
+  return `<script>
+    setTimeout(function () {
+      if (!('speechSynthesis' in window)) return;
+      var utterance = new SpeechSynthesisUtterance(${encodeScriptValue(speech.text)});
+      utterance.lang = ${encodeScriptValue(speech.lang || 'en-US')};
+      utterance.rate = ${Number(speech.rate) || 1};
+      window.speechSynthesis.speak(utterance);
+    }, ${Number(delay) || 0});
+  </script>`;
+}
+
+/**
+ * Run a template's jsContent together with its HTML in a sandboxed iframe.
+ * The iframe only gets allow-scripts, so its opaque origin keeps the script
+ * away from the overlay page, cookies, storage and top-level navigation.
+ * onHide runs SCRIPT_HIDE_MS before the alert ends; the overlay then removes
+ * the iframe, which stops anything the script left running. When that happens
+ * before the full duration (setDuration), the overlay reports the display
+ * attempt finished to COMPLETE_ALERT_URL so the queue moves on.
+ */
+function overlayScriptSandbox(template, rendered, alert, duration, token = null) {
+  const context = { type: alert.type, data: alert.data, duration };
+  const frameDocument = `<!DOCTYPE html>
+    <html>
+    <head><style>${overlayLayoutCss(resolveLayout(template))}${rendered.css}</style></head>
+    <body>
+      ${rendered.html}
+      ${rendered.scripts}
+      <script>${TEMPLATE_SCRIPT_BOOTSTRAP}
+        runAlertScript(${encodeScriptValue(context)}, ${encodeScriptValue(template.jsContent)}, ${SCRIPT_HIDE_MS});
+      </script>
+    </body>
+    </html>`;
+  const srcdoc = frameDocument.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+  return `<iframe class="alert-sandbox" sandbox="allow-scripts" allowtransparency="true" srcdoc="${srcdoc}"></iframe>
+    <script>
+      (function () {
+        var frame = document.querySelector('.alert-sandbox');
+        var display = ${encodeScriptValue(token ? { alertId: alert.id, token } : null)};
+        var watchdog = null;
+        function stop() {
+          clearTimeout(watchdog);
+          if (frame.parentNode) frame.parentNode.removeChild(frame);
+        }
+        function end(error) {
+          if (!frame.parentNode) return;
+          stop();
+          if (error) console.error('Alert script error:', error);
+          if (display) {
+            fetch(${JSON.stringify(COMPLETE_ALERT_URL)}, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify(error ? Object.assign({ error: error }, display) : display),
+              keepalive: true
+            }).catch(function () {});
+          }
+        }
+        // Ends the alert unless the sandbox reports back in time
+        function watch(step) {
+          clearTimeout(watchdog);
+          watchdog = setTimeout(function () {
+            end(step + ' did not finish within ${SCRIPT_RUN_TIMEOUT_MS}ms');
+          }, ${SCRIPT_RUN_TIMEOUT_MS});
+        }
+        window.addEventListener('message', function (event) {
+          if (event.source !== frame.contentWindow) return;
+          if (event.data === 'alert-script:shown') {
+            clearTimeout(watchdog);
+          } else if (event.data === 'alert-script:hiding') {
+            watch('onHide');
+          } else if (event.data === 'alert-script:hidden') {
+            clearTimeout(watchdog);
+            setTimeout(end, ${SCRIPT_HIDE_MS});
+          }
+        });
+        watch('Template script');
+        setTimeout(stop, ${Number(duration) || 0});
+      })();
+    </script>`;
+}
+
+/**
+ * End a display attempt before its duration, for template scripts that call
+ * setDuration(). Only the attempt named by its token is ended, so an overlay
+ * still showing an earlier attempt cannot cut a retry short.
+ * @param {string} [error] - why the overlay stopped the script, such as
+ *   running past SCRIPT_RUN_TIMEOUT_MS; the alert is recorded as failed
+ */
+function completeAlert(alertId, token, error = null) {
+  if (!alertId || !token || !alertQueue.completeDisplay(alertId, error ? 'failed' : 'finished', String(token))) {
+    return { success: false, error: `Alert is not displaying: ${alertId}` };
+  }
+  if (error) {
+    moduleContext.logger.warn('Template script failed; alert ended', { alertId, error: String(error).slice(0, 200) });
+  }
+  return { success: true, alertId };
+}
+
+function skipAlert(alertId) {
+  const skipped = alertQueue.skip(alertId);
+  return skipped
+    ? { success: true, alertId: skipped }
+    : { success: false, error: alertId ? `Alert is not displaying: ${alertId}` : 'No alert is displaying' };
+}
+
+/**
+ * Queue a history entry again. It is shown with the template version it was
+ * first shown with, unless that version is no longer kept or
+ * useCurrentTemplate is set, and recorded as a replay so analytics skip it.
+ *
+ * @param {Object} options - priority (1-10, default 1: ahead of other pending
+ *   alerts), useCurrentTemplate
+ */
+async function replayHistoryEntry(historyId, options = {}) {
+  const entry = await historyStore.get(historyId);
+  if (!entry) {
+    return { success: false, error: `History entry not found: ${historyId}`, status: 404 };
+  }
+  return replayEntry(entry, options);
+}
+
+async function replayEntry(entry, { priority = 1, useCurrentTemplate = false } = {}) {
+  priority = Number(priority);
+  if (!Number.isInteger(priority) || priority < 1 || priority > 10) {
+    return { success: false, error: 'Priority must be a whole number from 1 to 10', status: 400 };
+  }
+
+  const current = templateManager.getTemplate(entry.templateId);
+  let template = null;
+  if (!useCurrentTemplate && entry.templateVersion) {
+    template = await templateManager.getTemplateVersion(entry.templateId, entry.templateVersion);
+  }
+  const usedCurrentTemplate = !template;
+  template = template || current;
+
+  if (!template || !current) {
+    return { success: false, error: `Template not found: ${entry.templateId}`, status: 404 };
+  }
+
+  const alertId = await alertQueue.add({
+    type: entry.eventType,
+    templateId: template.id,
+    templateVersion: template.version || 1,
+    data: entry.eventData,
+    priority,
+    duration: getMediaDuration(template) || template.duration,
+    lane: entry.lane || 'main',
+    source: { kind: 'replay', historyId: entry.id },
+    selection: entry.selection || null
+  });
+
+  return {
+    success: true,
+    alertId,
+    templateVersion: template.version || 1,
+    usedCurrentTemplate,
+    message: `Alert replayed: ${entry.eventType}`
+  };
+}
+
+/**
+ * Queue the most recent history entry again, ahead of other pending alerts
+ */
+async function replayLastAlert() {
+  const [last] = await getHistory({ limit: 1 });
+  if (!last) {
+    return { success: false, error: 'No alert to replay' };
+  }
+  return replayEntry(last);
+}
+
+// Event data for test alerts and template previews
+const SAMPLE_EVENT_DATA = {
+  follow: {
+    username: 'TestFollower',
+    displayName: 'TestFollower'
+  },
+  subscribe: {
+    username: 'TestSubscriber',
+    displayName: 'TestSubscriber',
+    tier: 1,
+    months: 1
+  },
+  raid: {
+    username: 'TestRaider',
+    displayName: 'TestRaider',
+    viewers: 50
+  },
+  donation: {
+    username: 'TestDonor',
+    displayName: 'TestDonor',
+    amount: 5.00,
+    currency: 'USD',
+    message: 'Great stream!'
+  },
+  cheer: {
+    username: 'TestCheerer',
+    displayName: 'TestCheerer',
+    amount: 100,
+    message: 'Love the content!'
+  }
+};
+
+async function testAlert(type) {
+  const eventType = SAMPLE_EVENT_DATA[type] ? type : 'follow';
+  return await showAlert({ type: eventType, data: { ...SAMPLE_EVENT_DATA[eventType] }, source: { kind: 'test' } });
+}
+
+/**
+ * Trigger an alert on behalf of an authenticated webhook integration.
+ * Authentication (API key or HMAC signature) happens in the webhook route;
+ * this enforces the integration's state, rate limit and allowed types.
+ */
+async function triggerWebhook(integrationId, payload) {
+  if (!moduleContext) {
+    return { success: false, error: 'Module not initialized' };
+  }
 
-    this.logger.info('Default templates created', { count: defaults.length });
+  const integration = webhookManager.getIntegration(integrationId);
+  if (!integration || !integration.enabled) {
+    return { success: false, error: 'Webhook integration not found or disabled', status: 401 };
   }
 
-  async createTemplate(template) {
-    const templateId = template.id || 'template_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-    
-    const fullTemplate = {
-      id: templateId,
-      name: template.name,
-      eventType: template.eventType,
-      enabled: template.enabled !== false,
-      templateType: template.templateType || 'html',
-      htmlContent: template.htmlContent || '',
-      cssContent: template.cssContent || '',
-      jsContent: template.jsContent || '',
-      mediaType: template.mediaType || null,
-      mediaUrl: template.mediaUrl || null,
-      mediaSettings: template.mediaSettings || {},
-      duration: template.duration || 5000,
-      animation: template.animation || 'slide-in',
-      soundFile: template.soundFile || null,
-      soundVolume: template.soundVolume || 0.8,
-      ttsEnabled: template.ttsEnabled || false,
-      ttsVoice: template.ttsVoice || 'en-US',
-      ttsSpeed: template.ttsSpeed || 1.0,
-      ttsTemplate: template.ttsTemplate || '',
-      minAmount: template.minAmount || null,
-      minViewers: template.minViewers || null,
-      vipOnly: template.vipOnly || false,
-      subOnly: template.subOnly || false,
-      firstTimeOnly: template.firstTimeOnly || false,
-      createdAt: template.createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      usageCount: template.usageCount || 0
+  const rateLimit = webhookManager.checkRateLimit(integration);
+  if (!rateLimit.allowed) {
+    moduleContext.logger.warn('Webhook rate limit exceeded', { integrationId });
+    return {
+      success: false,
+      error: 'Rate limit exceeded',
+      status: 429,
+      retryAfter: rateLimit.retryAfter
     };
+  }
 
-    this.templates.set(templateId, fullTemplate);
-    await this.storage.set(`template:${templateId}`, JSON.stringify(fullTemplate));
+  if (!payload || typeof payload.type !== 'string' || !payload.type) {
+    return { success: false, error: 'Payload must include an alert type', status: 400 };
+  }
 
-    this.logger.info('Template created', {
-      templateId,
-      name: template.name,
-      eventType: template.eventType
-    });
+  if (payload.data !== undefined && (typeof payload.data !== 'object' || payload.data === null || Array.isArray(payload.data))) {
+    return { success: false, error: 'Payload data must be an object', status: 400 };
+  }
 
-    return fullTemplate;
+  if (integration.allowedTypes.length > 0 && !integration.allowedTypes.includes(payload.type)) {
+    return { success: false, error: `Alert type not allowed for this integration: ${payload.type}`, status: 403 };
   }
 
-  async updateTemplate(templateId, updates) {
-    const template = this.templates.get(templateId);
-    if (!template) {
-      throw new Error(`Template not found: ${templateId}`);
-    }
+  await webhookManager.recordUsage(integrationId);
 
-    const updated = {
-      ...template,
-      ...updates,
-      id: templateId,
-      updatedAt: new Date().toISOString()
-    };
+  moduleContext.logger.info('Webhook alert received', {
+    integrationId,
+    type: payload.type
+  });
 
-    this.templates.set(templateId, updated);
-    await this.storage.set(`template:${templateId}`, JSON.stringify(updated));
+  return await showAlert({
+    type: payload.type,
+    templateId: payload.templateId,
+    priority: payload.priority,
+    data: payload.data || {},
+    source: {
+      kind: 'webhook',
+      integrationId: integration.id,
+      integrationName: integration.name
+    }
+  });
+}
 
-    this.logger.info('Template updated', { templateId });
-    return updated;
+async function loadSettings(config) {
+  let stored = {};
+  const data = await moduleContext.storage.get('settings');
+  if (data) {
+    try {
+      stored = JSON.parse(data);
+    } catch (error) {
+      moduleContext.logger.error('Failed to parse settings', { error: error.message });
+    }
   }
 
-  async deleteTemplate(templateId) {
-    if (!this.templates.has(templateId)) {
-      throw new Error(`Template not found: ${templateId}`);
-    }
+  settings = { ...config, ...stored };
+  alertQueue.configure(settings);
+  eventCoalescer.configure(settings);
+  ttsManager.configure(settings);
+  soundLibrary.configure(settings);
+  historyStore.configure(settings);
+  try {
+    ttsModerator.configure(settings);
+  } catch (error) {
+    moduleContext.logger.error('Invalid TTS moderation settings', { error: error.message });
+  }
+}
 
-    this.templates.delete(templateId);
-    await this.storage.delete(`template:${templateId}`);
+function getSettings() {
+  return { ...settings };
+}
 
-    this.logger.info('Template deleted', { templateId });
+async function updateSettings(updates) {
+  // Rejected before anything is saved
+  if (updates.ttsRegexRules !== undefined) {
+    TtsModerator.compileRules(updates.ttsRegexRules);
+  }
+  if (Object.values(LAYOUT_SETTINGS).some(key => updates[key] !== undefined)) {
+    validateLayout(settingsLayout({ ...settings, ...updates }));
   }
 
-  getTemplate(templateId) {
-    return this.templates.get(templateId);
+  settings = { ...settings, ...updates };
+  alertQueue.configure(settings);
+  eventCoalescer.configure(settings);
+  ttsManager.configure(settings);
+  soundLibrary.configure(settings);
+  historyStore.configure(settings);
+  ttsModerator.configure(settings);
+  await moduleContext.storage.set('settings', JSON.stringify(settings));
+
+  // Apply a tightened retention policy now rather than at the next compaction
+  if (updates.historyMaxAgeDays !== undefined || updates.historyMaxEntries !== undefined) {
+    historyStore.compact().catch(error => {
+      moduleContext.logger.error('History compaction failed', { error: error.message });
+    });
   }
 
-  getTemplates(filter = {}) {
-    let templates = Array.from(this.templates.values());
+  // Lane limits may have grown, start anything that can now run
+  alertQueue.processQueue();
 
-    if (filter.eventType) {
-      templates = templates.filter(t => t.eventType === filter.eventType);
-    }
+  moduleContext.logger.info('Settings updated', { keys: Object.keys(updates) });
+  return getSettings();
+}
 
-    if (filter.enabled !== undefined) {
-      templates = templates.filter(t => t.enabled === filter.enabled);
-    }
+/**
+ * @param {Object} filter - see HistoryStore.matches, plus limit
+ */
+async function getHistory(filter = {}) {
+  return historyStore.find(filter, parseInt(filter.limit, 10) || 0);
+}
 
-    return templates;
-  }
+async function getHistoryStats(filter = {}) {
+  return historyStore.stats(filter, {
+    top: parseInt(filter.top, 10) || 10,
+    streamGapMinutes: Number(settings.streamGapMinutes) || 120
+  });
+}
 
-  async incrementUsage(templateId) {
-    const template = this.templates.get(templateId);
-    if (template) {
-      template.usageCount = (template.usageCount || 0) + 1;
-      await this.storage.set(`template:${templateId}`, JSON.stringify(template));
+/**
+ * Bundle manifest for templates (all when no IDs are given), listing the
+ * uploaded sounds and media they use. Template sound references are turned
+ * into URLs so they match the asset list. The admin UI routes own the bundle
+ * file format: they add its format and version and embed the files.
+ */
+function exportTemplateBundle(templateIds = []) {
+  const templates = templateManager.exportTemplates(templateIds);
+  const assets = new Map();
+
+  for (const template of templates) {
+    const sound = soundLibrary.findSound(template.soundFile);
+    if (sound) {
+      template.soundFile = sound.url;
+      assets.set(sound.url, {
+        kind: 'sound',
+        url: sound.url,
+        name: sound.name,
+        fileName: sound.fileName,
+        tags: sound.tags || [],
+        defaultVolume: sound.defaultVolume,
+        loudness: sound.loudness || null
+      });
     }
-  }
 
-  renderTemplate(template, data) {
-    let html = template.htmlContent;
-    let css = template.cssContent;
+    const media = template.mediaUrl ? mediaLibrary.findByUrl(template.mediaUrl) : null;
+    if (media) {
+      assets.set(media.url, {
+        kind: 'media',
+        url: media.url,
+        mediaType: media.mediaType,
+        name: media.name,
+        fileName: media.fileName
+      });
+    }
+  }
 
-    // Replace template variables
-    const variables = {
-      username: data.username || '',
-      displayName: data.displayName || data.username || '',
-      amount: data.amount || '',
-      message: data.message || '',
-      tier: data.tier || 1,
-      months: data.months || 1,
-      viewers: data.viewers || 0,
-      currency: data.currency || 'USD'
-    };
+  return {
+    exportedAt: new Date().toISOString(),
+    templates,
+    assets: Array.from(assets.values())
+  };
+}
 
-    for (const [key, value] of Object.entries(variables)) {
-      const regex = new RegExp(`{{${key}}}`, 'g');
-      html = html.replace(regex, value);
-      css = css.replace(regex, value);
-    }
+/**
+ * Delete a sound's metadata. Refused while templates still play it.
+ * @returns {Object|null} the deleted sound, so the caller can remove its file
+ */
+async function deleteSound(id) {
+  const sound = soundLibrary.getSound(id);
+  if (!sound) {
+    return null;
+  }
 
-    return {
-      html,
-      css,
-      duration: template.duration,
-      animation: template.animation,
-      sound: template.soundFile,
-      soundVolume: template.soundVolume
-    };
+  const users = templateManager.getTemplates().filter(t => soundLibrary.findSound(t.soundFile) === sound);
+  if (users.length > 0) {
+    throw new Error(`Sound is used by templates: ${users.map(t => t.name).join(', ')}`);
   }
+
+  return soundLibrary.deleteSound(id);
 }
 
-// ============================================================================
-// Alert System Module
-// ============================================================================
+// Event fields shared by every alert type: the platform payload plus the
+// platform and user info that some events carry at the top level
+function baseEventData(event) {
+  return {
+    ...event.data,
+    platform: event.platform || event.data.platform,
+    user: event.user || event.data.user
+  };
+}
 
-let moduleContext = null;
-let alertQueue = null;
-let templateManager = null;
+// Platforms send users either as a name or as a user object
+function userName(user) {
+  if (!user) return null;
+  return typeof user === 'string' ? user : (user.displayName || user.username || null);
+}
 
-async function showAlert(config) {
-  if (!moduleContext) {
-    return { success: false, error: 'Module not initialized' };
+// Show an alert, or hold it for grouping when coalescing is enabled for its type
+async function showOrCoalesce(type, data, groupKey) {
+  if (eventCoalescer.add(type, data, groupKey)) {
+    return;
   }
+  await showAlert({ type, data });
+}
 
-  try {
-    // Get template
-    let template = null;
-    if (config.templateId) {
-      template = templateManager.getTemplate(config.templateId);
-    } else {
-      // Find default template for event type
-      const templates = templateManager.getTemplates({
-        eventType: config.type,
-        enabled: true
-      });
-      template = templates[0];
-    }
+// Gifts are grouped per gifter and new subs per tier. Resubs are always shown
+// on their own so their months and message are not lost.
+async function showSubscription(data) {
+  if (data.gifter) {
+    await showOrCoalesce('subscribe', data, `gift:${data.platform}:${data.gifter}:${data.tier}`);
+  } else if (data.months <= 1 && !data.message) {
+    await showOrCoalesce('subscribe', data, `subscribe:${data.platform}:${data.tier}`);
+  } else {
+    await showAlert({ type: 'subscribe', data });
+  }
+}
 
-    if (!template) {
-      return {
-        success: false,
-        error: `No template found for type: ${config.type}`
-      };
-    }
+function subscribeToEvents(context) {
+  // Handlers are always registered and consult the live settings, so
+  // changes made from the admin UI apply without a module restart
 
-    // Check conditions
-    if (template.minAmount && config.data.amount < template.minAmount) {
-      return {
-        success: false,
-        error: 'Amount below minimum threshold',
-        skipped: true
-      };
+  // Chat messages feed the first-time viewer tracker
+  context.on('chat_message', async (event) => {
+    const user = event.user || (event.data && event.data.user) || {};
+    const username = user.username || (event.data && event.data.username);
+    if (username) {
+      await viewerTracker.recordSeen(username, event.platform);
     }
+  });
 
-    if (template.minViewers && config.data.viewers < template.minViewers) {
-      return {
-        success: false,
-        error: 'Viewers below minimum threshold',
-        skipped: true
-      };
-    }
+  // Follow events
+  context.on('follow', async (event) => {
+    if (settings.enableFollowAlerts === false) return;
 
-    // Render template
-    const rendered = templateManager.renderTemplate(template, config.data);
+    const data = {
+      ...baseEventData(event),
+      username: event.data.username,
+      displayName: event.data.displayName || event.data.username
+    };
 
-    // Add to queue
-    const alertId = await alertQueue.add({
-      type: config.type,
-      templateId: template.id,
-      data: config.data,
-      duration: config.duration || rendered.duration,
-      onProcess: async (alert) => {
-        // Display alert via unified overlay
-        if (moduleContext.overlay) {
-          await moduleContext.overlay.show({
-            component: 'CustomHTML',
-            layer: 100,
-            data: {
-              html: `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                  <style>
-                    body { 
-                      margin: 0; 
-                      padding: 0; 
-                      overflow: hidden;
-                      background: transparent;
-                      display: flex;
-                      justify-content: center;
-                      align-items: center;
-                      height: 100vh;
-                      width: 100vw;
-                    }
-                    ${rendered.css}
-                  </style>
-                </head>
-                <body>
-                  ${rendered.html}
-                </body>
-                </html>
-              `,
-              duration: rendered.duration
-            },
-            duration: rendered.duration
-          });
+    await showOrCoalesce('follow', data, `follow:${data.platform}`);
+  });
 
-          // Play sound if specified
-          if (rendered.sound && moduleContext.audio) {
-            await moduleContext.audio.play({
-              file: rendered.sound,
-              volume: rendered.soundVolume
-            });
-          }
-        }
+  // Subscribe events
+  context.on('subscribe', async (event) => {
+    if (settings.enableSubscribeAlerts === false) return;
 
-        // Increment template usage
-        await templateManager.incrementUsage(template.id);
-
-        // Save to history
-        const historyEntry = {
-          id: alert.id,
-          templateId: template.id,
-          eventType: config.type,
-          eventData: config.data,
-          displayedAt: new Date().toISOString(),
-          duration: rendered.duration
-        };
-        await moduleContext.storage.set(`history:${alert.id}`, JSON.stringify(historyEntry));
-      }
+    await showSubscription({
+      ...baseEventData(event),
+      username: event.data.username,
+      displayName: event.data.displayName || event.data.username,
+      tier: event.data.tier || 1,
+      months: event.data.months || 1,
+      gifter: userName(event.data.gifter) || undefined
     });
+  });
 
-    return {
-      success: true,
-      alertId,
-      message: `Alert queued: ${config.type}`
-    };
+  // Gifted subscriptions, shown as subscribe alerts for the recipient
+  context.on('gift_subscription', async (event) => {
+    if (settings.enableSubscribeAlerts === false) return;
 
-  } catch (error) {
-    moduleContext.logger.error('Failed to show alert', {
-      type: config.type,
-      error: error.message
+    const recipient = event.data.recipient || {};
+    await showSubscription({
+      ...baseEventData(event),
+      username: userName(recipient) || event.data.username,
+      displayName: (recipient && recipient.displayName) || userName(recipient) || event.data.username,
+      tier: event.data.tier || 1,
+      months: 1,
+      gifter: userName(event.data.gifter) || 'Anonymous',
+      isGift: true
     });
+  });
 
-    return {
-      success: false,
-      error: error.message
-    };
-  }
-}
+  // Raid events
+  context.on('raid', async (event) => {
+    if (settings.enableRaidAlerts === false) return;
 
-async function testAlert(type) {
-  const testData = {
-    follow: {
-      type: 'follow',
-      data: {
-        username: 'TestFollower',
-        displayName: 'TestFollower'
-      }
-    },
-    subscribe: {
-      type: 'subscribe',
-      data: {
-        username: 'TestSubscriber',
-        displayName: 'TestSubscriber',
-        tier: 1,
-        months: 1
-      }
-    },
-    raid: {
-      type: 'raid',
-      data: {
-        username: 'TestRaider',
-        displayName: 'TestRaider',
-        viewers: 50
-      }
-    },
-    donation: {
-      type: 'donation',
-      data: {
-        username: 'TestDonor',
-        displayName: 'TestDonor',
-        amount: 5.00,
-        currency: 'USD',
-        message: 'Great stream!'
-      }
-    },
-    cheer: {
-      type: 'cheer',
-      data: {
-        username: 'TestCheerer',
-        displayName: 'TestCheerer',
-        amount: 100,
-        message: 'Love the content!'
-      }
+    const viewers = event.data.viewerCount || event.data.viewers || 0;
+    
+    if (viewers >= (settings.minRaidViewers || 0)) {
+      await showAlert({
+        type: 'raid',
+        data: {
+          ...baseEventData(event),
+          username: event.data.username,
+          displayName: event.data.displayName || event.data.username,
+          viewers
+        }
+      });
     }
-  };
+  });
 
-  const config = testData[type] || testData.follow;
-  return await showAlert(config);
-}
+  // Donation events
+  context.on('donation', async (event) => {
+    if (settings.enableDonationAlerts === false) return;
 
-function subscribeToEvents(context, config) {
-  // Follow events
-  if (config.enableFollowAlerts !== false) {
-    context.on('follow', async (event) => {
+    const amount = event.data.amount || 0;
+    
+    if (amount >= (settings.minDonationAmount || 0)) {
       await showAlert({
-        type: 'follow',
+        type: 'donation',
         data: {
+          ...baseEventData(event),
           username: event.data.username,
-          displayName: event.data.displayName || event.data.username
+          displayName: event.data.displayName || event.data.username,
+          amount,
+          currency: event.data.currency || 'USD',
+          message: event.data.message || ''
         }
       });
-    });
-  }
+    }
+  });
 
-  // Subscribe events
-  if (config.enableSubscribeAlerts !== false) {
-    context.on('subscribe', async (event) => {
+  // Cheer events
+  context.on('cheer', async (event) => {
+    if (settings.enableCheerAlerts === false) return;
+
+    const amount = event.data.bits || event.data.amount || 0;
+    
+    if (amount >= (settings.minCheerBits || 0)) {
       await showAlert({
-        type: 'subscribe',
+        type: 'cheer',
         data: {
+          ...baseEventData(event),
           username: event.data.username,
           displayName: event.data.displayName || event.data.username,
-          tier: event.data.tier || 1,
-          months: event.data.months || 1
+          amount,
+          message: event.data.message || ''
         }
       });
-    });
-  }
-
-  // Raid events
-  if (config.enableRaidAlerts !== false) {
-    context.on('raid', async (event) => {
-      const viewers = event.data.viewerCount || event.data.viewers || 0;
-      
-      if (viewers >= (config.minRaidViewers || 0)) {
-        await showAlert({
-          type: 'raid',
-          data: {
-            username: event.data.username,
-            displayName: event.data.displayName || event.data.username,
-            viewers
-          }
-        });
-      }
-    });
-  }
-
-  // Donation events
-  if (config.enableDonationAlerts !== false) {
-    context.on('donation', async (event) => {
-      const amount = event.data.amount || 0;
-      
-      if (amount >= (config.minDonationAmount || 0)) {
-        await showAlert({
-          type: 'donation',
-          data: {
-            username: event.data.username,
-            displayName: event.data.displayName || event.data.username,
-            amount,
-            currency: event.data.currency || 'USD',
-            message: event.data.message || ''
-          }
-        });
-      }
-    });
-  }
-
-  // Cheer events
-  if (config.enableCheerAlerts !== false) {
-    context.on('cheer', async (event) => {
-      const amount = event.data.bits || event.data.amount || 0;
-      
-      if (amount >= (config.minCheerBits || 0)) {
-        await showAlert({
-          type: 'cheer',
-          data: {
-            username: event.data.username,
-            displayName: event.data.displayName || event.data.username,
-            amount,
-            message: event.data.message || ''
-          }
-        });
-      }
-    });
-  }
+    }
+  });
 }
 
 // Export module
@@ -829,52 +5401,169 @@ module.exports = {
 
     // Initialize queue and template manager
     alertQueue = new AlertQueue(context.logger, context.storage);
+    alertQueue.setProcessor(displayAlert);
     templateManager = new TemplateManager(context.logger, context.storage);
+    webhookManager = new WebhookManager(context.logger, context.storage);
+    viewerTracker = new ViewerTracker(context.logger, context.storage);
+    eventCoalescer = new EventCoalescer(context.logger);
+    eventCoalescer.setHandler((type, data) => showAlert({ type, data }));
+    ttsManager = new TtsManager(context.logger, context.storage);
+    ttsModerator = new TtsModerator(context.logger, context.storage);
+    mediaLibrary = new MediaLibrary(context.logger, context.storage);
+    soundLibrary = new SoundLibrary(context.logger, context.storage);
+    historyStore = new HistoryStore(context.logger, context.storage);
     
-    await templateManager.initialize();
+    // Storage is listed once; each part loads the keys with its own prefix
+    const keys = await context.storage.keys();
+    await templateManager.initialize(keys);
+    await webhookManager.initialize(keys);
+    await ttsManager.initialize(keys);
+    await ttsModerator.initialize(keys);
+    await mediaLibrary.initialize(keys);
+    await soundLibrary.initialize(keys);
+    await historyStore.initialize(keys);
+    await alertQueue.initialize(keys);
 
-    // Get configuration
+    // Get configuration, overlaid with settings saved from the admin UI
     const config = await context.getConfig();
+    await loadSettings(config);
 
     // Subscribe to events
-    subscribeToEvents(context, config);
+    subscribeToEvents(context);
 
-    // Register module API for other modules
-    context.registerApi('alerts', {
+    // Module API for other modules and the admin UI routes
+    const api = {
       showAlert: showAlert,
       clearQueue: () => alertQueue.clear(),
       getQueue: () => alertQueue.getQueue(),
       getQueueStatus: () => alertQueue.getStatus(),
       pauseQueue: () => alertQueue.pause(),
       resumeQueue: () => alertQueue.resume(),
+      getCurrentAlerts: () => alertQueue.getCurrent(),
+      skipAlert,
+      completeAlert,
+      replayLastAlert,
+      replayHistoryEntry,
+      getTtsEngines: () => ttsManager.getEngines(),
+      registerTtsEngine: (engine) => ttsManager.registerEngine(engine),
+      unregisterTtsEngine: (engineId) => ttsManager.unregisterEngine(engineId),
+      synthesizeSpeech: (text, options) => ttsManager.synthesize(text, options),
+      clearTtsCache: () => ttsManager.clearCache(),
+      previewSpeech,
+      previewTemplate,
+      getMedia: (filter) => mediaLibrary.getMedia(filter),
+      getMediaItem: (id) => mediaLibrary.getMediaItem(id),
+      addMedia: (media) => mediaLibrary.addMedia(media),
+      deleteMedia,
+      getTtsMutedUsers: () => ttsModerator.getMutedUsers(),
+      muteTtsUser: (username, platform, reason) => ttsModerator.muteUser(username, platform, reason),
+      unmuteTtsUser: (id) => ttsModerator.unmuteUser(id),
+      getDeadLetters: () => alertQueue.getDeadLetters(),
+      retryDeadLetter: (id) => alertQueue.retryDeadLetter(id),
+      deleteDeadLetter: (id) => alertQueue.deleteDeadLetter(id),
+      clearDeadLetters: () => alertQueue.clearDeadLetters(),
       testAlert: testAlert,
       getTemplates: (filter) => templateManager.getTemplates(filter),
       getTemplate: (id) => templateManager.getTemplate(id),
-      createTemplate: (template) => templateManager.createTemplate(template),
-      updateTemplate: (id, updates) => templateManager.updateTemplate(id, updates),
-      deleteTemplate: (id) => templateManager.deleteTemplate(id)
-    });
+      createTemplate: (template, options) => templateManager.createTemplate(template, options),
+      updateTemplate: (id, updates, options) => templateManager.updateTemplate(id, updates, options),
+      getTemplateVersions: (id) => templateManager.listVersions(id),
+      getTemplateVersion: (id, version) => templateManager.getTemplateVersion(id, version),
+      diffTemplateVersions: (id, from, to) => templateManager.diffVersions(id, from, to),
+      rollbackTemplate: (id, version, options) => templateManager.rollback(id, version, options),
+      exportTemplateBundle,
+      importTemplates: (templates, options) => templateManager.importTemplates(templates, options),
+      deleteTemplate: (id) => templateManager.deleteTemplate(id),
+      getHistory: getHistory,
+      clearHistory: () => historyStore.clear(),
+      queryHistory: (filter) => historyStore.query(filter),
+      scanHistory: (filter, options) => historyStore.scan(filter, options),
+      getHistoryInfo: () => historyStore.getInfo(),
+      compactHistory: () => historyStore.compact(),
+      getHistoryStats,
+      getSounds: (filter) => soundLibrary.getSounds(filter),
+      getSound: (id) => soundLibrary.getSound(id),
+      addSound: (sound) => soundLibrary.addSound(sound),
+      updateSound: (id, updates) => soundLibrary.updateSound(id, updates),
+      deleteSound,
+      getSettings: getSettings,
+      updateSettings: updateSettings,
+      triggerWebhook: triggerWebhook,
+      getWebhookIntegrations: () => webhookManager.getIntegrations(),
+      getWebhookIntegration: (id) => webhookManager.getIntegration(id),
+      findWebhookIntegrationByKey: (keyHash) => webhookManager.findByKeyHash(keyHash),
+      verifyWebhookSignature: (id, timestamp, rawBody, signature) =>
+        webhookManager.verifySignature(id, timestamp, rawBody, signature),
+      createWebhookIntegration: (integration) => webhookManager.createIntegration(integration),
+      updateWebhookIntegration: (id, updates) => webhookManager.updateIntegration(id, updates),
+      deleteWebhookIntegration: (id) => webhookManager.deleteIntegration(id)
+    };
+    context.registerApi('alerts', api);
 
-    // Serve media files
     if (context.web) {
+      if (typeof context.web.getBaseUrl === 'function' && !String(context.web.getBaseUrl()).endsWith(MODULE_BASE_PATH)) {
+        context.logger.warn(`Module is not served at ${MODULE_BASE_PATH}; uploaded media will not load`, {
+          baseUrl: context.web.getBaseUrl()
+        });
+      }
+
+      // Uploaded media at MEDIA_URL_PREFIX, the Lottie player at LOTTIE_PLAYER_URL
       context.web.serveStatic('/media', './media');
+      context.web.serveStatic('/vendor', './vendor');
+
+      // The admin UI. The core hands moduleContext to its server as
+      // global.__moduleContext, where hooks.server.js passes the API to the
+      // routes as locals.alerts
+      context.web.serveStatic('/ui', './build', {
+        moduleContext: { alerts: api, context }
+      });
     }
 
+    // Resume alerts restored from storage
+    alertQueue.processQueue();
+
+    // Apply history retention now and periodically
+    historyStore.start().catch(error => {
+      context.logger.error('Failed to start history compaction', { error: error.message });
+    });
+    viewerTracker.start();
+
     context.logger.info('Alert System v3.0 initialized', {
       templates: templateManager.templates.size,
+      queuedAlerts: alertQueue.queue.length,
       hasOverlay: !!context.overlay,
       hasWeb: !!context.web
     });
   },
 
   async shutdown(context) {
+    // Queue any events still waiting to be grouped, then stop. Persisted
+    // queue items are kept and resume on the next start
+    if (eventCoalescer) {
+      await eventCoalescer.flushAll();
+    }
     if (alertQueue) {
-      alertQueue.clear();
+      alertQueue.stop();
+    }
+    if (historyStore) {
+      await historyStore.stop();
+    }
+    if (viewerTracker) {
+      await viewerTracker.stop();
     }
     
     context.logger.info('Alert System v3.0 shutdown');
     moduleContext = null;
     alertQueue = null;
     templateManager = null;
+    webhookManager = null;
+    viewerTracker = null;
+    eventCoalescer = null;
+    ttsManager = null;
+    ttsModerator = null;
+    mediaLibrary = null;
+    soundLibrary = null;
+    historyStore = null;
+    settings = {};
   }
 };
@@ -0,0 +1,11 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { describePack, loadTemplatePacks } from '$lib/templateGallery.js';
+
+export async function GET({ locals }) {
+	const alerts = getAlertsApi(locals);
+	const templates = alerts.getTemplates();
+	const packs = await loadTemplatePacks();
+
+	return json(packs.map((pack) => describePack(pack, templates)));
+}
@@ -0,0 +1,28 @@
+import { error, json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { importBundle, parseBundle } from '$lib/templateBundle.js';
+import { downloadTemplatePack, loadTemplatePacks } from '$lib/templateGallery.js';
+
+/**
+ * Download, validate and import a catalog template pack. JSON body: conflict,
+ * conflicts, editedBy and dryRun, as for /api/alerts/templates/import
+ */
+export async function POST({ params, request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const body = await request.json().catch(() => ({}));
+
+	const pack = (await loadTemplatePacks()).find((pack) => pack.id === params.id);
+	if (!pack) {
+		error(404, `Template pack not found: ${params.id}`);
+	}
+	const bundle = parseBundle(await downloadTemplatePack(pack));
+
+	const options = {
+		conflict: body.conflict || 'rename',
+		conflicts: body.conflicts || {},
+		author: body.editedBy || null,
+		pack: { id: pack.id, version: pack.version }
+	};
+	const result = await importBundle(alerts, bundle, options, { dryRun: body.dryRun === true });
+	return json({ ...result, pack: { id: pack.id, name: pack.name, version: pack.version } });
+}
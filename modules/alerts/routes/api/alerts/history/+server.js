@@ -1,11 +1,20 @@
 import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { historyFilterFromUrl } from '$lib/historyFilter.js';
 
-export async function GET() {
-	// This will be replaced with actual module API calls
-	return json([]);
+// Paginated, newest first: ?page=&pageSize= plus the filters in historyFilter.js
+export async function GET({ url, locals }) {
+	const alerts = getAlertsApi(locals);
+	const filter = historyFilterFromUrl(url);
+
+	filter.page = url.searchParams.get('page') || 1;
+	filter.pageSize = url.searchParams.get('pageSize') || url.searchParams.get('limit') || 50;
+
+	return json(await alerts.queryHistory(filter));
 }
 
-export async function DELETE() {
-	// This will be replaced with actual module API calls
-	return json({ success: true });
+export async function DELETE({ locals }) {
+	const alerts = getAlertsApi(locals);
+	const removed = await alerts.clearHistory();
+	return json({ success: true, removed });
 }
@@ -1,6 +1,14 @@
 import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
 
-export async function POST({ params }) {
-	// This will be replaced with actual module API calls
-	return json({ success: true });
+// Queue a history entry again: { priority: 1-10, useCurrentTemplate }
+export async function POST({ params, request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const body = await request.json().catch(() => ({}));
+	const result = await alerts.replayHistoryEntry(params.id, {
+		priority: body.priority,
+		useCurrentTemplate: body.useCurrentTemplate === true
+	});
+
+	return json(result, { status: result.success ? 200 : result.status || 400 });
 }
@@ -1,11 +1,20 @@
-export async function GET() {
-	// Generate CSV
-	const csv = 'Type,Username,Date\n';
-	
-	return new Response(csv, {
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { historyFilterFromUrl } from '$lib/historyFilter.js';
+import { EXPORT_FORMATS, createHistoryExportStream, exportOptionsFromUrl } from '$lib/historyExport.js';
+
+// Streamed, oldest first: ?format=csv|json|ndjson&columns= plus the filters in historyFilter.js
+export async function GET({ url, locals }) {
+	const alerts = getAlertsApi(locals);
+	const filter = historyFilterFromUrl(url);
+	const options = exportOptionsFromUrl(url);
+	const { contentType, extension } = EXPORT_FORMATS[options.format];
+	const date = new Date().toISOString().slice(0, 10);
+
+	return new Response(createHistoryExportStream(alerts, filter, options), {
 		headers: {
-			'Content-Type': 'text/csv',
-			'Content-Disposition': 'attachment; filename="alert-history.csv"'
+			'Content-Type': contentType,
+			'Content-Disposition': `attachment; filename="alert-history-${date}.${extension}"`,
+			'Cache-Control': 'no-store'
 		}
 	});
 }
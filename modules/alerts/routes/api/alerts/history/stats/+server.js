@@ -0,0 +1,15 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { historyFilterFromUrl } from '$lib/historyFilter.js';
+
+// Aggregates for the analytics view; replays and test alerts are never counted
+export async function GET({ url, locals }) {
+	const alerts = getAlertsApi(locals);
+	const filter = historyFilterFromUrl(url);
+
+	if (url.searchParams.get('top')) {
+		filter.top = url.searchParams.get('top');
+	}
+
+	return json(await alerts.getHistoryStats(filter));
+}
@@ -0,0 +1,15 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+// Stored entry and day counts, and the retention limits
+export async function GET({ locals }) {
+	const alerts = getAlertsApi(locals);
+	return json(alerts.getHistoryInfo());
+}
+
+// Apply retention and repack storage now instead of waiting for the next run
+export async function POST({ locals }) {
+	const alerts = getAlertsApi(locals);
+	const result = await alerts.compactHistory();
+	return json({ success: true, ...result });
+}
@@ -0,0 +1,8 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function GET({ url, locals }) {
+	const alerts = getAlertsApi(locals);
+	const mediaType = url.searchParams.get('type') || undefined;
+	return json(alerts.getMedia({ mediaType }));
+}
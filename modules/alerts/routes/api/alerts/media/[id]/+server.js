@@ -0,0 +1,33 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { deleteMediaFile } from '$lib/mediaStorage.js';
+
+export async function GET({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+	const media = alerts.getMediaItem(params.id);
+
+	if (!media) {
+		error(404, 'Media not found');
+	}
+
+	return json(media);
+}
+
+// Refused with 409 while a template still uses the file
+export async function DELETE({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+
+	let media;
+	try {
+		media = await alerts.deleteMedia(params.id);
+	} catch (err) {
+		error(409, err.message);
+	}
+
+	if (!media) {
+		error(404, 'Media not found');
+	}
+
+	await deleteMediaFile(media.url);
+	return json({ success: true });
+}
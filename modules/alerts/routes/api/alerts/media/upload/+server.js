@@ -0,0 +1,18 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { saveMediaFile } from '$lib/mediaStorage.js';
+
+// Upload an image, GIF, video or Lottie file as multipart form data
+// with a "file" field and a "mediaType" field
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const formData = await request.formData();
+
+	const media = await saveMediaFile(formData.get('file'), formData.get('mediaType'));
+	if (formData.get('name')) {
+		media.name = formData.get('name');
+	}
+
+	const item = await alerts.addMedia(media);
+	return json({ success: true, media: item });
+}
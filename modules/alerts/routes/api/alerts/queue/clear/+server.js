@@ -1,6 +1,8 @@
 import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
 
-export async function POST() {
-	// This will be replaced with actual module API calls
-	return json({ success: true });
+export async function POST({ locals }) {
+	const alerts = getAlertsApi(locals);
+	const removed = await alerts.clearQueue();
+	return json({ success: true, removed });
 }
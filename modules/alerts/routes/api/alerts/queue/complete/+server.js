@@ -0,0 +1,13 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+// Called by the overlay when a template script ends its alert early
+// (alert.setDuration) or is stopped for running too long, with the display
+// attempt's token
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const body = await request.json().catch(() => ({}));
+	const result = alerts.completeAlert(body.alertId, body.token, body.error);
+
+	return json(result, { status: result.success ? 200 : 404 });
+}
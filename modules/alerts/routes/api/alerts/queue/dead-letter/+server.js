@@ -0,0 +1,13 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function GET({ locals }) {
+	const alerts = getAlertsApi(locals);
+	return json(await alerts.getDeadLetters());
+}
+
+export async function DELETE({ locals }) {
+	const alerts = getAlertsApi(locals);
+	const removed = await alerts.clearDeadLetters();
+	return json({ success: true, removed });
+}
@@ -0,0 +1,22 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+// Requeue a dead-letter alert
+export async function POST({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+
+	let alertId;
+	try {
+		alertId = await alerts.retryDeadLetter(params.id);
+	} catch (err) {
+		error(404, err.message);
+	}
+
+	return json({ success: true, alertId });
+}
+
+export async function DELETE({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+	await alerts.deleteDeadLetter(params.id);
+	return json({ success: true });
+}
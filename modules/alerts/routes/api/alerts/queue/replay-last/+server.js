@@ -0,0 +1,9 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function POST({ locals }) {
+	const alerts = getAlertsApi(locals);
+	const result = await alerts.replayLastAlert();
+
+	return json(result, { status: result.success ? 200 : 404 });
+}
@@ -0,0 +1,11 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+// Skip a displaying alert; without an alertId the most recent one is skipped
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const body = await request.json().catch(() => ({}));
+	const result = alerts.skipAlert(body.alertId);
+
+	return json(result, { status: result.success ? 200 : 404 });
+}
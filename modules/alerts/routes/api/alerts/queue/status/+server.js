@@ -1,10 +1,7 @@
 import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
 
-export async function GET() {
-	// This will be replaced with actual module API calls
-	return json({
-		queueLength: 0,
-		processing: false,
-		paused: false
-	});
+export async function GET({ locals }) {
+	const alerts = getAlertsApi(locals);
+	return json(alerts.getQueueStatus());
 }
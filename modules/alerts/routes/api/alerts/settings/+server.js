@@ -1,12 +1,21 @@
-import { json } from '@sveltejs/kit';
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
 
-export async function GET() {
-	// This will be replaced with actual module API calls
-	return json({});
+export async function GET({ locals }) {
+	const alerts = getAlertsApi(locals);
+	return json(alerts.getSettings());
 }
 
-export async function PUT({ request }) {
-	const settings = await request.json();
-	// This will be replaced with actual module API calls
-	return json({ success: true });
+export async function PUT({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const updates = await request.json();
+
+	let settings;
+	try {
+		settings = await alerts.updateSettings(updates);
+	} catch (err) {
+		error(400, err.message);
+	}
+
+	return json({ success: true, settings });
 }
@@ -1,6 +1,13 @@
 import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
 
-export async function GET() {
-	// This will be replaced with actual module API calls
-	return json([]);
+// Optional ?tag= and ?search= filters
+export async function GET({ url, locals }) {
+	const alerts = getAlertsApi(locals);
+	return json(
+		alerts.getSounds({
+			tag: url.searchParams.get('tag') || undefined,
+			search: url.searchParams.get('search') || undefined
+		})
+	);
 }
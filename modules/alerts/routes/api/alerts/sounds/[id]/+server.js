@@ -1,6 +1,46 @@
-import { json } from '@sveltejs/kit';
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { deleteMediaFile } from '$lib/mediaStorage.js';
 
-export async function DELETE({ params }) {
-	// This will be replaced with actual module API calls
+export async function GET({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+	const sound = alerts.getSound(params.id);
+
+	if (!sound) {
+		error(404, 'Sound not found');
+	}
+
+	return json(sound);
+}
+
+// Rename, retag or change the default volume
+export async function PUT({ params, request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const { name, tags, defaultVolume } = await request.json();
+
+	if (!alerts.getSound(params.id)) {
+		error(404, 'Sound not found');
+	}
+
+	const sound = await alerts.updateSound(params.id, { name, tags, defaultVolume });
+	return json({ success: true, sound });
+}
+
+// Refused with 409 while a template still plays the sound
+export async function DELETE({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+
+	let sound;
+	try {
+		sound = await alerts.deleteSound(params.id);
+	} catch (err) {
+		error(409, err.message);
+	}
+
+	if (!sound) {
+		error(404, 'Sound not found');
+	}
+
+	await deleteMediaFile(sound.url);
 	return json({ success: true });
 }
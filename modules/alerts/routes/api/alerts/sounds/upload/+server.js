@@ -1,9 +1,24 @@
 import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { saveSoundFile } from '$lib/mediaStorage.js';
 
-export async function POST({ request }) {
+/**
+ * Upload a sound as multipart form data: "sound" file, optional "name" and
+ * comma-separated "tags". WAV loudness is measured here; for compressed
+ * formats the admin UI measures it while decoding and sends "peakDb"/"rmsDb".
+ */
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
 	const formData = await request.formData();
-	const file = formData.get('sound');
-	
-	// This will be replaced with actual file upload handling
-	return json({ success: true, id: 'sound_' + Date.now() });
+
+	const sound = await saveSoundFile(formData.get('sound'));
+	if (formData.get('name')) {
+		sound.name = formData.get('name');
+	}
+	if (!sound.loudness && formData.get('rmsDb') !== null) {
+		sound.loudness = { peakDb: formData.get('peakDb'), rmsDb: formData.get('rmsDb') };
+	}
+
+	const entry = await alerts.addSound({ ...sound, tags: formData.get('tags') || [] });
+	return json({ success: true, id: entry.id, sound: entry });
 }
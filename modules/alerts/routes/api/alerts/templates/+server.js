@@ -1,13 +1,38 @@
-import { json } from '@sveltejs/kit';
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
 
-// Mock API - in production, this would call the module's registered API
-export async function GET() {
-	// This will be replaced with actual module API calls
-	return json([]);
+export async function GET({ url, locals }) {
+	const alerts = getAlertsApi(locals);
+	const filter = {};
+
+	if (url.searchParams.has('eventType')) {
+		filter.eventType = url.searchParams.get('eventType');
+	}
+	if (url.searchParams.has('enabled')) {
+		filter.enabled = url.searchParams.get('enabled') === 'true';
+	}
+
+	return json(alerts.getTemplates(filter));
 }
 
-export async function POST({ request }) {
-	const template = await request.json();
-	// This will be replaced with actual module API calls
-	return json({ success: true, id: 'template_' + Date.now() });
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	// editedBy names the author of the first version
+	const { editedBy, ...template } = await request.json();
+
+	if (!template.name || !template.eventType) {
+		error(400, 'Template name and event type are required');
+	}
+
+	// New templates always get a generated id
+	delete template.id;
+
+	let created;
+	try {
+		created = await alerts.createTemplate(template, { author: editedBy });
+	} catch (err) {
+		error(400, err.message);
+	}
+
+	return json({ success: true, id: created.id, template: created });
 }
@@ -1,17 +1,45 @@
-import { json } from '@sveltejs/kit';
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { removeThumbnails } from '$lib/thumbnails.js';
 
-export async function GET({ params }) {
-	// This will be replaced with actual module API calls
-	return json({});
+export async function GET({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+	const template = alerts.getTemplate(params.id);
+
+	if (!template) {
+		error(404, `Template not found: ${params.id}`);
+	}
+
+	return json(template);
 }
 
-export async function PUT({ params, request }) {
-	const updates = await request.json();
-	// This will be replaced with actual module API calls
-	return json({ success: true });
+// Saved as a new version; editedBy names its author
+export async function PUT({ params, request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const { editedBy, ...updates } = await request.json();
+
+	if (!alerts.getTemplate(params.id)) {
+		error(404, `Template not found: ${params.id}`);
+	}
+
+	let template;
+	try {
+		template = await alerts.updateTemplate(params.id, updates, { author: editedBy });
+	} catch (err) {
+		error(400, err.message);
+	}
+
+	return json({ success: true, template });
 }
 
-export async function DELETE({ params }) {
-	// This will be replaced with actual module API calls
+export async function DELETE({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+
+	if (!alerts.getTemplate(params.id)) {
+		error(404, `Template not found: ${params.id}`);
+	}
+
+	await alerts.deleteTemplate(params.id);
+	await removeThumbnails(params.id);
 	return json({ success: true });
 }
@@ -0,0 +1,20 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+// ?from=&to= versions; to defaults to the current one
+export async function GET({ params, url, locals }) {
+	const alerts = getAlertsApi(locals);
+
+	if (!alerts.getTemplate(params.id)) {
+		error(404, `Template not found: ${params.id}`);
+	}
+	if (!url.searchParams.get('from')) {
+		error(400, 'A version to compare from is required');
+	}
+
+	try {
+		return json(await alerts.diffTemplateVersions(params.id, url.searchParams.get('from'), url.searchParams.get('to')));
+	} catch (err) {
+		error(404, err.message);
+	}
+}
@@ -0,0 +1,31 @@
+import { error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { previewResponse } from '$lib/templatePreview.js';
+
+// A saved template with sample data: ?eventType= and ?data= (JSON event fields)
+export async function GET({ params, url, locals }) {
+	const alerts = getAlertsApi(locals);
+	if (!alerts.getTemplate(params.id)) {
+		error(404, `Template not found: ${params.id}`);
+	}
+
+	let data;
+	try {
+		data = url.searchParams.get('data') ? JSON.parse(url.searchParams.get('data')) : undefined;
+	} catch (err) {
+		error(400, 'data must be JSON');
+	}
+
+	let preview;
+	try {
+		preview = alerts.previewTemplate({
+			templateId: params.id,
+			eventType: url.searchParams.get('eventType') || undefined,
+			data
+		});
+	} catch (err) {
+		error(400, err.message);
+	}
+
+	return previewResponse(preview);
+}
@@ -0,0 +1,28 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+// Restore { version } as a new version; editedBy names its author.
+// Responds with 409 when the template already matches that version
+export async function POST({ params, request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const body = await request.json().catch(() => ({}));
+
+	if (!alerts.getTemplate(params.id)) {
+		error(404, `Template not found: ${params.id}`);
+	}
+	if (!body.version) {
+		error(400, 'A version to roll back to is required');
+	}
+	if (!(await alerts.getTemplateVersion(params.id, body.version))) {
+		error(404, `Template version not found: ${body.version}`);
+	}
+
+	let template;
+	try {
+		template = await alerts.rollbackTemplate(params.id, body.version, { author: body.editedBy });
+	} catch (err) {
+		error(err.message.startsWith('Template already matches') ? 409 : 400, err.message);
+	}
+
+	return json({ success: true, template });
+}
@@ -0,0 +1,20 @@
+import { error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { getThumbnail } from '$lib/thumbnails.js';
+
+// ?format=png (default) or gif; rendered on first request after a change, then cached
+export async function GET({ params, url, request, locals }) {
+	const alerts = getAlertsApi(locals);
+	if (!alerts.getTemplate(params.id)) {
+		error(404, `Template not found: ${params.id}`);
+	}
+
+	const format = url.searchParams.get('format') || 'png';
+	const thumbnail = await getThumbnail(alerts, params.id, format, url.origin);
+	const headers = { ETag: thumbnail.etag, 'Cache-Control': 'no-cache' };
+
+	if (request.headers.get('if-none-match') === thumbnail.etag) {
+		return new Response(null, { status: 304, headers });
+	}
+	return new Response(thumbnail.image, { headers: { ...headers, 'Content-Type': thumbnail.contentType } });
+}
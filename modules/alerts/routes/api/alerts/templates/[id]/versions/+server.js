@@ -0,0 +1,13 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+// Kept versions, newest first, without their content
+export async function GET({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+
+	if (!alerts.getTemplate(params.id)) {
+		error(404, `Template not found: ${params.id}`);
+	}
+
+	return json(await alerts.getTemplateVersions(params.id));
+}
@@ -0,0 +1,13 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function GET({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+	const template = await alerts.getTemplateVersion(params.id, params.version);
+
+	if (!template) {
+		error(404, `Template version not found: ${params.id} v${params.version}`);
+	}
+
+	return json(template);
+}
@@ -0,0 +1,18 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { BUNDLE_EXTENSION, buildBundle } from '$lib/templateBundle.js';
+
+// ?ids=a,b exports those templates; without it every template is exported
+export async function GET({ url, locals }) {
+	const alerts = getAlertsApi(locals);
+	const ids = (url.searchParams.get('ids') || '').split(',').map((id) => id.trim()).filter(Boolean);
+	const bundle = await buildBundle(alerts, ids);
+	const date = new Date().toISOString().slice(0, 10);
+
+	return json(bundle, {
+		headers: {
+			'Content-Disposition': `attachment; filename="alert-templates-${date}${BUNDLE_EXTENSION}"`,
+			'Cache-Control': 'no-store'
+		}
+	});
+}
@@ -0,0 +1,35 @@
+import { error, json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { importBundle, parseBundle } from '$lib/templateBundle.js';
+
+/**
+ * Import a bundle as multipart form data: "bundle" file, "conflict" (rename,
+ * overwrite or skip), optional "conflicts" as JSON mapping bundle template
+ * IDs to a mode, "editedBy", and "dryRun" to only return the plan
+ */
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const formData = await request.formData();
+
+	const file = formData.get('bundle');
+	if (!file || typeof file.text !== 'function') {
+		error(400, 'No bundle uploaded');
+	}
+	const bundle = parseBundle(await file.text());
+
+	let conflicts = {};
+	if (formData.get('conflicts')) {
+		try {
+			conflicts = JSON.parse(formData.get('conflicts'));
+		} catch (err) {
+			error(400, 'conflicts must be JSON');
+		}
+	}
+
+	const options = {
+		conflict: formData.get('conflict') || 'rename',
+		conflicts,
+		author: formData.get('editedBy') || null
+	};
+	return json(await importBundle(alerts, bundle, options, { dryRun: formData.get('dryRun') === 'true' }));
+}
@@ -0,0 +1,22 @@
+import { error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { previewResponse } from '$lib/templatePreview.js';
+
+// Render unsaved changes: { templateId?, template, eventType?, data? }
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const body = await request.json().catch(() => ({}));
+
+	if (body.templateId && !alerts.getTemplate(body.templateId)) {
+		error(404, `Template not found: ${body.templateId}`);
+	}
+
+	let preview;
+	try {
+		preview = alerts.previewTemplate(body);
+	} catch (err) {
+		error(400, err.message);
+	}
+
+	return previewResponse(preview);
+}
@@ -1,9 +1,16 @@
 import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function POST({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+	const result = await alerts.testAlert(params.type);
+
+	if (!result.success) {
+		return json(result, { status: result.skipped ? 200 : 500 });
+	}
 
-export async function POST({ params }) {
-	// This will be replaced with actual module API calls
 	return json({
-		success: true,
+		...result,
 		message: `Test ${params.type} alert triggered!`
 	});
 }
@@ -0,0 +1,8 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function DELETE({ locals }) {
+	const alerts = getAlertsApi(locals);
+	const removed = await alerts.clearTtsCache();
+	return json({ success: true, removed });
+}
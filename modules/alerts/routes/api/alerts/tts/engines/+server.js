@@ -0,0 +1,7 @@
+import { json } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function GET({ locals }) {
+	const alerts = getAlertsApi(locals);
+	return json(alerts.getTtsEngines());
+}
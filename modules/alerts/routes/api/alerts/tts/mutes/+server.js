@@ -0,0 +1,20 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function GET({ locals }) {
+	const alerts = getAlertsApi(locals);
+	return json(alerts.getTtsMutedUsers());
+}
+
+// Mute a user for TTS; without a platform the mute applies everywhere
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const { username, platform, reason } = await request.json();
+
+	if (!username) {
+		error(400, 'Username is required');
+	}
+
+	const entry = await alerts.muteTtsUser(username, platform, reason);
+	return json({ success: true, entry });
+}
@@ -0,0 +1,12 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function DELETE({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+
+	if (!(await alerts.unmuteTtsUser(params.id))) {
+		error(404, 'Muted user not found');
+	}
+
+	return json({ success: true });
+}
@@ -0,0 +1,17 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+// Show exactly what an alert would speak: { templateId | ttsTemplate, data }
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const body = await request.json();
+
+	let preview;
+	try {
+		preview = await alerts.previewSpeech(body);
+	} catch (err) {
+		error(400, err.message);
+	}
+
+	return json(preview);
+}
@@ -1,11 +1,36 @@
-import { json } from '@sveltejs/kit';
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { authenticateWebhook } from '$lib/webhookAuth.js';
 
-export async function POST({ request }) {
+export async function POST({ request, locals }) {
 	// Webhook endpoint for external services
-	const { type, templateId, data } = await request.json();
-	
-	// This will be replaced with actual module API calls
-	// TODO: Implement API key authentication
-	
-	return json({ success: true });
+	const alerts = getAlertsApi(locals);
+
+	// Signatures are computed over the raw body, so read it before parsing
+	const rawBody = await request.text();
+	const integration = await authenticateWebhook(request, rawBody, alerts);
+
+	let payload;
+	try {
+		payload = JSON.parse(rawBody);
+	} catch {
+		error(400, 'Invalid JSON payload');
+	}
+
+	if (!payload || typeof payload !== 'object') {
+		error(400, 'Invalid JSON payload');
+	}
+
+	const { type, templateId, data, priority } = payload;
+	const result = await alerts.triggerWebhook(integration.id, { type, templateId, data, priority });
+
+	if (!result.success) {
+		const headers = result.retryAfter ? { 'Retry-After': String(result.retryAfter) } : {};
+		return json(
+			{ success: false, error: result.error },
+			{ status: result.status || (result.skipped ? 200 : 422), headers }
+		);
+	}
+
+	return json({ success: true, alertId: result.alertId });
 }
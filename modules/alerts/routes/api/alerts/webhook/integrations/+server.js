@@ -0,0 +1,30 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+import { generateCredentials } from '$lib/webhookAuth.js';
+
+export async function GET({ locals }) {
+	const alerts = getAlertsApi(locals);
+	return json(alerts.getWebhookIntegrations());
+}
+
+export async function POST({ request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const { name, allowedTypes, rateLimit } = await request.json();
+
+	if (!name) {
+		error(400, 'Integration name is required');
+	}
+
+	const { apiKey, keyHash, keyPrefix, secret } = generateCredentials();
+	const integration = await alerts.createWebhookIntegration({
+		name,
+		allowedTypes,
+		rateLimit,
+		keyHash,
+		keyPrefix,
+		secret
+	});
+
+	// Credentials are shown once; only the key hash is stored
+	return json({ success: true, integration, apiKey, secret });
+}
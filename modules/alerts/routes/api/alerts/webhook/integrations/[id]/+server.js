@@ -0,0 +1,25 @@
+import { json, error } from '@sveltejs/kit';
+import { getAlertsApi } from '$lib/alertsApi.js';
+
+export async function PUT({ params, request, locals }) {
+	const alerts = getAlertsApi(locals);
+	const updates = await request.json();
+
+	if (!alerts.getWebhookIntegration(params.id)) {
+		error(404, `Webhook integration not found: ${params.id}`);
+	}
+
+	const integration = await alerts.updateWebhookIntegration(params.id, updates);
+	return json({ success: true, integration });
+}
+
+export async function DELETE({ params, locals }) {
+	const alerts = getAlertsApi(locals);
+
+	if (!alerts.getWebhookIntegration(params.id)) {
+		error(404, `Webhook integration not found: ${params.id}`);
+	}
+
+	await alerts.deleteWebhookIntegration(params.id);
+	return json({ success: true });
+}
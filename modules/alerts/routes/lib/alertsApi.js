@@ -0,0 +1,12 @@
+import { error } from '@sveltejs/kit';
+
+/**
+ * Get the alerts module API injected by hooks.server.js
+ * Responds with 503 when the module is not initialized
+ */
+export function getAlertsApi(locals) {
+	if (!locals.alerts) {
+		error(503, 'Alerts module not available');
+	}
+	return locals.alerts;
+}
@@ -0,0 +1,219 @@
+import { inflateSync } from 'node:zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// A fixed 6×7×6 colour cube (green gets the extra level, the eye is most
+// sensitive to it) plus one transparent entry. Thumbnails are small enough
+// that this looks fine and no per-frame quantization is needed.
+const LEVELS = { r: 6, g: 7, b: 6 };
+const TRANSPARENT = LEVELS.r * LEVELS.g * LEVELS.b;
+const PALETTE = buildPalette();
+
+function buildPalette() {
+	const palette = Buffer.alloc(256 * 3);
+	let i = 0;
+	for (let r = 0; r < LEVELS.r; r++) {
+		for (let g = 0; g < LEVELS.g; g++) {
+			for (let b = 0; b < LEVELS.b; b++) {
+				palette[i++] = Math.round((r * 255) / (LEVELS.r - 1));
+				palette[i++] = Math.round((g * 255) / (LEVELS.g - 1));
+				palette[i++] = Math.round((b * 255) / (LEVELS.b - 1));
+			}
+		}
+	}
+	return palette;
+}
+
+function paeth(a, b, c) {
+	const p = a + b - c;
+	const pa = Math.abs(p - a);
+	const pb = Math.abs(p - b);
+	const pc = Math.abs(p - c);
+	return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Decode the 8-bit RGB or RGBA, non-interlaced PNGs that Chrome writes
+ * @returns {Object} { width, height, pixels } with pixels as RGBA bytes
+ */
+export function decodePng(buffer) {
+	if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+		throw new Error('Not a PNG file');
+	}
+
+	let header = null;
+	const data = [];
+	for (let offset = 8; offset < buffer.length; ) {
+		const length = buffer.readUInt32BE(offset);
+		const type = buffer.toString('ascii', offset + 4, offset + 8);
+		const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+		if (type === 'IHDR') {
+			header = {
+				width: chunk.readUInt32BE(0),
+				height: chunk.readUInt32BE(4),
+				bitDepth: chunk[8],
+				colorType: chunk[9],
+				interlace: chunk[12]
+			};
+		} else if (type === 'IDAT') {
+			data.push(chunk);
+		} else if (type === 'IEND') {
+			break;
+		}
+		offset += length + 12;
+	}
+
+	if (!header || header.bitDepth !== 8 || ![2, 6].includes(header.colorType) || header.interlace !== 0) {
+		throw new Error('Unsupported PNG format');
+	}
+
+	const { width, height } = header;
+	const channels = header.colorType === 6 ? 4 : 3;
+	const stride = width * channels;
+	const raw = inflateSync(Buffer.concat(data));
+	const rows = Buffer.alloc(stride * height);
+
+	for (let y = 0; y < height; y++) {
+		const filter = raw[y * (stride + 1)];
+		const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+		const row = y * stride;
+		for (let x = 0; x < stride; x++) {
+			const left = x >= channels ? rows[row + x - channels] : 0;
+			const up = y > 0 ? rows[row - stride + x] : 0;
+			const upLeft = y > 0 && x >= channels ? rows[row - stride + x - channels] : 0;
+			const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+			if (predictor === undefined) {
+				throw new Error(`Unknown PNG filter: ${filter}`);
+			}
+			rows[row + x] = (line[x] + predictor) & 0xff;
+		}
+	}
+
+	if (channels === 4) {
+		return { width, height, pixels: rows };
+	}
+
+	const pixels = Buffer.alloc(width * height * 4);
+	for (let i = 0, j = 0; i < rows.length; i += 3, j += 4) {
+		pixels[j] = rows[i];
+		pixels[j + 1] = rows[i + 1];
+		pixels[j + 2] = rows[i + 2];
+		pixels[j + 3] = 255;
+	}
+	return { width, height, pixels };
+}
+
+function paletteIndices(pixels) {
+	const indices = new Uint8Array(pixels.length / 4);
+	for (let i = 0; i < indices.length; i++) {
+		const p = i * 4;
+		if (pixels[p + 3] < 128) {
+			indices[i] = TRANSPARENT;
+			continue;
+		}
+		const r = Math.round((pixels[p] * (LEVELS.r - 1)) / 255);
+		const g = Math.round((pixels[p + 1] * (LEVELS.g - 1)) / 255);
+		const b = Math.round((pixels[p + 2] * (LEVELS.b - 1)) / 255);
+		indices[i] = (r * LEVELS.g + g) * LEVELS.b + b;
+	}
+	return indices;
+}
+
+// GIF's variable-width LZW, written as data sub-blocks
+function lzwEncode(indices, minCodeSize) {
+	const clearCode = 1 << minCodeSize;
+	const endCode = clearCode + 1;
+	const bytes = [];
+	let codeSize = minCodeSize + 1;
+	let nextCode = endCode + 1;
+	let table = new Map();
+	let bits = 0;
+	let bitCount = 0;
+
+	const emit = (code) => {
+		bits |= code << bitCount;
+		bitCount += codeSize;
+		while (bitCount >= 8) {
+			bytes.push(bits & 0xff);
+			bits >>>= 8;
+			bitCount -= 8;
+		}
+	};
+
+	emit(clearCode);
+	let code = indices[0];
+	for (let i = 1; i < indices.length; i++) {
+		const key = (code << 8) | indices[i];
+		if (table.has(key)) {
+			code = table.get(key);
+			continue;
+		}
+
+		emit(code);
+		if (nextCode === 4096) {
+			emit(clearCode);
+			table = new Map();
+			nextCode = endCode + 1;
+			codeSize = minCodeSize + 1;
+		} else {
+			if (nextCode >= 1 << codeSize) codeSize++;
+			table.set(key, nextCode++);
+		}
+		code = indices[i];
+	}
+	emit(code);
+	emit(endCode);
+	if (bitCount > 0) bytes.push(bits & 0xff);
+
+	const blocks = [];
+	for (let i = 0; i < bytes.length; i += 255) {
+		const block = bytes.slice(i, i + 255);
+		blocks.push(block.length, ...block);
+	}
+	blocks.push(0);
+	return Buffer.from(blocks);
+}
+
+/**
+ * Encode RGBA frames of the same size as a looping animated GIF
+ * @param {Array<Object>} frames - { width, height, pixels } from decodePng()
+ * @param {number} delayMs - time each frame is shown
+ * @returns {Buffer}
+ */
+export function encodeGif(frames, delayMs) {
+	const { width, height } = frames[0];
+	const delay = Math.max(2, Math.round(delayMs / 10));
+	const parts = [];
+
+	const screen = Buffer.alloc(13);
+	screen.write('GIF89a', 0, 'ascii');
+	screen.writeUInt16LE(width, 6);
+	screen.writeUInt16LE(height, 8);
+	// Global colour table of 256 entries
+	screen[10] = 0xf7;
+	screen[11] = TRANSPARENT;
+	parts.push(screen, PALETTE);
+
+	// Loop forever
+	parts.push(Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from('NETSCAPE2.0', 'ascii'), 0x03, 0x01, 0x00, 0x00, 0x00]));
+
+	for (const frame of frames) {
+		if (frame.width !== width || frame.height !== height) {
+			throw new Error('All frames must be the same size');
+		}
+
+		// Each frame replaces the last, so transparent areas stay transparent
+		const control = Buffer.from([0x21, 0xf9, 0x04, 0x09, 0, 0, TRANSPARENT, 0]);
+		control.writeUInt16LE(delay, 4);
+
+		const descriptor = Buffer.alloc(10);
+		descriptor[0] = 0x2c;
+		descriptor.writeUInt16LE(width, 5);
+		descriptor.writeUInt16LE(height, 7);
+
+		parts.push(control, descriptor, Buffer.from([8]), lzwEncode(paletteIndices(frame.pixels), 8));
+	}
+
+	parts.push(Buffer.from([0x3b]));
+	return Buffer.concat(parts);
+}
@@ -0,0 +1,149 @@
+import { error } from '@sveltejs/kit';
+
+// Entries read from storage per batch while streaming an export
+const BATCH_SIZE = 500;
+
+export const EXPORT_FORMATS = {
+	csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+	json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+	ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const data = (entry) => entry.eventData || {};
+
+// Columns that can be exported, in the order they are offered in the UI
+export const EXPORT_COLUMNS = {
+	id: (entry) => entry.id,
+	displayedAt: (entry) => entry.displayedAt,
+	eventType: (entry) => entry.eventType,
+	platform: (entry) => data(entry).platform,
+	username: (entry) => data(entry).username,
+	displayName: (entry) => data(entry).displayName,
+	amount: (entry) => data(entry).amount,
+	currency: (entry) => data(entry).currency,
+	message: (entry) => data(entry).message,
+	tier: (entry) => data(entry).tier,
+	months: (entry) => data(entry).months,
+	gifter: (entry) => data(entry).gifter,
+	count: (entry) => data(entry).count,
+	viewers: (entry) => data(entry).viewers,
+	templateId: (entry) => entry.templateId,
+	status: (entry) => entry.status,
+	source: (entry) => entry.source?.kind,
+	integration: (entry) => entry.source?.integrationName,
+	tts: (entry) => entry.tts
+};
+
+export const DEFAULT_CSV_COLUMNS = [
+	'displayedAt',
+	'eventType',
+	'platform',
+	'username',
+	'displayName',
+	'amount',
+	'currency',
+	'message',
+	'status',
+	'source'
+];
+
+/**
+ * Read ?format= and ?columns= (comma separated). JSON and NDJSON export whole
+ * entries unless columns are given.
+ * Responds with 400 for an unknown format or column
+ */
+export function exportOptionsFromUrl(url) {
+	const format = (url.searchParams.get('format') || 'csv').toLowerCase();
+	if (!EXPORT_FORMATS[format]) {
+		error(400, `Unknown export format: ${format}`);
+	}
+
+	let columns = url.searchParams.get('columns')
+		? url.searchParams.get('columns').split(',').map((column) => column.trim()).filter(Boolean)
+		: null;
+	for (const column of columns || []) {
+		if (!EXPORT_COLUMNS[column]) {
+			error(400, `Unknown export column: ${column}`);
+		}
+	}
+	if (!columns && format === 'csv') {
+		columns = DEFAULT_CSV_COLUMNS;
+	}
+
+	return { format, columns };
+}
+
+// Quote a CSV field, and keep spreadsheet apps from running text that
+// starts like a formula
+function csvField(value) {
+	if (value === undefined || value === null) return '';
+	if (typeof value === 'object') value = JSON.stringify(value);
+
+	let text = String(value);
+	if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function project(entry, columns) {
+	if (!columns) return entry;
+
+	const row = {};
+	for (const column of columns) {
+		const value = EXPORT_COLUMNS[column](entry);
+		row[column] = value === undefined ? null : value;
+	}
+	return row;
+}
+
+function formatEntry(entry, { format, columns }, first) {
+	if (format === 'csv') {
+		return columns.map((column) => csvField(EXPORT_COLUMNS[column](entry))).join(',') + '\r\n';
+	}
+
+	const line = JSON.stringify(project(entry, columns));
+	if (format === 'ndjson') return line + '\n';
+	return (first ? '\n' : ',\n') + line;
+}
+
+/**
+ * Stream matching history entries, oldest first, one storage batch at a time
+ * so memory use does not grow with the size of the history
+ * @param {Object} alerts - the alerts module API
+ * @param {Object} filter - see historyFilterFromUrl
+ * @param {Object} options - format and columns from exportOptionsFromUrl
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createHistoryExportStream(alerts, filter, options) {
+	const encoder = new TextEncoder();
+	let cursor = null;
+	let written = 0;
+
+	return new ReadableStream({
+		start(controller) {
+			if (options.format === 'csv') {
+				controller.enqueue(encoder.encode(options.columns.join(',') + '\r\n'));
+			} else if (options.format === 'json') {
+				controller.enqueue(encoder.encode('['));
+			}
+		},
+
+		async pull(controller) {
+			const batch = await alerts.scanHistory(filter, { cursor, limit: BATCH_SIZE });
+			cursor = batch.cursor;
+
+			const chunk = batch.items.map((entry) => formatEntry(entry, options, written++ === 0)).join('');
+			if (chunk) {
+				controller.enqueue(encoder.encode(chunk));
+			}
+
+			if (!cursor) {
+				if (options.format === 'json') {
+					controller.enqueue(encoder.encode(written > 0 ? '\n]\n' : ']\n'));
+				}
+				controller.close();
+			}
+		}
+	});
+}
@@ -0,0 +1,22 @@
+/**
+ * Read history filters from query parameters, shared by the list, stats and
+ * export endpoints
+ */
+export function historyFilterFromUrl(url) {
+	const params = url.searchParams;
+	const filter = {};
+
+	for (const name of ['eventType', 'user', 'templateId', 'status', 'from', 'to']) {
+		if (params.get(name)) {
+			filter[name] = params.get(name);
+		}
+	}
+	if (params.get('type') && !filter.eventType) {
+		filter.eventType = params.get('type');
+	}
+	if (params.get('includeReplays') === 'false') {
+		filter.includeReplays = false;
+	}
+
+	return filter;
+}
@@ -0,0 +1,184 @@
+import { execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { access, constants, mkdir, readFile, rename, unlink } from 'node:fs/promises';
+import { delimiter, join } from 'node:path';
+import { probeMedia } from './mediaProbe.js';
+import { MEDIA_DIR, MEDIA_URL_PREFIX } from './mediaStorage.js';
+
+const TTS_DIR = join(MEDIA_DIR, 'tts');
+const TTS_URL_PREFIX = `${MEDIA_URL_PREFIX}tts/`;
+const SYNTHESIS_TIMEOUT_MS = 30000;
+
+// Words per minute at speed 1, the default of both espeak-ng and say
+const BASE_RATE = 175;
+
+// The voices of the ttsVoice setting
+const VOICES = [
+	{ id: 'en-US', name: 'English (US)' },
+	{ id: 'en-GB', name: 'English (UK)' },
+	{ id: 'en-AU', name: 'English (Australia)' }
+];
+
+/**
+ * Command line synthesizers that write a WAV file, tried in order after
+ * ALERTS_TTS_PATH (an espeak-ng compatible binary). Voices other than the
+ * mapped ones are passed through, so espeak-ng also takes e.g. `de` or `fr`.
+ */
+const SYNTHESIZERS = [
+	{
+		command: 'espeak-ng',
+		// espeak-ng has no Australian English voice
+		voices: { 'en-US': 'en-us', 'en-GB': 'en-gb', 'en-AU': 'en-gb' },
+		args: ({ text, voice, rate, output }) => ['-v', voice, '-s', String(rate), '-w', output, '--', text]
+	},
+	{
+		command: 'espeak',
+		voices: { 'en-US': 'en-us', 'en-GB': 'en', 'en-AU': 'en' },
+		args: ({ text, voice, rate, output }) => ['-v', voice, '-s', String(rate), '-w', output, '--', text]
+	},
+	{
+		// macOS
+		command: 'say',
+		voices: { 'en-US': 'Samantha', 'en-GB': 'Daniel', 'en-AU': 'Karen' },
+		args: ({ text, voice, rate, output }) => [
+			'-v',
+			voice,
+			'-r',
+			String(rate),
+			'--file-format=WAVE',
+			'--data-format=LEI16@22050',
+			'-o',
+			output,
+			'--',
+			text
+		]
+	}
+];
+
+async function isExecutable(path) {
+	try {
+		await access(path, constants.X_OK);
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+/**
+ * Find a local speech synthesizer
+ * @returns {Promise<Object|null>} { path, synthesizer }
+ */
+export async function findSynthesizer() {
+	if (process.env.ALERTS_TTS_PATH && (await isExecutable(process.env.ALERTS_TTS_PATH))) {
+		return { path: process.env.ALERTS_TTS_PATH, synthesizer: SYNTHESIZERS[0] };
+	}
+
+	const pathDirs = (process.env.PATH || '').split(delimiter).filter(Boolean);
+	for (const synthesizer of SYNTHESIZERS) {
+		for (const dir of pathDirs) {
+			const path = join(dir, synthesizer.command);
+			if (await isExecutable(path)) {
+				return { path, synthesizer };
+			}
+		}
+	}
+	return null;
+}
+
+function run(path, args) {
+	return new Promise((resolve, reject) => {
+		execFile(path, args, { timeout: SYNTHESIS_TIMEOUT_MS }, (err, stdout, stderr) => {
+			if (err) {
+				reject(new Error(String(stderr).trim().split('\n').pop() || err.message));
+			} else {
+				resolve();
+			}
+		});
+	});
+}
+
+async function speechFile(path, fileName) {
+	const audio = await readFile(path);
+	const { duration } = probeMedia(audio);
+	return {
+		audio: TTS_URL_PREFIX + fileName,
+		mimeType: 'audio/wav',
+		durationMs: duration ? Math.ceil(duration * 1000) : undefined
+	};
+}
+
+/**
+ * The offline `local` TTS engine for the module's TtsManager. Speech is
+ * written to media/tts as WAV, named by a hash of what was said and how, so
+ * the same text is synthesized once and played through context.audio.
+ * @returns {Promise<Object|null>} null when no synthesizer is installed
+ */
+export async function createLocalTtsEngine() {
+	const found = await findSynthesizer();
+	if (!found) return null;
+
+	const { path, synthesizer } = found;
+	// One synthesis at a time; the machine speaking is usually also streaming
+	let chain = Promise.resolve();
+
+	return {
+		id: 'local',
+		name: `Local (${synthesizer.command})`,
+		voices: VOICES,
+
+		async synthesize({ text, voice, speed }) {
+			const voiceName = synthesizer.voices[voice] || voice;
+			const rate = Math.round(BASE_RATE * (Number(speed) || 1));
+			const hash = createHash('sha256')
+				.update(`${synthesizer.command}|${voiceName}|${rate}|${text}`)
+				.digest('hex')
+				.slice(0, 24);
+			const fileName = `${hash}.wav`;
+			const output = join(TTS_DIR, fileName);
+
+			const cached = await access(output).then(
+				() => true,
+				() => false
+			);
+			if (cached) return speechFile(output, fileName);
+
+			const task = chain.then(async () => {
+				await mkdir(TTS_DIR, { recursive: true });
+				// Written under a temporary name so a half-written file is never played
+				const partial = `${output}.${process.pid}.part`;
+				await run(path, synthesizer.args({ text, voice: voiceName, rate, output: partial }));
+				await rename(partial, output);
+				return speechFile(output, fileName);
+			});
+			chain = task.catch(() => {});
+			return task;
+		},
+
+		// Called when the module's TTS cache drops an entry
+		async discard(output) {
+			if (output && typeof output.audio === 'string' && output.audio.startsWith(TTS_URL_PREFIX)) {
+				const fileName = output.audio.slice(TTS_URL_PREFIX.length);
+				if (/^[a-f0-9]+\.wav$/.test(fileName)) {
+					await unlink(join(TTS_DIR, fileName)).catch(() => {});
+				}
+			}
+		}
+	};
+}
+
+/**
+ * Register the local engine with the module API once per API instance. The
+ * module keeps falling back to the overlay's browser voices when no
+ * synthesizer is installed.
+ */
+let registeredWith = null;
+
+export async function registerLocalTts(alerts) {
+	if (!alerts || registeredWith === alerts) return;
+	registeredWith = alerts;
+
+	const engine = await createLocalTtsEngine();
+	if (engine) {
+		alerts.registerTtsEngine(engine);
+	}
+}
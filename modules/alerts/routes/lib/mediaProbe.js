@@ -0,0 +1,504 @@
+/**
+ * Read format, dimensions and duration from uploaded media by parsing file
+ * headers, so uploads need no ffprobe or image libraries on the host.
+ * Every probe throws when the bytes are not the format it expects.
+ */
+
+export const MEDIA_FORMATS = {
+	png: 'image/png',
+	jpeg: 'image/jpeg',
+	webp: 'image/webp',
+	gif: 'image/gif',
+	mp4: 'video/mp4',
+	webm: 'video/webm',
+	lottie: 'application/json',
+	mp3: 'audio/mpeg',
+	wav: 'audio/wav',
+	ogg: 'audio/ogg',
+	m4a: 'audio/mp4'
+};
+
+// Format names for error messages
+const FORMAT_NAMES = {
+	png: 'PNG',
+	jpeg: 'JPEG',
+	webp: 'WebP',
+	gif: 'GIF',
+	mp4: 'MP4',
+	webm: 'WebM',
+	lottie: 'Lottie',
+	mp3: 'MP3',
+	wav: 'WAV',
+	ogg: 'Ogg',
+	m4a: 'M4A'
+};
+
+/**
+ * Identify a file from its magic bytes
+ * @returns {string|null} a key of MEDIA_FORMATS
+ */
+export function detectFormat(buffer) {
+	if (buffer.length < 12) return null;
+
+	if (buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+	if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpeg';
+	if (buffer.toString('ascii', 0, 4) === 'GIF8') return 'gif';
+	if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+	if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+	if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+		return buffer.toString('ascii', 8, 12) === 'M4A ' ? 'm4a' : 'mp4';
+	}
+	if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+	if (buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+	if (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) return 'mp3';
+
+	const start = buffer.toString('utf8', 0, 64).trimStart();
+	if (start.startsWith('{')) return 'lottie';
+
+	return null;
+}
+
+/**
+ * @returns {{format: string, mimeType: string, width: number|null, height: number|null, duration: number|null}}
+ *   duration is in seconds and null for still images. Audio adds sampleRate and
+ *   channels, and WAV files also loudness ({ peakDb, rmsDb }).
+ */
+export function probeMedia(buffer) {
+	const format = detectFormat(buffer);
+	if (!format) {
+		throw new Error('Unrecognized media format');
+	}
+
+	let probed;
+	try {
+		probed = PROBES[format](buffer);
+	} catch (err) {
+		// A header cut short makes the probe read past the end of the buffer
+		if (err instanceof RangeError) {
+			throw new Error(`Corrupt ${FORMAT_NAMES[format]} file`);
+		}
+		throw err;
+	}
+
+	return { format, mimeType: MEDIA_FORMATS[format], width: null, height: null, duration: null, ...probed };
+}
+
+const PROBES = {
+	png: (buffer) => ({
+		width: buffer.readUInt32BE(16),
+		height: buffer.readUInt32BE(20)
+	}),
+	jpeg: probeJpeg,
+	webp: probeWebp,
+	gif: probeGif,
+	mp4: probeMp4,
+	webm: probeWebm,
+	lottie: probeLottie,
+	mp3: probeMp3,
+	wav: probeWav,
+	ogg: probeOgg,
+	m4a: probeMp4
+};
+
+function probeJpeg(buffer) {
+	let offset = 2;
+	while (offset + 9 < buffer.length) {
+		if (buffer[offset] !== 0xff) {
+			throw new Error('Corrupt JPEG file');
+		}
+
+		const marker = buffer[offset + 1];
+		// Start-of-frame markers carry the image size (C4, C8 and CC are not frames)
+		if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+			return {
+				height: buffer.readUInt16BE(offset + 5),
+				width: buffer.readUInt16BE(offset + 7)
+			};
+		}
+
+		offset += 2 + buffer.readUInt16BE(offset + 2);
+	}
+
+	throw new Error('JPEG file has no frame header');
+}
+
+function probeWebp(buffer) {
+	const chunk = buffer.toString('ascii', 12, 16);
+
+	if (chunk === 'VP8X') {
+		return {
+			width: buffer.readUIntLE(24, 3) + 1,
+			height: buffer.readUIntLE(27, 3) + 1
+		};
+	}
+	if (chunk === 'VP8L') {
+		const bits = buffer.readUInt32LE(21);
+		return {
+			width: (bits & 0x3fff) + 1,
+			height: ((bits >> 14) & 0x3fff) + 1
+		};
+	}
+	if (chunk === 'VP8 ') {
+		return {
+			width: buffer.readUInt16LE(26) & 0x3fff,
+			height: buffer.readUInt16LE(28) & 0x3fff
+		};
+	}
+
+	throw new Error('Unsupported WebP encoding');
+}
+
+// Skip a run of GIF data sub-blocks, returning the offset after the terminator
+function skipGifSubBlocks(buffer, offset) {
+	while (offset < buffer.length && buffer[offset] !== 0) {
+		offset += buffer[offset] + 1;
+	}
+	return offset + 1;
+}
+
+function probeGif(buffer) {
+	const width = buffer.readUInt16LE(6);
+	const height = buffer.readUInt16LE(8);
+	const flags = buffer[10];
+
+	let offset = 13;
+	if (flags & 0x80) {
+		offset += 3 * (1 << ((flags & 0x07) + 1));
+	}
+
+	let frames = 0;
+	let delay = 0;
+	while (offset < buffer.length) {
+		const block = buffer[offset];
+
+		if (block === 0x3b) break;
+
+		if (block === 0x21) {
+			// Graphic control extension holds the frame delay in centiseconds
+			if (buffer[offset + 1] === 0xf9) {
+				delay += buffer.readUInt16LE(offset + 4);
+			}
+			offset = skipGifSubBlocks(buffer, offset + 2);
+		} else if (block === 0x2c) {
+			frames++;
+			const imageFlags = buffer[offset + 9];
+			offset += 10;
+			if (imageFlags & 0x80) {
+				offset += 3 * (1 << ((imageFlags & 0x07) + 1));
+			}
+			offset = skipGifSubBlocks(buffer, offset + 1);
+		} else {
+			throw new Error('Corrupt GIF file');
+		}
+	}
+
+	return {
+		width,
+		height,
+		duration: frames > 1 && delay > 0 ? delay / 100 : null
+	};
+}
+
+// Yield [type, contentStart, end] for each ISO-BMFF box in a range
+function* mp4Boxes(buffer, start, end) {
+	let offset = start;
+	while (offset + 8 <= end) {
+		let size = buffer.readUInt32BE(offset);
+		const type = buffer.toString('ascii', offset + 4, offset + 8);
+		let header = 8;
+
+		if (size === 1) {
+			size = Number(buffer.readBigUInt64BE(offset + 8));
+			header = 16;
+		} else if (size === 0) {
+			size = end - offset;
+		}
+		if (size < header) {
+			throw new Error('Corrupt MP4 file');
+		}
+
+		yield [type, offset + header, Math.min(offset + size, end)];
+		offset += size;
+	}
+}
+
+function probeMp4(buffer) {
+	const result = { width: null, height: null, duration: null };
+
+	for (const [type, start, end] of mp4Boxes(buffer, 0, buffer.length)) {
+		if (type !== 'moov') continue;
+
+		for (const [childType, childStart, childEnd] of mp4Boxes(buffer, start, end)) {
+			if (childType === 'mvhd') {
+				const version = buffer[childStart];
+				const timescale = buffer.readUInt32BE(childStart + (version === 1 ? 20 : 12));
+				const duration = version === 1
+					? Number(buffer.readBigUInt64BE(childStart + 24))
+					: buffer.readUInt32BE(childStart + 16);
+				result.duration = timescale ? duration / timescale : null;
+			} else if (childType === 'trak' && !result.width) {
+				for (const [trackType, , trackEnd] of mp4Boxes(buffer, childStart, childEnd)) {
+					// tkhd ends with width and height as 16.16 fixed point; audio tracks report 0
+					if (trackType === 'tkhd') {
+						result.width = buffer.readUInt32BE(trackEnd - 8) >>> 16 || null;
+						result.height = buffer.readUInt32BE(trackEnd - 4) >>> 16 || null;
+					}
+				}
+			}
+		}
+	}
+
+	if (result.duration === null) {
+		throw new Error('MP4 file has no movie header');
+	}
+	return result;
+}
+
+// Read an EBML variable-length integer; IDs keep their length marker bits
+function readVint(buffer, offset, keepMarker) {
+	const first = buffer[offset];
+	let length = 1;
+	while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+		length++;
+	}
+	if (length > 8) {
+		throw new Error('Corrupt WebM file');
+	}
+
+	let value = keepMarker ? first : first & (0xff >> length);
+	let allOnes = value === (0xff >> length);
+	for (let i = 1; i < length; i++) {
+		value = value * 256 + buffer[offset + i];
+		if (buffer[offset + i] !== 0xff) allOnes = false;
+	}
+
+	return { value, length, unknown: !keepMarker && allOnes };
+}
+
+const EBML_SEGMENT = 0x18538067;
+const EBML_INFO = 0x1549a966;
+const EBML_TRACKS = 0x1654ae6b;
+const EBML_TRACK_ENTRY = 0xae;
+const EBML_VIDEO = 0xe0;
+const EBML_CONTAINERS = new Set([EBML_SEGMENT, EBML_INFO, EBML_TRACKS, EBML_TRACK_ENTRY, EBML_VIDEO]);
+
+function probeWebm(buffer) {
+	const values = {};
+	let offset = 0;
+
+	while (offset < buffer.length) {
+		const id = readVint(buffer, offset, true);
+		const size = readVint(buffer, offset + id.length, false);
+		const start = offset + id.length + size.length;
+
+		// Step into the elements that lead to Info and the video track, skip the rest
+		if (EBML_CONTAINERS.has(id.value)) {
+			offset = start;
+			continue;
+		}
+		if (size.unknown) break;
+
+		if (!(id.value in values)) {
+			if (id.value === 0x4489) {
+				values[id.value] = size.value === 4 ? buffer.readFloatBE(start) : buffer.readDoubleBE(start);
+			} else if (size.value > 0 && size.value <= 6) {
+				values[id.value] = buffer.readUIntBE(start, size.value);
+			}
+		}
+		offset = start + size.value;
+	}
+
+	// Duration is counted in TimecodeScale units, nanoseconds each by default
+	const timecodeScale = values[0x2ad7b1] || 1000000;
+	return {
+		width: values[0xb0] || null,
+		height: values[0xba] || null,
+		duration: values[0x4489] ? (values[0x4489] * timecodeScale) / 1e9 : null
+	};
+}
+
+function probeLottie(buffer) {
+	let animation;
+	try {
+		animation = JSON.parse(buffer.toString('utf8'));
+	} catch {
+		throw new Error('Lottie file is not valid JSON');
+	}
+
+	if (!animation || !Array.isArray(animation.layers) || !(animation.fr > 0)) {
+		throw new Error('JSON file is not a Lottie animation');
+	}
+
+	return {
+		width: animation.w || null,
+		height: animation.h || null,
+		duration: (animation.op - animation.ip) / animation.fr || null
+	};
+}
+
+// Layer III bitrates in kbps, by MPEG-1 and MPEG-2/2.5
+const MP3_BITRATES = {
+	1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+	2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+function probeMp3(buffer) {
+	let offset = 0;
+	// ID3v2 tag size is a 28-bit "syncsafe" integer
+	if (buffer.toString('ascii', 0, 3) === 'ID3') {
+		offset = 10 + ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]);
+	}
+	while (offset + 4 < buffer.length && !(buffer[offset] === 0xff && (buffer[offset + 1] & 0xe0) === 0xe0)) {
+		offset++;
+	}
+	if (offset + 4 >= buffer.length) {
+		throw new Error('MP3 file has no audio frames');
+	}
+
+	const header = buffer.readUInt32BE(offset);
+	const versionBits = (header >> 19) & 0x3;
+	const layerBits = (header >> 17) & 0x3;
+	if (versionBits === 1 || layerBits !== 1) {
+		throw new Error('Only MPEG layer III audio is supported');
+	}
+
+	const mpeg1 = versionBits === 3;
+	const bitrate = MP3_BITRATES[mpeg1 ? 1 : 2][(header >> 12) & 0xf] * 1000;
+	const sampleRateIndex = (header >> 10) & 0x3;
+	if (!bitrate || sampleRateIndex === 3) {
+		throw new Error('Corrupt MP3 frame header');
+	}
+
+	// MPEG-2 halves the sample rate, MPEG-2.5 quarters it
+	const sampleRate = MP3_SAMPLE_RATES[sampleRateIndex] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4);
+	const channels = ((header >> 6) & 0x3) === 3 ? 1 : 2;
+	const samplesPerFrame = mpeg1 ? 1152 : 576;
+
+	// VBR files announce their frame count in a Xing/Info or VBRI header
+	const sideInfo = mpeg1 ? (channels === 1 ? 17 : 32) : (channels === 1 ? 9 : 17);
+	const xing = offset + 4 + sideInfo;
+	let frames = null;
+	const tag = buffer.toString('ascii', xing, xing + 4);
+	if ((tag === 'Xing' || tag === 'Info') && buffer.readUInt32BE(xing + 4) & 0x1) {
+		frames = buffer.readUInt32BE(xing + 8);
+	} else if (buffer.toString('ascii', offset + 36, offset + 40) === 'VBRI') {
+		frames = buffer.readUInt32BE(offset + 50);
+	}
+
+	return {
+		sampleRate,
+		channels,
+		duration: frames
+			? (frames * samplesPerFrame) / sampleRate
+			: ((buffer.length - offset) * 8) / bitrate
+	};
+}
+
+function probeWav(buffer) {
+	let format = null;
+	let offset = 12;
+
+	while (offset + 8 <= buffer.length) {
+		const chunk = buffer.toString('ascii', offset, offset + 4);
+		const size = buffer.readUInt32LE(offset + 4);
+		const start = offset + 8;
+
+		if (chunk === 'fmt ') {
+			format = {
+				// 0xfffe (extensible) keeps the real format code in its sub-format GUID
+				code: buffer.readUInt16LE(start) === 0xfffe ? buffer.readUInt16LE(start + 24) : buffer.readUInt16LE(start),
+				channels: buffer.readUInt16LE(start + 2),
+				sampleRate: buffer.readUInt32LE(start + 4),
+				byteRate: buffer.readUInt32LE(start + 8),
+				bitsPerSample: buffer.readUInt16LE(start + 14)
+			};
+		} else if (chunk === 'data') {
+			if (!format || !format.byteRate) {
+				throw new Error('WAV file has no format chunk');
+			}
+
+			const end = Math.min(start + size, buffer.length);
+			return {
+				sampleRate: format.sampleRate,
+				channels: format.channels,
+				duration: (end - start) / format.byteRate,
+				loudness: measurePcm(buffer, start, end, format)
+			};
+		}
+
+		// Chunks are padded to an even length
+		offset = start + size + (size % 2);
+	}
+
+	throw new Error('WAV file has no audio data');
+}
+
+// Peak and RMS level in dBFS of integer or float PCM samples
+function measurePcm(buffer, start, end, format) {
+	const bytes = format.bitsPerSample / 8;
+	const read = format.code === 3 && bytes === 4
+		? (i) => buffer.readFloatLE(i)
+		: format.code === 1 && bytes === 1
+			? (i) => (buffer[i] - 128) / 128
+			: format.code === 1 && bytes >= 2 && bytes <= 4
+				? (i) => buffer.readIntLE(i, bytes) / 2 ** (format.bitsPerSample - 1)
+				: null;
+	if (!read) return null;
+
+	let peak = 0;
+	let sumSquares = 0;
+	let count = 0;
+	for (let i = start; i + bytes <= end; i += bytes) {
+		const sample = read(i);
+		peak = Math.max(peak, Math.abs(sample));
+		sumSquares += sample * sample;
+		count++;
+	}
+
+	return toLoudness(peak, count ? Math.sqrt(sumSquares / count) : 0);
+}
+
+/**
+ * Round peak and RMS amplitudes (0..1) to dBFS; silence has no loudness
+ */
+export function toLoudness(peak, rms) {
+	if (!(peak > 0) || !(rms > 0)) return null;
+	return {
+		peakDb: Math.round(20 * Math.log10(peak) * 10) / 10,
+		rmsDb: Math.round(20 * Math.log10(rms) * 10) / 10
+	};
+}
+
+function probeOgg(buffer) {
+	// The first page carries the codec's identification header
+	const packet = 27 + buffer[26];
+	let sampleRate;
+	let channels;
+	let granuleRate;
+	let preSkip = 0;
+
+	if (buffer.toString('ascii', packet + 1, packet + 7) === 'vorbis') {
+		channels = buffer[packet + 11];
+		sampleRate = buffer.readUInt32LE(packet + 12);
+		granuleRate = sampleRate;
+	} else if (buffer.toString('ascii', packet, packet + 8) === 'OpusHead') {
+		channels = buffer[packet + 9];
+		preSkip = buffer.readUInt16LE(packet + 10);
+		sampleRate = buffer.readUInt32LE(packet + 12) || 48000;
+		// Opus granule positions always count 48kHz samples
+		granuleRate = 48000;
+	} else {
+		throw new Error('Only Vorbis and Opus Ogg files are supported');
+	}
+
+	// The last page's granule position is the total sample count
+	const last = buffer.lastIndexOf('OggS');
+	const granule = Number(buffer.readBigInt64LE(last + 6));
+
+	return {
+		sampleRate,
+		channels,
+		duration: granule > 0 ? (granule - preSkip) / granuleRate : null
+	};
+}
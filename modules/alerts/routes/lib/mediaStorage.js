@@ -0,0 +1,157 @@
+import { randomBytes } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { mkdir, readFile, unlink, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { error } from '@sveltejs/kit';
+import { probeMedia } from './mediaProbe.js';
+
+/**
+ * The module's directory: the nearest one above this file holding the
+ * module's package.json, so it is found from the sources and from the build
+ * alike, whatever the server's working directory
+ */
+export function findModuleDir() {
+	let dir = dirname(fileURLToPath(import.meta.url));
+	for (;;) {
+		try {
+			if (JSON.parse(readFileSync(join(dir, 'package.json'), 'utf8')).name === '@gothbot/alerts') {
+				return dir;
+			}
+		} catch (err) {
+			// No package.json here, keep looking
+		}
+		const parent = dirname(dir);
+		if (parent === dir) {
+			throw new Error('Cannot find the alerts module directory; set ALERTS_MEDIA_DIR');
+		}
+		dir = parent;
+	}
+}
+
+// Uploaded files live under the module's media directory, which index.js
+// serves with serveStatic('/media', './media'); the core mounts that at
+// /modules/alerts/media/ (MEDIA_URL_PREFIX in index.js)
+export const MEDIA_DIR = resolve(process.env.ALERTS_MEDIA_DIR || join(findModuleDir(), 'media'));
+export const MEDIA_URL_PREFIX = '/modules/alerts/media/';
+
+const MB = 1024 * 1024;
+
+// What each media type accepts. SVG is left out on purpose: it can carry script.
+const MEDIA_KINDS = {
+	image: { directory: 'images', formats: ['png', 'jpeg', 'webp'], maxSize: 10 * MB },
+	gif: { directory: 'images', formats: ['gif'], maxSize: 10 * MB },
+	video: { directory: 'videos', formats: ['mp4', 'webm'], maxSize: 100 * MB },
+	lottie: { directory: 'animations', formats: ['lottie'], maxSize: 5 * MB }
+};
+
+// MP4 covers AAC files that are not branded as M4A
+const SOUND_KIND = { directory: 'sounds', formats: ['mp3', 'wav', 'ogg', 'm4a', 'mp4'], maxSize: 5 * MB };
+
+const EXTENSIONS = {
+	png: '.png',
+	jpeg: '.jpg',
+	webp: '.webp',
+	gif: '.gif',
+	mp4: '.mp4',
+	webm: '.webm',
+	lottie: '.json',
+	mp3: '.mp3',
+	wav: '.wav',
+	ogg: '.ogg',
+	m4a: '.m4a'
+};
+
+/**
+ * Validate, probe and store an uploaded media file
+ * Responds with 400 when the file is missing, too large or not the expected type
+ * @returns {Promise<Object>} metadata for alerts.addMedia()
+ */
+export async function saveMediaFile(file, mediaType) {
+	const kind = MEDIA_KINDS[mediaType];
+	if (!kind) {
+		error(400, `Unknown media type: ${mediaType}`);
+	}
+
+	return { ...(await storeFile(file, kind, `${mediaType} media`)), mediaType };
+}
+
+/**
+ * Validate, probe and store an uploaded alert sound
+ * @returns {Promise<Object>} metadata for alerts.addSound()
+ */
+export async function saveSoundFile(file) {
+	return storeFile(file, SOUND_KIND, 'a sound');
+}
+
+async function storeFile(file, kind, label) {
+	if (!file || typeof file.arrayBuffer !== 'function') {
+		error(400, 'No file uploaded');
+	}
+	if (file.size > kind.maxSize) {
+		error(400, `File is larger than ${kind.maxSize / MB}MB`);
+	}
+
+	const buffer = Buffer.from(await file.arrayBuffer());
+
+	let probed;
+	try {
+		probed = probeMedia(buffer);
+	} catch (err) {
+		error(400, err.message);
+	}
+	if (!kind.formats.includes(probed.format)) {
+		error(400, `A ${probed.format} file cannot be used as ${label}`);
+	}
+
+	// Never reuse the client's file name on disk
+	const fileName = `${Date.now()}_${randomBytes(6).toString('hex')}${EXTENSIONS[probed.format]}`;
+	await mkdir(join(MEDIA_DIR, kind.directory), { recursive: true });
+	await writeFile(join(MEDIA_DIR, kind.directory, fileName), buffer);
+
+	return {
+		name: file.name || fileName,
+		fileName,
+		url: `${MEDIA_URL_PREFIX}${kind.directory}/${fileName}`,
+		fileSize: buffer.length,
+		...probed
+	};
+}
+
+// Path of a stored file from its URL, or null for URLs outside the media directory
+function mediaPath(url) {
+	if (!url || !url.startsWith(MEDIA_URL_PREFIX)) return null;
+
+	const path = resolve(MEDIA_DIR, url.slice(MEDIA_URL_PREFIX.length));
+	return path.startsWith(MEDIA_DIR + sep) ? path : null;
+}
+
+/**
+ * Read a stored media file by its URL
+ * @returns {Promise<Buffer|null>} null when the URL is outside the media directory or the file is gone
+ */
+export async function readMediaFile(url) {
+	const path = mediaPath(url);
+	if (!path) return null;
+
+	try {
+		return await readFile(path);
+	} catch (err) {
+		if (err.code === 'ENOENT') return null;
+		throw err;
+	}
+}
+
+/**
+ * Remove a stored media file by its URL; URLs outside the media directory are ignored
+ */
+export async function deleteMediaFile(url) {
+	const path = mediaPath(url);
+	if (!path) return;
+
+	try {
+		await unlink(path);
+	} catch (err) {
+		if (err.code !== 'ENOENT') throw err;
+	}
+}
@@ -0,0 +1,207 @@
+import { error } from '@sveltejs/kit';
+import { readMediaFile, saveMediaFile, saveSoundFile } from './mediaStorage.js';
+import { getCachedThumbnail } from './thumbnails.js';
+
+export const BUNDLE_FORMAT = 'gothbot-alerts-bundle';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXTENSION = '.alertpack.json';
+
+const MAX_TEMPLATES = 200;
+const MAX_ASSETS = 200;
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MAX_THUMBNAIL_SIZE = 1024 * 1024;
+
+/**
+ * Export templates (all when no IDs are given) as a bundle with the sounds and
+ * media they use embedded as base64, plus PNG thumbnails by template ID for
+ * templates whose thumbnail is already cached. Nothing is rendered, so an
+ * export never waits on a headless browser.
+ * Responds with 404 for an unknown template and 409 when an asset file is missing
+ */
+export async function buildBundle(alerts, templateIds = []) {
+	let bundle;
+	try {
+		bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, ...alerts.exportTemplateBundle(templateIds) };
+	} catch (err) {
+		error(404, err.message);
+	}
+
+	for (const asset of bundle.assets) {
+		const buffer = await readMediaFile(asset.url);
+		if (!buffer) {
+			error(409, `File for "${asset.name}" is missing: ${asset.url}`);
+		}
+		asset.data = buffer.toString('base64');
+	}
+
+	// Thumbnails are a nicety; a bundle is still exported without them
+	bundle.thumbnails = {};
+	for (const template of bundle.templates) {
+		const image = await getCachedThumbnail(alerts, template.id, 'png').catch(() => null);
+		if (image) {
+			bundle.thumbnails[template.id] = image.toString('base64');
+		}
+	}
+
+	return bundle;
+}
+
+/**
+ * Parse a bundle file and check its structure; templates themselves are
+ * validated by the module on import and asset files when they are stored
+ * Responds with 400 when the bundle is malformed
+ * @returns {Object} the bundle, with each asset's decoded file as `buffer`
+ */
+export function parseBundle(text) {
+	let bundle;
+	try {
+		bundle = JSON.parse(text);
+	} catch (err) {
+		error(400, 'Bundle is not valid JSON');
+	}
+
+	if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+		error(400, 'Not an alert template bundle');
+	}
+	if (!Number.isInteger(bundle.version) || bundle.version > BUNDLE_VERSION) {
+		error(400, `Unsupported bundle version: ${bundle.version}`);
+	}
+	if (!Array.isArray(bundle.templates) || bundle.templates.length === 0 || bundle.templates.length > MAX_TEMPLATES) {
+		error(400, `A bundle holds 1 to ${MAX_TEMPLATES} templates`);
+	}
+
+	const assets = bundle.assets || [];
+	if (!Array.isArray(assets) || assets.length > MAX_ASSETS) {
+		error(400, `A bundle holds at most ${MAX_ASSETS} assets`);
+	}
+
+	for (const [index, asset] of assets.entries()) {
+		const label = `Asset ${index + 1}`;
+		if (!asset || (asset.kind !== 'sound' && asset.kind !== 'media')) {
+			error(400, `${label} must be a sound or media`);
+		}
+		if (typeof asset.url !== 'string' || !asset.url) {
+			error(400, `${label} has no URL`);
+		}
+		if (typeof asset.data !== 'string' || !BASE64.test(asset.data)) {
+			error(400, `${label} has no base64 file data`);
+		}
+		asset.buffer = Buffer.from(asset.data, 'base64');
+		delete asset.data;
+	}
+
+	// Only shown in the import preview, so anything that is not a PNG is dropped
+	const thumbnails = {};
+	for (const [id, data] of Object.entries(bundle.thumbnails || {}).slice(0, MAX_TEMPLATES)) {
+		if (typeof data !== 'string' || data.length > (MAX_THUMBNAIL_SIZE * 4) / 3 || !BASE64.test(data)) continue;
+		if (Buffer.from(data.slice(0, 12), 'base64').subarray(0, 8).equals(PNG_SIGNATURE)) {
+			thumbnails[id] = data;
+		}
+	}
+
+	return { ...bundle, assets, thumbnails };
+}
+
+// A library file with the same content, so importing a pack twice does not
+// store its files twice
+async function findIdenticalAsset(alerts, asset) {
+	const items = asset.kind === 'sound' ? alerts.getSounds() : alerts.getMedia({ mediaType: asset.mediaType });
+
+	for (const item of items.filter((item) => item.fileSize === asset.buffer.length)) {
+		const buffer = await readMediaFile(item.url);
+		if (buffer && buffer.equals(asset.buffer)) {
+			return item;
+		}
+	}
+	return null;
+}
+
+/**
+ * Store the assets the given templates use, through the same checks as
+ * uploads, and point the templates at the stored files
+ * @returns {Promise<Object>} { templates, assets: [{ name, kind, url, reused }] }
+ */
+async function importBundleAssets(alerts, bundle, templates) {
+	const urls = new Map();
+	const stored = [];
+
+	for (const asset of bundle.assets) {
+		const used = templates.some((template) => template.soundFile === asset.url || template.mediaUrl === asset.url);
+		if (!used || urls.has(asset.url)) continue;
+
+		let item = await findIdenticalAsset(alerts, asset);
+		const reused = Boolean(item);
+
+		if (!item) {
+			const file = new File([asset.buffer], asset.fileName || asset.name || 'asset');
+			if (asset.kind === 'sound') {
+				const sound = await saveSoundFile(file);
+				item = await alerts.addSound({
+					...sound,
+					name: asset.name || sound.name,
+					tags: asset.tags || [],
+					defaultVolume: asset.defaultVolume,
+					loudness: sound.loudness || asset.loudness
+				});
+			} else {
+				const media = await saveMediaFile(file, asset.mediaType);
+				item = await alerts.addMedia({ ...media, name: asset.name || media.name });
+			}
+		}
+
+		urls.set(asset.url, item.url);
+		stored.push({ name: item.name, kind: asset.kind, url: item.url, reused });
+	}
+
+	return {
+		templates: templates.map((template) => ({
+			...template,
+			soundFile: urls.get(template.soundFile) || template.soundFile,
+			mediaUrl: urls.get(template.mediaUrl) || template.mediaUrl
+		})),
+		assets: stored
+	};
+}
+
+/**
+ * Import a parsed bundle: every template is validated first, then the files
+ * the imported templates use are stored and the templates saved. With dryRun
+ * only the plan is returned.
+ * Responds with 400 when a template is invalid
+ * @param {Object} options - for alerts.importTemplates()
+ * @returns {Promise<Object>} { success, dryRun, templates, assets }
+ */
+export async function importBundle(alerts, bundle, options, { dryRun = false } = {}) {
+	let plan;
+	try {
+		plan = await alerts.importTemplates(bundle.templates, { ...options, dryRun: true });
+	} catch (err) {
+		error(400, err.message);
+	}
+
+	if (dryRun) {
+		return {
+			success: true,
+			dryRun: true,
+			templates: plan.map((item) => ({
+				...item,
+				thumbnail: item.id && bundle.thumbnails[item.id] ? `data:image/png;base64,${bundle.thumbnails[item.id]}` : null
+			})),
+			assets: bundle.assets.map(({ kind, name, url }) => ({ kind, name, url }))
+		};
+	}
+
+	const imported = bundle.templates.filter((template, index) => plan[index].action !== 'skip');
+	const { templates, assets } = await importBundleAssets(alerts, bundle, imported);
+
+	// Skipped templates keep their place so results line up with the bundle
+	let next = 0;
+	const rewritten = bundle.templates.map((template, index) => (plan[index].action === 'skip' ? template : templates[next++]));
+
+	try {
+		return { success: true, templates: await alerts.importTemplates(rewritten, options), assets };
+	} catch (err) {
+		error(400, err.message);
+	}
+}
@@ -0,0 +1,162 @@
+import { createHash } from 'node:crypto';
+import { readFile, stat } from 'node:fs/promises';
+import { resolve, sep } from 'node:path';
+import { error } from '@sveltejs/kit';
+import { findModuleDir } from './mediaStorage.js';
+
+// The marketplace catalog; ALERTS_CATALOG_DIR points at a local copy of the
+// catalog repository (catalog.json plus pack files) to browse offline
+export const CATALOG_URL =
+	process.env.ALERTS_CATALOG_URL || 'https://raw.githubusercontent.com/GothUncc/gothbot-modules/main/catalog.json';
+export const CATALOG_DIR = process.env.ALERTS_CATALOG_DIR ? resolve(process.env.ALERTS_CATALOG_DIR) : null;
+
+// The catalog repository the module ships in (catalog.json and
+// template-packs/ two levels up), used when the remote catalog is unreachable
+const BUNDLED_CATALOG_DIR = (() => {
+	try {
+		return resolve(findModuleDir(), '..', '..');
+	} catch (err) {
+		return null;
+	}
+})();
+
+const MB = 1024 * 1024;
+const MAX_CATALOG_SIZE = 5 * MB;
+const MAX_PACK_SIZE = 50 * MB;
+const FETCH_TIMEOUT_MS = 15000;
+const PACK_ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const SHA256 = /^[a-f0-9]{64}$/;
+
+// Catalog fields passed on to the admin UI
+const PACK_FIELDS = ['id', 'name', 'version', 'description', 'author', 'icon', 'tags', 'eventTypes', 'templateCount', 'size', 'license', 'verified', 'official', 'updatedAt'];
+
+function tooLarge(maxSize) {
+	return new Error(`File is larger than ${maxSize / MB}MB`);
+}
+
+/**
+ * Read a file below a local catalog directory, or fetch it relative to a
+ * catalog URL. Paths may not leave the catalog directory, and reading stops
+ * as soon as the file turns out larger than maxSize.
+ * @param {Object} catalog - { dir } or { url }
+ * @returns {Promise<Buffer|null>} null when the file does not exist
+ */
+async function readCatalogFile(location, catalog, maxSize) {
+	if (catalog.dir && !/^https?:\/\//i.test(location)) {
+		const path = resolve(catalog.dir, location);
+		if (!path.startsWith(catalog.dir + sep)) return null;
+
+		try {
+			if ((await stat(path)).size > maxSize) throw tooLarge(maxSize);
+			return await readFile(path);
+		} catch (err) {
+			if (err.code === 'ENOENT') return null;
+			throw err;
+		}
+	}
+
+	const url = new URL(location, catalog.url);
+	if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+	const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+	if (response.status === 404) return null;
+	if (!response.ok) {
+		throw new Error(`${url} returned ${response.status}`);
+	}
+	if (Number(response.headers.get('content-length')) > maxSize) {
+		await response.body.cancel();
+		throw tooLarge(maxSize);
+	}
+
+	const chunks = [];
+	let size = 0;
+	// Leaving the loop early cancels the download
+	for await (const chunk of response.body) {
+		size += chunk.length;
+		if (size > maxSize) throw tooLarge(maxSize);
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+}
+
+// Entries that are not alert template packs or lack what installing needs are left out
+function isValidPack(pack) {
+	return (
+		pack &&
+		pack.moduleId === 'alerts' &&
+		PACK_ID.test(String(pack.id)) &&
+		typeof pack.name === 'string' &&
+		typeof pack.downloadUrl === 'string' &&
+		SHA256.test(String(pack.sha256))
+	);
+}
+
+/**
+ * Alert template packs listed in the catalog's templatePacks section. The
+ * remote catalog falls back to the bundled one when it cannot be loaded.
+ * Responds with 502 when no catalog can be loaded
+ * @returns {Promise<Array>} packs with downloadUrl, sha256 and the catalog
+ *   they came from kept server side
+ */
+export async function loadTemplatePacks() {
+	const sources = CATALOG_DIR
+		? [{ dir: CATALOG_DIR }]
+		: [{ url: CATALOG_URL }, ...(BUNDLED_CATALOG_DIR ? [{ dir: BUNDLED_CATALOG_DIR }] : [])];
+
+	const failures = [];
+	for (const source of sources) {
+		try {
+			const data = await readCatalogFile(source.url || 'catalog.json', source, MAX_CATALOG_SIZE);
+			if (!data) throw new Error('catalog.json not found');
+			const catalog = JSON.parse(data.toString('utf8'));
+
+			return (Array.isArray(catalog.templatePacks) ? catalog.templatePacks : [])
+				.filter(isValidPack)
+				.map((pack) => ({ ...pack, catalog: source }));
+		} catch (err) {
+			failures.push(err.message);
+		}
+	}
+	error(502, `Template catalog unavailable: ${failures.join('; ')}`);
+}
+
+/**
+ * What the admin UI shows for a pack, with the version installed (if any)
+ * taken from the templates that came from it
+ */
+export function describePack(pack, templates) {
+	const described = {};
+	for (const field of PACK_FIELDS) {
+		if (pack[field] !== undefined) described[field] = pack[field];
+	}
+
+	const installed = templates.filter((template) => template.pack && template.pack.id === pack.id);
+	described.installed = installed.length > 0
+		? { version: installed[0].pack.version, templates: installed.length }
+		: null;
+	described.updateAvailable = Boolean(described.installed && described.installed.version !== String(pack.version));
+	return described;
+}
+
+/**
+ * Download a pack file and check it against the catalog's size and SHA-256
+ * Responds with 502 when it cannot be downloaded or does not match
+ * @returns {Promise<string>} the bundle text, for parseBundle()
+ */
+export async function downloadTemplatePack(pack) {
+	let data;
+	try {
+		data = await readCatalogFile(pack.downloadUrl, pack.catalog, MAX_PACK_SIZE);
+	} catch (err) {
+		error(502, `Could not download ${pack.name}: ${err.message}`);
+	}
+
+	if (!data) {
+		error(502, `${pack.name} is not available from the catalog`);
+	}
+	if (createHash('sha256').update(data).digest('hex') !== pack.sha256) {
+		error(502, `${pack.name} does not match its catalog checksum`);
+	}
+
+	return data.toString('utf8');
+}
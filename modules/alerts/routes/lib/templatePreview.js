@@ -0,0 +1,16 @@
+/**
+ * Serve a rendered preview as a standalone page. The CSP sandbox gives it an
+ * opaque origin, so template markup cannot reach the admin UI even when the
+ * page is opened directly instead of in the editor's sandboxed iframe.
+ * @param {Object} preview - from alerts.previewTemplate()
+ */
+export function previewResponse(preview) {
+	return new Response(preview.html, {
+		headers: {
+			'Content-Type': 'text/html; charset=utf-8',
+			'Content-Security-Policy': 'sandbox allow-scripts',
+			'Cache-Control': 'no-store',
+			'X-Alert-Duration': String(preview.duration)
+		}
+	});
+}
@@ -0,0 +1,272 @@
+import { execFile } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { access, constants, mkdir, mkdtemp, readdir, readFile, rm, unlink, writeFile } from 'node:fs/promises';
+import { homedir, tmpdir } from 'node:os';
+import { delimiter, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { error } from '@sveltejs/kit';
+import { decodePng, encodeGif } from './animatedGif.js';
+import { MEDIA_DIR } from './mediaStorage.js';
+
+const THUMBNAIL_DIR = join(MEDIA_DIR, 'thumbnails');
+
+export const THUMBNAIL_FORMATS = {
+	png: 'image/png',
+	gif: 'image/gif'
+};
+
+// Alerts are laid out on a 1080p overlay and captured at a quarter of that
+const VIEWPORT = { width: 1920, height: 1080, scale: 0.25 };
+const GIF_FRAMES = 8;
+const RENDER_TIMEOUT_MS = 30000;
+
+// Tried in order after ALERTS_CHROME_PATH
+const CHROME_COMMANDS = ['chromium', 'chromium-browser', 'google-chrome', 'google-chrome-stable', 'chrome', 'chrome-headless-shell'];
+const PUPPETEER_BROWSERS = [
+	['chrome-headless-shell', 'chrome-headless-shell'],
+	['chrome', 'chrome']
+];
+
+// How long to wait after not finding Chrome before looking again, so a browser
+// installed while the server runs is picked up without a restart
+const CHROME_SEARCH_RETRY_MS = 60000;
+
+let chromePath = null;
+let chromeSearchedAt = -Infinity;
+
+async function isExecutable(path) {
+	try {
+		await access(path, constants.X_OK);
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+// Browsers downloaded by Puppeteer, e.g. ~/.cache/puppeteer/chrome/linux-141.0.7390.54/chrome-linux64/chrome
+async function puppeteerBrowsers() {
+	const found = [];
+	for (const [browser, binary] of PUPPETEER_BROWSERS) {
+		const root = join(homedir(), '.cache', 'puppeteer', browser);
+		const versions = await readdir(root).catch(() => []);
+		for (const version of versions.sort().reverse()) {
+			for (const platform of await readdir(join(root, version)).catch(() => [])) {
+				found.push(join(root, version, platform, binary));
+			}
+		}
+	}
+	return found;
+}
+
+/**
+ * Find a local Chrome or Chromium to render with. A browser that was found is
+ * remembered; when none is, the search runs again after a minute.
+ * @returns {Promise<string|null>}
+ */
+export async function findChrome() {
+	if (chromePath) return chromePath;
+	if (Date.now() - chromeSearchedAt < CHROME_SEARCH_RETRY_MS) return null;
+	chromeSearchedAt = Date.now();
+
+	const pathDirs = (process.env.PATH || '').split(delimiter).filter(Boolean);
+	const candidates = [
+		process.env.ALERTS_CHROME_PATH,
+		...CHROME_COMMANDS.flatMap((command) => pathDirs.map((dir) => join(dir, command))),
+		...(await puppeteerBrowsers())
+	].filter(Boolean);
+
+	for (const candidate of candidates) {
+		if (await isExecutable(candidate)) {
+			chromePath = candidate;
+			break;
+		}
+	}
+	return chromePath;
+}
+
+// The rendered alert runs in a sandboxed frame, so it has an opaque origin
+// and cannot read local files. The base URL makes uploaded media load from
+// the running server.
+function capturePage(html, origin) {
+	const srcdoc = html.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+	return `<!DOCTYPE html>
+<html>
+<head>
+  <base href="${origin.replace(/"/g, '')}/">
+  <style>html, body { margin: 0; background: transparent; } iframe { position: fixed; inset: 0; width: 100%; height: 100%; border: 0; }</style>
+</head>
+<body><iframe sandbox="allow-scripts" srcdoc="${srcdoc}"></iframe></body>
+</html>`;
+}
+
+function runChrome(chrome, args) {
+	return new Promise((resolve, reject) => {
+		execFile(chrome, args, { timeout: RENDER_TIMEOUT_MS }, (err, stdout, stderr) => {
+			if (err) {
+				reject(new Error(stderr.trim().split('\n').pop() || err.message));
+			} else {
+				resolve();
+			}
+		});
+	});
+}
+
+/**
+ * Screenshot the page after `atMs` of virtual time, so animations are
+ * captured where they would be at that point without waiting in real time
+ */
+async function captureFrame(chrome, workDir, pagePath, atMs, index) {
+	const output = join(workDir, `frame-${index}.png`);
+	await runChrome(chrome, [
+		'--headless',
+		'--disable-gpu',
+		...(process.getuid && process.getuid() === 0 ? ['--no-sandbox'] : []),
+		'--hide-scrollbars',
+		'--mute-audio',
+		'--default-background-color=00000000',
+		'--run-all-compositor-stages-before-draw',
+		`--user-data-dir=${join(workDir, 'profile')}`,
+		`--window-size=${VIEWPORT.width},${VIEWPORT.height}`,
+		`--force-device-scale-factor=${VIEWPORT.scale}`,
+		`--virtual-time-budget=${Math.max(0, Math.round(atMs))}`,
+		`--screenshot=${output}`,
+		pathToFileURL(pagePath).href
+	]);
+	return readFile(output);
+}
+
+async function render(preview, format, origin) {
+	const chrome = await findChrome();
+	if (!chrome) {
+		error(503, 'No headless Chrome or Chromium found for thumbnails; set ALERTS_CHROME_PATH');
+	}
+
+	const workDir = await mkdtemp(join(tmpdir(), 'alert-thumbnail-'));
+	try {
+		const pagePath = join(workDir, 'alert.html');
+		await writeFile(pagePath, capturePage(preview.html, origin));
+
+		// One browser at a time; each frame is a separate headless run
+		if (format === 'png') {
+			return await captureFrame(chrome, workDir, pagePath, preview.duration / 2, 0);
+		}
+
+		const frames = [];
+		for (let i = 0; i < GIF_FRAMES; i++) {
+			const png = await captureFrame(chrome, workDir, pagePath, (preview.duration * (i + 0.5)) / GIF_FRAMES, i);
+			frames.push(decodePng(png));
+		}
+		return encodeGif(frames, preview.duration / GIF_FRAMES);
+	} catch (err) {
+		if (err.status) throw err;
+		error(502, `Thumbnail rendering failed: ${err.message}`);
+	} finally {
+		await rm(workDir, { recursive: true, force: true });
+	}
+}
+
+// Hashed, so no two template IDs share a stem and removing one template's
+// thumbnails never touches another's
+function fileStem(templateId) {
+	return createHash('sha256').update(String(templateId)).digest('hex').slice(0, 16);
+}
+
+// Earlier versions named thumbnails after the template ID; those are removed
+// the first time a thumbnail is written
+const THUMBNAIL_FILE = /^[a-f0-9]{16}\.[a-f0-9]{16}\.(png|gif)$/;
+let legacyRemoved = false;
+
+async function removeLegacyThumbnails() {
+	if (legacyRemoved) return;
+	legacyRemoved = true;
+
+	for (const file of await readdir(THUMBNAIL_DIR).catch(() => [])) {
+		if (!THUMBNAIL_FILE.test(file)) {
+			await unlink(join(THUMBNAIL_DIR, file)).catch(() => {});
+		}
+	}
+}
+
+/**
+ * Where a template's thumbnail is cached; the hash covers the rendered page
+ * Responds with 400 for an unknown format or template
+ */
+function thumbnailFile(alerts, templateId, format) {
+	if (!THUMBNAIL_FORMATS[format]) {
+		error(400, `Unknown thumbnail format: ${format}`);
+	}
+
+	let preview;
+	try {
+		preview = alerts.previewTemplate({ templateId });
+	} catch (err) {
+		error(400, err.message);
+	}
+
+	const hash = createHash('sha256')
+		.update(`${format}:${VIEWPORT.width}x${VIEWPORT.height}@${VIEWPORT.scale}:${preview.html}`)
+		.digest('hex')
+		.slice(0, 16);
+	return { preview, hash, fileName: `${fileStem(templateId)}.${hash}.${format}` };
+}
+
+// Renders run one after another; the machine rendering is usually also the
+// one streaming
+let renderChain = Promise.resolve();
+const pending = new Map();
+
+/**
+ * A template's thumbnail, rendered with the template's sample data at the
+ * middle of its duration (PNG) or across it (GIF). Thumbnails are cached by
+ * a hash of the rendered page, so any change to the template renders a new one.
+ * Responds with 503 when no browser is available and 502 when rendering fails
+ * @param {string} origin - where the admin UI is served, for uploaded media
+ * @returns {Promise<Object>} { image, etag, contentType }
+ */
+export async function getThumbnail(alerts, templateId, format = 'png', origin) {
+	const { preview, hash, fileName } = thumbnailFile(alerts, templateId, format);
+	const result = (image) => ({ image, etag: `"${hash}"`, contentType: THUMBNAIL_FORMATS[format] });
+
+	const cached = await readFile(join(THUMBNAIL_DIR, fileName)).catch(() => null);
+	if (cached) return result(cached);
+
+	if (!pending.has(fileName)) {
+		const task = renderChain.then(async () => {
+			const image = await render(preview, format, origin);
+			await mkdir(THUMBNAIL_DIR, { recursive: true });
+			await removeLegacyThumbnails();
+			await removeThumbnails(templateId, format);
+			await writeFile(join(THUMBNAIL_DIR, fileName), image);
+			return image;
+		});
+		renderChain = task.catch(() => {});
+		pending.set(fileName, task);
+		task.finally(() => pending.delete(fileName)).catch(() => {});
+	}
+
+	return result(await pending.get(fileName));
+}
+
+/**
+ * A template's thumbnail if one is cached for its current content, without
+ * rendering
+ * @returns {Promise<Buffer|null>}
+ */
+export async function getCachedThumbnail(alerts, templateId, format = 'png') {
+	const { fileName } = thumbnailFile(alerts, templateId, format);
+	return readFile(join(THUMBNAIL_DIR, fileName)).catch(() => null);
+}
+
+/**
+ * Delete a template's cached thumbnails, of one format or all
+ */
+export async function removeThumbnails(templateId, format = null) {
+	const prefix = `${fileStem(templateId)}.`;
+	const files = await readdir(THUMBNAIL_DIR).catch(() => []);
+
+	for (const file of files) {
+		if (file.startsWith(prefix) && (!format || file.endsWith(`.${format}`))) {
+			await unlink(join(THUMBNAIL_DIR, file)).catch(() => {});
+		}
+	}
+}
@@ -0,0 +1,52 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { error } from '@sveltejs/kit';
+
+export function hashApiKey(apiKey) {
+	return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Generate credentials for a new webhook integration
+ * The plaintext API key is only ever returned here, at creation time
+ */
+export function generateCredentials() {
+	const apiKey = 'gba_' + randomBytes(24).toString('hex');
+	return {
+		apiKey,
+		keyHash: hashApiKey(apiKey),
+		keyPrefix: apiKey.slice(0, 8),
+		secret: randomBytes(32).toString('hex')
+	};
+}
+
+/**
+ * Resolve the integration a webhook request belongs to
+ *
+ * Supports two schemes:
+ * - X-API-Key: <key>
+ * - X-Webhook-Id, X-Webhook-Timestamp (ms) and X-Webhook-Signature: sha256=<hex>
+ */
+export async function authenticateWebhook(request, rawBody, alerts) {
+	const apiKey = request.headers.get('x-api-key');
+	if (apiKey) {
+		const integration = alerts.findWebhookIntegrationByKey(hashApiKey(apiKey));
+		if (!integration) {
+			error(401, 'Invalid API key');
+		}
+		return integration;
+	}
+
+	const integrationId = request.headers.get('x-webhook-id');
+	const signature = request.headers.get('x-webhook-signature');
+	const timestamp = request.headers.get('x-webhook-timestamp');
+	if (integrationId && signature && timestamp) {
+		// Checked by the module, which keeps the signing secret
+		const integration = await alerts.verifyWebhookSignature(integrationId, timestamp, rawBody, signature);
+		if (!integration) {
+			error(401, 'Invalid webhook signature');
+		}
+		return integration;
+	}
+
+	error(401, 'Missing webhook credentials');
+}
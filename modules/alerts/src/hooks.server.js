@@ -0,0 +1,39 @@
+import { building } from '$app/environment';
+import { registerLocalTts } from '$lib/localTts.js';
+
+// Set by the core from the moduleContext option index.js passes to
+// context.web.serveStatic('/ui', './build', { moduleContext })
+const getModuleContext = () => {
+	if (typeof global !== 'undefined' && global.__moduleContext) {
+		return global.__moduleContext;
+	}
+	return { context: null };
+};
+
+const getAlerts = (moduleContext) => moduleContext.alerts || moduleContext.context?.getApi?.('alerts') || null;
+
+// The offline TTS engine needs native binaries, so it lives on this server
+// rather than in the sandboxed module
+export async function init() {
+	if (!building) {
+		await registerLocalTts(getAlerts(getModuleContext()));
+	}
+}
+
+/**
+ * Expose the API registered via context.registerApi('alerts', {...})
+ * to the SvelteKit API routes as locals.alerts
+ */
+export async function handle({ event, resolve }) {
+	// Skip injection during build
+	if (building) {
+		return resolve(event);
+	}
+
+	const moduleContext = getModuleContext();
+	event.locals.alerts = getAlerts(moduleContext);
+	// Again after a module restart, which registers a fresh API
+	await registerLocalTts(event.locals.alerts);
+
+	return resolve(event);
+}
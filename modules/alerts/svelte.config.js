@@ -18,12 +18,10 @@ const config = {
 			base: process.env.PUBLIC_BASE_PATH || ''
 		},
 
+		// $lib resolves to files.lib, not to an alias
 		files: {
-			routes: 'routes'
-		},
-
-		alias: {
-			$lib: 'routes/lib'
+			routes: 'routes',
+			lib: 'routes/lib'
 		},
 
 		prerender: {
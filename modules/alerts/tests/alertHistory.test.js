@@ -0,0 +1,219 @@
+/**
+ * Alert History - Testing Suite
+ *
+ * Starts the module on seeded storage with a mocked context and checks how
+ * history is loaded and how entries saved again are stored.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext, seedHistory } from './mockContext.js';
+
+const DAY = '2026-03-01';
+
+function entry(id, minute) {
+	return {
+		id,
+		eventType: 'follow',
+		eventData: { username: `viewer${minute}` },
+		displayedAt: new Date(Date.parse(`${DAY}T10:00:00Z`) + minute * 60000).toISOString(),
+		status: 'finished'
+	};
+}
+
+describe('Alert history', () => {
+	let context;
+
+	beforeEach(() => {
+		vi.useFakeTimers();
+		vi.setSystemTime(new Date(`${DAY}T12:00:00Z`));
+		context = createMockContext();
+	});
+
+	afterEach(async () => {
+		if (context.api) {
+			await alertsModule.shutdown(context);
+		}
+		vi.useRealTimers();
+	});
+
+	it('lists storage once at startup', async () => {
+		await alertsModule.initialize(context);
+		expect(context.storage.keys).toHaveBeenCalledTimes(1);
+	});
+
+	it('replaces an entry saved again instead of appending it to the last chunk', async () => {
+		await alertsModule.initialize(context);
+		const template = await context.api.createTemplate({ eventType: 'follow', name: 'History Test', duration: 1000 });
+		await alertsModule.shutdown(context);
+		context.api = null;
+
+		// An alert interrupted by a restart, already in the first of two chunks
+		const alertId = 'alert_1772359200000_restarted';
+		const first = [{ ...entry(alertId, 0), status: 'shown' }];
+		for (let i = 1; i < 200; i++) first.push(entry(`alert_old_${i}`, i));
+		context.store.set('history:index', JSON.stringify({ days: { [DAY]: { chunks: 2, count: 201 } } }));
+		context.store.set(`history:${DAY}:0`, JSON.stringify(first));
+		context.store.set(`history:${DAY}:1`, JSON.stringify([entry('alert_old_200', 200)]));
+		context.store.set(
+			`queue:${alertId}`,
+			JSON.stringify({
+				id: alertId,
+				type: 'follow',
+				templateId: template.id,
+				data: { username: 'viewer0' },
+				priority: 5,
+				status: 'processing',
+				attempts: 1,
+				createdAt: `${DAY}T10:00:00.000Z`
+			})
+		);
+
+		await alertsModule.initialize(context);
+		await vi.advanceTimersByTimeAsync(10000);
+
+		const saved = (await context.api.queryHistory({ pageSize: 500 })).items.filter((e) => e.id === alertId);
+		expect(saved).toHaveLength(1);
+		expect(saved[0].status).toBe('finished');
+		expect((await context.api.queryHistory({})).total).toBe(201);
+	});
+
+	it('updates the entry of an alert that finishes on the next UTC day', async () => {
+		vi.setSystemTime(new Date(`${DAY}T23:59:59Z`));
+		await alertsModule.initialize(context);
+		const template = await context.api.createTemplate({ eventType: 'follow', name: 'Midnight', duration: 5000 });
+		context.storage.get.mockClear();
+
+		await context.api.showAlert({ type: 'follow', templateId: template.id, data: { username: 'owl' } });
+		await vi.advanceTimersByTimeAsync(10000);
+		// Only the append read the day; finishing the alert did not search it
+		const reads = context.storage.get.mock.calls.filter(([key]) => key.startsWith('history:2026-03-01'));
+		expect(reads).toHaveLength(1);
+
+		const { items, total } = await context.api.queryHistory({});
+		expect(total).toBe(1);
+		expect(items[0]).toMatchObject({ status: 'finished', displayedAt: expect.stringMatching(/^2026-03-01T23:59:59/) });
+		expect(items[0].finishedAt).toMatch(/^2026-03-02/);
+		expect(context.store.has('history:2026-03-02:0')).toBe(false);
+	});
+
+	it('leaves no compaction timer behind when shut down during startup compaction', async () => {
+		let release;
+		const blocked = new Promise((resolve) => {
+			release = resolve;
+		});
+		const set = context.storage.set.getMockImplementation();
+		context.storage.set.mockImplementation(async (key, value) => {
+			if (key === 'history:index') await blocked;
+			return set(key, value);
+		});
+
+		await alertsModule.initialize(context);
+		const stopped = alertsModule.shutdown(context);
+		context.api = null;
+		release();
+		await stopped;
+		await vi.advanceTimersByTimeAsync(0);
+
+		expect(vi.getTimerCount()).toBe(0);
+	});
+
+	describe('queries and stats', () => {
+		// Two streams: one running past midnight UTC, and one the next morning
+		function historyEntry(id, displayedAt, eventType, eventData, extra = {}) {
+			return { id, templateId: `template_${eventType}`, eventType, eventData, displayedAt, status: 'finished', ...extra };
+		}
+
+		const ENTRIES = [
+			historyEntry('alert_1', '2026-03-01T23:30:00.000Z', 'follow', { username: 'ann' }),
+			historyEntry('alert_2', '2026-03-01T23:50:00.000Z', 'donation', { username: 'bob', amount: 5, currency: 'USD' }),
+			historyEntry('alert_3', '2026-03-01T23:59:30.000Z', 'donation', { username: 'Bobby', amount: 10, currency: 'USD' }),
+			historyEntry('alert_4', '2026-03-02T00:10:00.000Z', 'donation', { username: 'bob', amount: 2.5, currency: 'USD' }, {
+				status: 'skipped'
+			}),
+			historyEntry('alert_5', '2026-03-02T00:20:00.000Z', 'cheer', { username: 'dee', amount: 500 }),
+			historyEntry('alert_6', '2026-03-02T00:30:00.000Z', 'donation', { username: 'bob', amount: 5, currency: 'USD' }, {
+				source: { kind: 'replay' }
+			}),
+			historyEntry('alert_7', '2026-03-02T00:40:00.000Z', 'follow', { username: 'sample' }, { source: { kind: 'test' } }),
+			historyEntry('alert_8', '2026-03-02T10:00:00.000Z', 'subscribe', { grouped: true, count: 4, users: ['eve', 'fay', 'gus', 'hal'] })
+		];
+
+		beforeEach(async () => {
+			seedHistory(context, ENTRIES);
+			await alertsModule.initialize(context);
+		});
+
+		const ids = (items) => items.map((item) => item.id);
+
+		it('pages through all days newest first', async () => {
+			const first = await context.api.queryHistory({ pageSize: 3 });
+			expect(first).toMatchObject({ total: 8, page: 1, pageSize: 3 });
+			expect(ids(first.items)).toEqual(['alert_8', 'alert_7', 'alert_6']);
+
+			// The last page crosses into the previous day
+			const third = await context.api.queryHistory({ pageSize: 3, page: 3 });
+			expect(ids(third.items)).toEqual(['alert_2', 'alert_1']);
+		});
+
+		it('filters by type, user, template and status', async () => {
+			expect(ids((await context.api.queryHistory({ eventType: 'cheer,follow' })).items)).toEqual(['alert_7', 'alert_5', 'alert_1']);
+			expect(ids((await context.api.queryHistory({ user: 'BOB' })).items)).toEqual(['alert_6', 'alert_4', 'alert_3', 'alert_2']);
+			expect(ids((await context.api.queryHistory({ user: 'gus' })).items)).toEqual(['alert_8']);
+			expect(ids((await context.api.queryHistory({ templateId: 'template_cheer' })).items)).toEqual(['alert_5']);
+			expect((await context.api.queryHistory({ status: 'skipped' })).total).toBe(1);
+			expect(ids((await context.api.queryHistory({ includeReplays: false, eventType: 'donation' })).items)).toEqual([
+				'alert_4',
+				'alert_3',
+				'alert_2'
+			]);
+		});
+
+		it('treats a date without a time as the whole day', async () => {
+			expect(ids((await context.api.queryHistory({ from: '2026-03-01', to: '2026-03-01' })).items)).toEqual([
+				'alert_3',
+				'alert_2',
+				'alert_1'
+			]);
+			expect((await context.api.queryHistory({ from: '2026-03-01T23:55:00Z', to: '2026-03-02T00:15:00Z' })).total).toBe(2);
+		});
+
+		it('aggregates real events per type, hour, supporter and stream', async () => {
+			const stats = await context.api.getHistoryStats({});
+
+			// The replay and the test alert are left out
+			expect(stats.total).toBe(6);
+			expect(stats.byType).toEqual({
+				follow: { alerts: 1, events: 1 },
+				donation: { alerts: 3, events: 3 },
+				cheer: { alerts: 1, events: 1 },
+				subscribe: { alerts: 1, events: 4 }
+			});
+			expect(stats.perHour).toContainEqual({ hour: '2026-03-01T23:00:00.000Z', count: 3 });
+			expect(stats.perHour).toContainEqual({ hour: '2026-03-02T00:00:00.000Z', count: 2 });
+
+			expect(stats.topDonors).toEqual([
+				{ username: 'Bobby', displayName: 'Bobby', currency: 'USD', total: 10, count: 1 },
+				{ username: 'bob', displayName: 'bob', currency: 'USD', total: 7.5, count: 2 }
+			]);
+			expect(stats.topCheerers).toEqual([{ username: 'dee', displayName: 'dee', total: 500, count: 1 }]);
+
+			// Newest stream first; the first one runs across midnight
+			expect(stats.streams).toHaveLength(2);
+			expect(stats.streams[1]).toMatchObject({
+				startedAt: '2026-03-01T23:30:00.000Z',
+				endedAt: '2026-03-02T00:20:00.000Z',
+				alerts: 5,
+				donations: { USD: 17.5 },
+				bits: 500
+			});
+			expect(stats.streams[0]).toMatchObject({ alerts: 1, events: { subscribe: 4 } });
+		});
+
+		it('limits stats to a date range', async () => {
+			const stats = await context.api.getHistoryStats({ from: '2026-03-02' });
+			expect(stats.total).toBe(3);
+			expect(stats.topDonors).toEqual([expect.objectContaining({ username: 'bob', total: 2.5 })]);
+		});
+	});
+});
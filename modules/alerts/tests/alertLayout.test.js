@@ -0,0 +1,87 @@
+/**
+ * Alert Layout - Testing Suite
+ *
+ * Shows alerts through the module with a mocked context and checks that the
+ * placement settings and a template's own layout reach the CSS of the page
+ * the overlay shows.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('Alert layout', () => {
+	let context;
+
+	async function shownCss(template) {
+		const created = await context.api.createTemplate({
+			eventType: 'follow',
+			name: 'Layout Test',
+			htmlContent: '<div class="alert">{{username}}</div>',
+			...template
+		});
+		await context.api.showAlert({ type: 'follow', templateId: created.id, data: { username: 'ann' } });
+
+		await vi.waitFor(() => expect(context.overlay.show).toHaveBeenCalled());
+		const html = context.overlay.show.mock.calls[0][0].data.html;
+		return html.match(/<style>([\s\S]*?)<\/style>/)[1];
+	}
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	it('centers alerts with no offset by default', async () => {
+		const css = await shownCss({});
+
+		expect(css).toContain('justify-content: center;');
+		expect(css).toContain('align-items: center;');
+		expect(css).toContain('left: 0px;');
+		expect(css).toContain('top: 0px;');
+		expect(css).not.toContain('zoom');
+	});
+
+	it('places alerts at the anchor and offset from the settings', async () => {
+		await context.api.updateSettings({
+			alertPosition: 'bottom-right',
+			alertOffsetX: -40,
+			alertOffsetY: 25,
+			alertScale: 1.5,
+			alertSafeArea: { top: 0, right: 320, bottom: 10, left: 0 }
+		});
+		const css = await shownCss({});
+
+		expect(css).toContain('justify-content: flex-end;');
+		expect(css).toContain('align-items: flex-end;');
+		expect(css).toContain('left: -40px;');
+		expect(css).toContain('top: 25px;');
+		expect(css).toContain('padding: 0px 320px 10px 0px;');
+		expect(css).toContain('body > * { zoom: 1.5; }');
+	});
+
+	it('lets a template override the settings field by field', async () => {
+		await context.api.updateSettings({ alertPosition: 'bottom-right', alertOffsetX: -40, alertOffsetY: 25 });
+		const css = await shownCss({ layout: { position: 'top-left', offsetY: 60 }, cssContent: '.alert { color: red; }' });
+
+		expect(css).toContain('justify-content: flex-start;');
+		expect(css).toContain('align-items: flex-start;');
+		expect(css).toContain('left: -40px;');
+		expect(css).toContain('top: 60px;');
+		// The template's own CSS follows the layout
+		expect(css.indexOf('.alert { color: red; }')).toBeGreaterThan(css.indexOf('top: 60px;'));
+	});
+
+	it('rejects unknown anchors and offsets that are not numbers', async () => {
+		await expect(
+			context.api.createTemplate({ eventType: 'follow', name: 'Bad', layout: { position: 'middle' } })
+		).rejects.toThrow('Unknown alert position: middle');
+		await expect(
+			context.api.createTemplate({ eventType: 'follow', name: 'Bad', layout: { offsetX: '10px; color: red' } })
+		).rejects.toThrow();
+	});
+});
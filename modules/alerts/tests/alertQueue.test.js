@@ -0,0 +1,233 @@
+/**
+ * Alert Queue - Testing Suite
+ *
+ * Runs alerts through the module's queue with a mocked context and fake
+ * timers, and checks retries, the dead-letter list and what is restored after
+ * a restart.
+ */
+
+import vm from 'node:vm';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('Alert queue', () => {
+	let context;
+	let template;
+
+	async function start() {
+		await alertsModule.initialize(context);
+		template = await context.api.createTemplate({ eventType: 'donation', name: 'Queue Test', duration: 1000 });
+	}
+
+	function show(data = { username: 'donor', amount: 5 }) {
+		return context.api.showAlert({ type: 'donation', templateId: template.id, data });
+	}
+
+	// Run the overlay's script around a template script's sandbox, with a
+	// stand-in for the iframe
+	function runSandboxWatchdog(html, globals) {
+		const frame = { contentWindow: {}, parentNode: { removeChild: vi.fn() } };
+		const script = html.match(/<\/iframe>\s*<script>([\s\S]*?)<\/script>/)[1];
+		vm.runInNewContext(script, {
+			document: { querySelector: () => frame },
+			window: { addEventListener: vi.fn() },
+			console: { error: vi.fn() },
+			setTimeout,
+			clearTimeout,
+			fetch: vi.fn(async () => {}),
+			...globals
+		});
+		return frame;
+	}
+
+	beforeEach(() => {
+		vi.useFakeTimers();
+		context = createMockContext();
+	});
+
+	afterEach(async () => {
+		if (context.api) {
+			await alertsModule.shutdown(context);
+		}
+		vi.useRealTimers();
+	});
+
+	it('retries an alert the overlay failed to show', async () => {
+		await start();
+		context.overlay.show.mockRejectedValueOnce(new Error('overlay offline'));
+
+		const { alertId } = await show();
+		await vi.advanceTimersByTimeAsync(100);
+		expect(context.overlay.show).toHaveBeenCalledTimes(1);
+		expect(context.api.getQueue()[0]).toMatchObject({ id: alertId, status: 'retrying', attempts: 1 });
+
+		await vi.advanceTimersByTimeAsync(2000);
+		expect(context.overlay.show).toHaveBeenCalledTimes(2);
+
+		await vi.advanceTimersByTimeAsync(2000);
+		expect(context.api.getQueue()).toHaveLength(0);
+		expect(context.store.has(`queue:${alertId}`)).toBe(false);
+	});
+
+	it('ignores completion callbacks from an earlier attempt of a retried alert', async () => {
+		await start();
+		context.overlay.show.mockRejectedValueOnce(new Error('overlay timed out'));
+
+		const { alertId } = await show();
+		await vi.advanceTimersByTimeAsync(2100);
+		expect(context.overlay.show).toHaveBeenCalledTimes(2);
+
+		// The overlay reports the first attempt finished while the second is on screen
+		const [first, second] = context.overlay.show.mock.calls.map(([call]) => call);
+		first.onComplete();
+		await vi.advanceTimersByTimeAsync(0);
+		expect(context.api.getCurrentAlerts().map((entry) => entry.id)).toEqual([alertId]);
+
+		second.onComplete();
+		await vi.advanceTimersByTimeAsync(0);
+		expect(context.api.getCurrentAlerts()).toHaveLength(0);
+	});
+
+	it('moves an alert to the dead-letter list after its last attempt', async () => {
+		await start();
+		await context.api.updateSettings({ maxRetries: 1 });
+		context.overlay.show.mockRejectedValue(new Error('overlay offline'));
+
+		const { alertId } = await show();
+		await vi.advanceTimersByTimeAsync(5000);
+
+		expect(context.overlay.show).toHaveBeenCalledTimes(2);
+		const deadLetters = await context.api.getDeadLetters();
+		expect(deadLetters).toHaveLength(1);
+		expect(deadLetters[0]).toMatchObject({ id: alertId, status: 'dead', attempts: 2, error: 'overlay offline' });
+
+		context.overlay.show.mockResolvedValue();
+		await context.api.retryDeadLetter(alertId);
+		await vi.advanceTimersByTimeAsync(100);
+		expect(context.overlay.show).toHaveBeenCalledTimes(3);
+		expect(await context.api.getDeadLetters()).toHaveLength(0);
+	});
+
+	it('does not show an alert again when saving history fails after it was shown', async () => {
+		await start();
+		const set = context.storage.set.getMockImplementation();
+		context.storage.set.mockImplementation(async (key, value) => {
+			if (key.startsWith('history:')) throw new Error('storage full');
+			return set(key, value);
+		});
+
+		const { alertId } = await show();
+		await vi.advanceTimersByTimeAsync(10000);
+
+		expect(context.overlay.show).toHaveBeenCalledTimes(1);
+		expect(context.store.has(`queue:${alertId}`)).toBe(false);
+		expect(await context.api.getDeadLetters()).toHaveLength(0);
+		expect(context.logger.error).toHaveBeenCalledWith(
+			'Failed to save history for a shown alert',
+			expect.objectContaining({ alertId })
+		);
+	});
+
+	it('shows alerts in separate lanes side by side and keeps each lane to its limit', async () => {
+		await start();
+		await context.api.updateSettings({
+			maxConcurrent: 1,
+			minDelay: 0,
+			lanes: [{ id: 'corner', name: 'Corner', maxConcurrent: 2, gap: 0 }]
+		});
+		const lanesShown = () => context.overlay.show.mock.calls.map(([call]) => call.data.lane);
+
+		for (let i = 0; i < 3; i++) {
+			await context.api.showAlert({ type: 'donation', templateId: template.id, lane: 'corner', data: {} });
+			await context.api.showAlert({ type: 'donation', templateId: template.id, data: {} });
+		}
+		await vi.advanceTimersByTimeAsync(100);
+
+		expect(lanesShown().sort()).toEqual(['corner', 'corner', 'main']);
+		expect(context.api.getQueueStatus().active).toBe(3);
+
+		// The first three finish after 1000ms plus the completion grace
+		await vi.advanceTimersByTimeAsync(1500);
+		expect(lanesShown().sort()).toEqual(['corner', 'corner', 'corner', 'main', 'main']);
+	});
+
+	it('moves on when a template script ends its alert early', async () => {
+		await start();
+		await context.api.updateTemplate(template.id, { duration: 10000, jsContent: 'alert.setDuration(2000);' });
+
+		const { alertId } = await show();
+		await show();
+		await vi.advanceTimersByTimeAsync(100);
+		expect(context.overlay.show).toHaveBeenCalledTimes(1);
+
+		// What the overlay posts once the sandbox has hidden the alert
+		const [{ data }] = context.overlay.show.mock.calls[0];
+		const token = data.html.match(/"token":"([^"]+)"/)[1];
+		expect(context.api.completeAlert(alertId, 'stale-token').success).toBe(false);
+		expect(context.api.completeAlert(alertId, token)).toEqual({ success: true, alertId });
+
+		// Next after the lane's 500ms gap, not the template's 10s
+		await vi.advanceTimersByTimeAsync(600);
+		expect(context.overlay.show).toHaveBeenCalledTimes(2);
+	});
+
+	it('ends the alert when a template script does not finish in time', async () => {
+		await start();
+		await context.api.updateTemplate(template.id, { duration: 10000, jsContent: 'while (true) {}' });
+		const { alertId } = await show();
+		await vi.advanceTimersByTimeAsync(100);
+
+		// The sandbox never reports back
+		const [{ data }] = context.overlay.show.mock.calls[0];
+		const fetch = vi.fn(async () => {});
+		const frame = runSandboxWatchdog(data.html, { fetch });
+
+		await vi.advanceTimersByTimeAsync(3000);
+		expect(frame.parentNode.removeChild).toHaveBeenCalledWith(frame);
+		expect(fetch).toHaveBeenCalledTimes(1);
+
+		// What the admin route does with the report
+		const report = JSON.parse(fetch.mock.calls[0][1].body);
+		expect(report.error).toMatch(/did not finish within 3000ms/);
+		expect(context.api.completeAlert(report.alertId, report.token, report.error)).toEqual({ success: true, alertId });
+		expect(context.logger.warn).toHaveBeenCalledWith('Template script failed; alert ended', expect.objectContaining({ alertId }));
+
+		await vi.advanceTimersByTimeAsync(0);
+		const { items } = await context.api.queryHistory({});
+		expect(items[0]).toMatchObject({ id: alertId, status: 'failed' });
+		expect(context.api.getQueue()).toHaveLength(0);
+	});
+
+	it('leaves a template script running once it has reported back', async () => {
+		await start();
+		await context.api.updateTemplate(template.id, { duration: 10000, jsContent: 'alert.onShow(function () {});' });
+		await show();
+		await vi.advanceTimersByTimeAsync(100);
+
+		const [{ data }] = context.overlay.show.mock.calls[0];
+		const listeners = [];
+		const frame = runSandboxWatchdog(data.html, {
+			window: { addEventListener: (type, listener) => listeners.push(listener) }
+		});
+
+		listeners.forEach((listener) => listener({ source: frame.contentWindow, data: 'alert-script:shown' }));
+		await vi.advanceTimersByTimeAsync(5000);
+		expect(frame.parentNode.removeChild).not.toHaveBeenCalled();
+	});
+
+	it('restores queued alerts after a restart', async () => {
+		await start();
+		context.api.pauseQueue();
+		const { alertId } = await show();
+		await alertsModule.shutdown(context);
+		context.api = null;
+
+		expect(context.overlay.show).not.toHaveBeenCalled();
+		expect(context.store.has(`queue:${alertId}`)).toBe(true);
+
+		await alertsModule.initialize(context);
+		await vi.advanceTimersByTimeAsync(100);
+		expect(context.overlay.show).toHaveBeenCalledWith(expect.objectContaining({ id: alertId }));
+	});
+});
@@ -0,0 +1,96 @@
+/**
+ * Alert Sounds - Testing Suite
+ *
+ * Shows templates with uploaded sounds through the module with a mocked
+ * context and checks the volume each sound is played at, including how
+ * measured loudness brings it toward the loudness target.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('Alert sounds', () => {
+	let context;
+	let sound;
+
+	async function playedVolume(template) {
+		const created = await context.api.createTemplate({
+			eventType: 'donation',
+			name: 'Sound Test',
+			soundFile: sound.url,
+			...template
+		});
+		await context.api.showAlert({ type: 'donation', templateId: created.id, data: {} });
+		await vi.waitFor(() => expect(context.audio.play).toHaveBeenCalled());
+		return context.audio.play.mock.calls[0][0].volume;
+	}
+
+	beforeEach(async () => {
+		context = createMockContext();
+		context.audio = { play: vi.fn(async () => {}) };
+		await alertsModule.initialize(context);
+		sound = await context.api.addSound({
+			name: 'Chime',
+			fileName: 'chime.wav',
+			url: '/modules/alerts/media/sounds/chime.wav',
+			defaultVolume: 0.4
+		});
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	it("plays at the sound's default volume when the template sets none", async () => {
+		expect(await playedVolume({})).toBe(0.4);
+	});
+
+	it("plays at the template's volume when it sets one", async () => {
+		expect(await playedVolume({ soundVolume: 0.9 })).toBe(0.9);
+	});
+
+	it('keeps a template volume of 0', async () => {
+		expect(await playedVolume({ soundVolume: 0 })).toBe(0);
+	});
+
+	describe('loudness normalization', () => {
+		async function measured(loudness) {
+			await context.api.updateSound(sound.id, { loudness });
+		}
+
+		it('turns a sound louder than the target down by the difference', async () => {
+			// 10dB above the default -18dB target
+			await measured({ peakDb: -1, rmsDb: -8 });
+			expect(await playedVolume({})).toBeCloseTo(0.4 * 10 ** (-10 / 20), 6);
+		});
+
+		it('turns a quiet sound up to the target', async () => {
+			await measured({ peakDb: -12, rmsDb: -24 });
+			expect(await playedVolume({})).toBeCloseTo(0.4 * 10 ** (6 / 20), 6);
+		});
+
+		it('never raises a sound so far that its peak goes above 0 dBFS', async () => {
+			// 12dB short of the target, but its peak is only 2dB below full scale
+			await measured({ peakDb: -2, rmsDb: -30 });
+			expect(await playedVolume({})).toBeCloseTo(0.4 * 10 ** (2 / 20), 6);
+		});
+
+		it('never plays above full volume', async () => {
+			await measured({ peakDb: -12, rmsDb: -24 });
+			expect(await playedVolume({ soundVolume: 0.9 })).toBe(1);
+		});
+
+		it('uses the configured target', async () => {
+			await measured({ peakDb: -1, rmsDb: -8 });
+			await context.api.updateSettings({ soundLoudnessTarget: -12 });
+			expect(await playedVolume({})).toBeCloseTo(0.4 * 10 ** (-4 / 20), 6);
+		});
+
+		it('plays at the template volume when turned off', async () => {
+			await measured({ peakDb: -1, rmsDb: -8 });
+			await context.api.updateSettings({ normalizeSounds: false });
+			expect(await playedVolume({})).toBe(0.4);
+		});
+	});
+});
@@ -0,0 +1,251 @@
+/**
+ * Animated GIF Thumbnails - Testing Suite
+ *
+ * Decodes PNGs built like the screenshots Chrome writes, encodes them as an
+ * animated GIF and reads the GIF back: its header, frames and LZW image data.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { deflateSync } from 'node:zlib';
+import { decodePng, encodeGif } from '../routes/lib/animatedGif.js';
+
+const TRANSPARENT = 252;
+
+// Colors that sit exactly on the palette's 6×7×6 color cube, by palette index
+const COLORS = [
+	{ rgba: [0, 0, 0, 255], index: 0 },
+	{ rgba: [255, 0, 0, 255], index: 210 },
+	{ rgba: [0, 255, 0, 255], index: 36 },
+	{ rgba: [0, 0, 255, 255], index: 5 },
+	{ rgba: [255, 255, 255, 255], index: 251 },
+	{ rgba: [102, 170, 51, 255], index: 109 },
+	{ rgba: [0, 0, 0, 0], index: TRANSPARENT }
+];
+
+function paeth(a, b, c) {
+	const p = a + b - c;
+	const pa = Math.abs(p - a);
+	const pb = Math.abs(p - b);
+	const pc = Math.abs(p - c);
+	return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function pngChunk(type, data) {
+	const length = Buffer.alloc(4);
+	length.writeUInt32BE(data.length);
+	// Checksums are not verified by the decoder
+	return Buffer.concat([length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4)]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG, cycling through the five row filters so the
+ * decoder has to undo each of them
+ */
+function encodePng(width, height, pixels, { alpha = true } = {}) {
+	const channels = alpha ? 4 : 3;
+	const stride = width * channels;
+	const rows = Buffer.alloc(stride * height);
+	for (let i = 0; i < width * height; i++) {
+		for (let c = 0; c < channels; c++) rows[i * channels + c] = pixels[i * 4 + c];
+	}
+
+	const raw = Buffer.alloc((stride + 1) * height);
+	for (let y = 0; y < height; y++) {
+		const filter = y % 5;
+		raw[y * (stride + 1)] = filter;
+		for (let x = 0; x < stride; x++) {
+			const value = rows[y * stride + x];
+			const left = x >= channels ? rows[y * stride + x - channels] : 0;
+			const up = y > 0 ? rows[(y - 1) * stride + x] : 0;
+			const upLeft = y > 0 && x >= channels ? rows[(y - 1) * stride + x - channels] : 0;
+			const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+			raw[y * (stride + 1) + 1 + x] = (value - predictor) & 0xff;
+		}
+	}
+
+	const header = Buffer.alloc(13);
+	header.writeUInt32BE(width, 0);
+	header.writeUInt32BE(height, 4);
+	header[8] = 8;
+	header[9] = alpha ? 6 : 2;
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		pngChunk('IHDR', header),
+		pngChunk('IDAT', deflateSync(raw)),
+		pngChunk('IEND', Buffer.alloc(0))
+	]);
+}
+
+// A frame of colors picked by a fixed pseudo-random sequence
+function frameColors(length, seed) {
+	const colors = [];
+	let state = seed;
+	for (let i = 0; i < length; i++) {
+		state = (state * 1103515245 + 12345) % 2147483648;
+		colors.push(COLORS[state % COLORS.length]);
+	}
+	return colors;
+}
+
+function pixelsOf(colors) {
+	return Buffer.from(colors.flatMap((color) => color.rgba));
+}
+
+// Concatenate a run of GIF data sub-blocks, returning it and the offset after it
+function readSubBlocks(buffer, offset) {
+	const parts = [];
+	while (buffer[offset] !== 0) {
+		parts.push(buffer.subarray(offset + 1, offset + 1 + buffer[offset]));
+		offset += buffer[offset] + 1;
+	}
+	return { data: Buffer.concat(parts), next: offset + 1 };
+}
+
+// A GIF LZW decoder written from the specification
+function lzwDecode(data, minCodeSize) {
+	const clearCode = 1 << minCodeSize;
+	const endCode = clearCode + 1;
+	const output = [];
+	let codeSize = minCodeSize + 1;
+	let table = [];
+	let previous = null;
+	let position = 0;
+
+	const read = () => {
+		let code = 0;
+		for (let bit = 0; bit < codeSize; bit++, position++) {
+			if (position >= data.length * 8) throw new Error('LZW data ended without an end code');
+			code |= ((data[position >> 3] >> (position & 7)) & 1) << bit;
+		}
+		return code;
+	};
+
+	for (;;) {
+		const code = read();
+		if (code === clearCode) {
+			table = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+			codeSize = minCodeSize + 1;
+			previous = null;
+			continue;
+		}
+		if (code === endCode) return output;
+
+		let entry;
+		if (code < table.length) {
+			entry = table[code];
+		} else if (code === table.length && previous) {
+			entry = [...previous, previous[0]];
+		} else {
+			throw new Error(`Invalid LZW code ${code}`);
+		}
+		output.push(...entry);
+
+		if (previous && table.length < 4096) {
+			table.push([...previous, entry[0]]);
+			if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+		}
+		previous = entry;
+	}
+}
+
+function readGif(buffer) {
+	const gif = {
+		signature: buffer.toString('ascii', 0, 6),
+		width: buffer.readUInt16LE(6),
+		height: buffer.readUInt16LE(8),
+		loops: false,
+		frames: []
+	};
+
+	let offset = 13 + 3 * (1 << ((buffer[10] & 0x07) + 1));
+	let control = null;
+	while (buffer[offset] !== 0x3b) {
+		if (buffer[offset] === 0x21) {
+			const label = buffer[offset + 1];
+			const { data, next } = readSubBlocks(buffer, offset + 2);
+			if (label === 0xf9) {
+				control = { delay: data.readUInt16LE(1), transparentIndex: data[3] };
+			} else if (label === 0xff && data.toString('ascii', 0, 11) === 'NETSCAPE2.0') {
+				gif.loops = true;
+			}
+			offset = next;
+		} else if (buffer[offset] === 0x2c) {
+			const width = buffer.readUInt16LE(offset + 5);
+			const height = buffer.readUInt16LE(offset + 7);
+			const minCodeSize = buffer[offset + 10];
+			const { data, next } = readSubBlocks(buffer, offset + 11);
+			gif.frames.push({ width, height, ...control, indices: lzwDecode(data, minCodeSize) });
+			offset = next;
+		} else {
+			throw new Error(`Unexpected GIF block at ${offset}`);
+		}
+	}
+	return gif;
+}
+
+describe('Animated GIF thumbnails', () => {
+	describe('decodePng', () => {
+		it('decodes RGBA rows through every filter type', () => {
+			const colors = frameColors(7 * 10, 1);
+			const decoded = decodePng(encodePng(7, 10, pixelsOf(colors)));
+
+			expect(decoded).toMatchObject({ width: 7, height: 10 });
+			expect(decoded.pixels).toEqual(pixelsOf(colors));
+		});
+
+		it('decodes RGB as opaque RGBA', () => {
+			const colors = frameColors(5 * 5, 2).filter((color) => color.index !== TRANSPARENT);
+			const decoded = decodePng(encodePng(colors.length, 1, pixelsOf(colors), { alpha: false }));
+
+			expect(decoded.pixels).toEqual(pixelsOf(colors));
+		});
+
+		it('rejects files that are not PNGs or use other formats', () => {
+			expect(() => decodePng(Buffer.from('GIF89a, not a png'))).toThrow('Not a PNG file');
+
+			const interlaced = encodePng(2, 2, pixelsOf(frameColors(4, 3)));
+			interlaced[8 + 8 + 12] = 1;
+			expect(() => decodePng(interlaced)).toThrow('Unsupported PNG format');
+		});
+	});
+
+	describe('encodeGif', () => {
+		it('writes a looping GIF with one frame per PNG', () => {
+			const first = frameColors(32 * 18, 4);
+			const second = frameColors(32 * 18, 5);
+			const gif = readGif(encodeGif([decodePng(encodePng(32, 18, pixelsOf(first))), decodePng(encodePng(32, 18, pixelsOf(second)))], 125));
+
+			expect(gif).toMatchObject({ signature: 'GIF89a', width: 32, height: 18, loops: true });
+			expect(gif.frames).toHaveLength(2);
+			expect(gif.frames[0]).toMatchObject({ width: 32, height: 18, delay: 13, transparentIndex: TRANSPARENT });
+			expect(gif.frames[0].indices).toEqual(first.map((color) => color.index));
+			expect(gif.frames[1].indices).toEqual(second.map((color) => color.index));
+		});
+
+		it('writes LZW data that decodes at every length across code size changes', () => {
+			// Lengths around the first code size change, where the last code is
+			// written just before or after it
+			for (let length = 480; length <= 560; length++) {
+				const colors = frameColors(length, length);
+				const gif = readGif(encodeGif([{ width: length, height: 1, pixels: pixelsOf(colors) }], 100));
+				expect(gif.frames[0].indices).toEqual(colors.map((color) => color.index));
+			}
+		});
+
+		it('writes LZW data that decodes after the code table fills and is cleared', () => {
+			// Large and varied enough to use all 4096 codes several times over
+			const colors = frameColors(160 * 90, 6);
+			const gif = readGif(encodeGif([{ width: 160, height: 90, pixels: pixelsOf(colors) }], 100));
+			expect(gif.frames[0].indices).toEqual(colors.map((color) => color.index));
+
+			const solid = new Array(160 * 90).fill(COLORS[1]);
+			const plain = readGif(encodeGif([{ width: 160, height: 90, pixels: pixelsOf(solid) }], 100));
+			expect(plain.frames[0].indices).toEqual(solid.map((color) => color.index));
+		});
+
+		it('refuses frames of different sizes', () => {
+			const frame = (width) => ({ width, height: 1, pixels: pixelsOf(frameColors(width, 7)) });
+			expect(() => encodeGif([frame(4), frame(5)], 100)).toThrow('All frames must be the same size');
+		});
+	});
+});
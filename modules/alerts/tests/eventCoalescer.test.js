@@ -0,0 +1,117 @@
+/**
+ * Event Coalescer - Testing Suite
+ *
+ * Feeds follow and sub events to the module's event handlers with a mocked
+ * context and fake timers, and checks which alerts are grouped together.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('Event coalescer', () => {
+	let context;
+
+	function emit(type, data, platform = 'twitch') {
+		const [, handler] = context.on.mock.calls.find(([event]) => event === type);
+		return handler({ platform, data });
+	}
+
+	// Alerts queued so far, oldest first, read from the persisted queue
+	function queuedData() {
+		return Array.from(context.store.entries())
+			.filter(([key]) => key.startsWith('queue:'))
+			.map(([, value]) => JSON.parse(value))
+			.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+			.map((item) => item.data);
+	}
+
+	beforeEach(async () => {
+		vi.useFakeTimers();
+		context = createMockContext();
+		await alertsModule.initialize(context);
+		await context.api.createTemplate({ eventType: 'follow', name: 'Follow', duration: 1000 });
+		await context.api.createTemplate({ eventType: 'subscribe', name: 'Sub', duration: 1000 });
+		context.api.pauseQueue();
+	});
+
+	afterEach(async () => {
+		if (context.api) {
+			await alertsModule.shutdown(context);
+		}
+		vi.useRealTimers();
+	});
+
+	it('shows every follow on its own at the default window of 0', async () => {
+		await emit('follow', { username: 'ann' });
+		await emit('follow', { username: 'bob' });
+
+		expect(queuedData().map((data) => data.username)).toEqual(['ann', 'bob']);
+		expect(queuedData().some((data) => data.grouped)).toBe(false);
+	});
+
+	it('merges follows that arrive within the window into one alert', async () => {
+		await context.api.updateSettings({ coalesceWindowMs: 2000, coalesceMaxNames: 2 });
+
+		await emit('follow', { username: 'ann' });
+		await vi.advanceTimersByTimeAsync(1000);
+		await emit('follow', { username: 'bob', displayName: 'Bob' });
+		await emit('follow', { username: 'cy' });
+		expect(queuedData()).toHaveLength(0);
+
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(queuedData()).toEqual([
+			expect.objectContaining({
+				grouped: true,
+				count: 3,
+				users: ['ann', 'Bob', 'cy'],
+				names: 'ann, Bob and 1 more',
+				others: 1,
+				displayName: 'ann, Bob and 1 more'
+			})
+		]);
+
+		// A follow after the window closed opens a new group
+		await emit('follow', { username: 'dee' });
+		await vi.advanceTimersByTimeAsync(2000);
+		expect(queuedData()).toHaveLength(2);
+		expect(queuedData()[1]).toMatchObject({ username: 'dee' });
+		expect(queuedData()[1].grouped).toBeUndefined();
+	});
+
+	it('groups gift subs per gifter and shows resubs on their own', async () => {
+		await context.api.updateSettings({ coalesceWindowMs: 2000 });
+
+		await emit('gift_subscription', { gifter: 'santa', recipient: { username: 'ann' } });
+		await emit('gift_subscription', { gifter: 'santa', recipient: { username: 'bob' } });
+		await emit('gift_subscription', { gifter: 'elf', recipient: { username: 'cy' } });
+		await emit('subscribe', { username: 'dee', months: 12, message: 'a year!' });
+		expect(queuedData()).toEqual([expect.objectContaining({ username: 'dee', months: 12 })]);
+
+		await vi.advanceTimersByTimeAsync(2000);
+		const gifts = queuedData().slice(1);
+		expect(gifts).toHaveLength(2);
+		expect(gifts.find((data) => data.gifter === 'santa')).toMatchObject({
+			grouped: true,
+			count: 2,
+			isGift: true,
+			username: 'santa',
+			recipients: ['ann', 'bob']
+		});
+		expect(gifts.find((data) => data.gifter === 'elf')).toMatchObject({ username: 'cy', isGift: true });
+	});
+
+	it('queues held events when the module shuts down', async () => {
+		await context.api.updateSettings({ coalesceWindowMs: 60000 });
+		await emit('follow', { username: 'ann' });
+		await emit('follow', { username: 'bob' });
+		expect(queuedData()).toHaveLength(0);
+
+		await alertsModule.shutdown(context);
+		context.api = null;
+
+		expect(queuedData()).toEqual([expect.objectContaining({ grouped: true, count: 2, users: ['ann', 'bob'] })]);
+		expect(context.overlay.show).not.toHaveBeenCalled();
+		expect(vi.getTimerCount()).toBe(0);
+	});
+});
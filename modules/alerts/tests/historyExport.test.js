@@ -0,0 +1,131 @@
+/**
+ * History Export - Testing Suite
+ *
+ * Streams history seeded into a mocked context through the export used by the
+ * admin UI route, and checks the CSV, JSON and NDJSON output, the filters read
+ * from the URL and paging through day buckets.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alertsModule from '../index.js';
+import { createHistoryExportStream, exportOptionsFromUrl } from '../routes/lib/historyExport.js';
+import { historyFilterFromUrl } from '../routes/lib/historyFilter.js';
+import { createMockContext, seedHistory } from './mockContext.js';
+
+function historyEntry(id, displayedAt, eventType, eventData, extra = {}) {
+	return { id, templateId: 'template_1', eventType, eventData, displayedAt, status: 'finished', ...extra };
+}
+
+describe('History export', () => {
+	let context;
+
+	async function exportHistory(query) {
+		const url = new URL(`http://localhost/api/alerts/history/export?${query}`);
+		const stream = createHistoryExportStream(context.api, historyFilterFromUrl(url), exportOptionsFromUrl(url));
+		return new Response(stream).text();
+	}
+
+	function statusOf(fn) {
+		try {
+			fn();
+		} catch (err) {
+			return err.status;
+		}
+		return 200;
+	}
+
+	beforeEach(() => {
+		context = createMockContext();
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	describe('formats', () => {
+		beforeEach(async () => {
+			seedHistory(context, [
+				historyEntry('alert_1', '2026-03-01T23:59:00.000Z', 'donation', {
+					username: 'bob',
+					amount: 5,
+					currency: 'USD',
+					message: 'hi, "friends"\nsecond line'
+				}),
+				historyEntry('alert_2', '2026-03-02T00:01:00.000Z', 'donation', {
+					username: 'mallory',
+					amount: 1,
+					currency: 'USD',
+					message: '=HYPERLINK("http://evil")'
+				}),
+				historyEntry('alert_3', '2026-03-02T00:02:00.000Z', 'follow', { username: 'ann' }, { source: { kind: 'replay' } })
+			]);
+			await alertsModule.initialize(context);
+		});
+
+		it('writes CSV with the default columns, quoting and formula escaping', async () => {
+			const csv = await exportHistory('format=csv');
+
+			expect(csv).toBe(
+				'displayedAt,eventType,platform,username,displayName,amount,currency,message,status,source\r\n' +
+					'2026-03-01T23:59:00.000Z,donation,,bob,,5,USD,"hi, ""friends""\nsecond line",finished,\r\n' +
+					'2026-03-02T00:01:00.000Z,donation,,mallory,,1,USD,"\'=HYPERLINK(""http://evil"")",finished,\r\n' +
+					'2026-03-02T00:02:00.000Z,follow,,ann,,,,,finished,replay\r\n'
+			);
+		});
+
+		it('writes CSV with the columns asked for', async () => {
+			const csv = await exportHistory('columns=id,amount&eventType=donation');
+			expect(csv).toBe('id,amount\r\nalert_1,5\r\nalert_2,1\r\n');
+		});
+
+		it('writes a JSON array of whole entries, or of the columns asked for', async () => {
+			const entries = JSON.parse(await exportHistory('format=json'));
+			expect(entries.map((entry) => entry.id)).toEqual(['alert_1', 'alert_2', 'alert_3']);
+			expect(entries[0].eventData.message).toBe('hi, "friends"\nsecond line');
+
+			const rows = JSON.parse(await exportHistory('format=json&columns=username,source'));
+			expect(rows).toEqual([
+				{ username: 'bob', source: null },
+				{ username: 'mallory', source: null },
+				{ username: 'ann', source: 'replay' }
+			]);
+		});
+
+		it('writes an empty JSON array when nothing matches', async () => {
+			expect(JSON.parse(await exportHistory('format=json&eventType=raid'))).toEqual([]);
+		});
+
+		it('writes one entry per NDJSON line with the filters from the URL', async () => {
+			const lines = (await exportHistory('format=ndjson&includeReplays=false&from=2026-03-02')).trim().split('\n');
+			expect(lines.map((line) => JSON.parse(line).id)).toEqual(['alert_2']);
+
+			const byUser = (await exportHistory('format=ndjson&type=follow&user=AN')).trim().split('\n');
+			expect(byUser.map((line) => JSON.parse(line).id)).toEqual(['alert_3']);
+		});
+
+		it('rejects unknown formats and columns', () => {
+			const options = (query) => () => exportOptionsFromUrl(new URL(`http://localhost/export?${query}`));
+			expect(statusOf(options('format=xml'))).toBe(400);
+			expect(statusOf(options('columns=id,password'))).toBe(400);
+		});
+	});
+
+	it('streams every entry oldest first across several chunks and days', async () => {
+		// 240 entries (two chunks) late on one day and 510 (three chunks) the
+		// next, read in more than one batch
+		const entries = [];
+		for (let i = 0; i < 750; i++) {
+			const displayedAt = new Date(Date.parse('2026-03-01T20:00:00Z') + i * 60000).toISOString();
+			entries.push(historyEntry(`alert_${String(i).padStart(3, '0')}`, displayedAt, 'follow', { username: `viewer${i}` }));
+		}
+		seedHistory(context, entries);
+		await alertsModule.initialize(context);
+		expect(context.api.getHistoryInfo()).toMatchObject({ entries: 750, days: 2 });
+
+		const lines = (await exportHistory('format=ndjson')).trim().split('\n');
+		expect(lines.map((line) => JSON.parse(line).id)).toEqual(entries.map((entry) => entry.id));
+
+		const csv = await exportHistory('columns=id&from=2026-03-01T23:58:00Z&to=2026-03-02T00:01:00Z');
+		expect(csv).toBe('id\r\nalert_238\r\nalert_239\r\nalert_240\r\nalert_241\r\n');
+	});
+});
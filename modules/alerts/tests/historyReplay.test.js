@@ -0,0 +1,93 @@
+/**
+ * History Replay - Testing Suite
+ *
+ * Shows an alert through the module with a mocked context and fake timers,
+ * edits its template and replays the history entry, checking the version it
+ * is shown with and how the replay is recorded.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('History replay', () => {
+	let context;
+	let template;
+	let original;
+
+	function lastShownHtml() {
+		const calls = context.overlay.show.mock.calls;
+		return calls[calls.length - 1][0].data.html;
+	}
+
+	beforeEach(async () => {
+		vi.useFakeTimers();
+		context = createMockContext();
+		await alertsModule.initialize(context);
+		await context.api.updateSettings({ minDelay: 0 });
+
+		template = await context.api.createTemplate({
+			eventType: 'donation',
+			name: 'Replay Test',
+			duration: 1000,
+			htmlContent: '<p>first {{username}}</p>'
+		});
+		await context.api.showAlert({ type: 'donation', templateId: template.id, data: { username: 'bob', amount: 5 } });
+		await vi.advanceTimersByTimeAsync(2000);
+		[original] = (await context.api.queryHistory({})).items;
+
+		await context.api.updateTemplate(template.id, { htmlContent: '<p>second {{username}}</p>' });
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+		vi.useRealTimers();
+	});
+
+	it('shows the entry again with the template version it was first shown with', async () => {
+		expect(original).toMatchObject({ templateVersion: 1, status: 'finished' });
+
+		const result = await context.api.replayHistoryEntry(original.id);
+		expect(result).toMatchObject({ success: true, templateVersion: 1, usedCurrentTemplate: false });
+
+		await vi.advanceTimersByTimeAsync(2000);
+		expect(lastShownHtml()).toContain('<p>first bob</p>');
+	});
+
+	it('records the replay in history and leaves it out of analytics', async () => {
+		const { alertId } = await context.api.replayHistoryEntry(original.id);
+		await vi.advanceTimersByTimeAsync(2000);
+
+		const { items, total } = await context.api.queryHistory({});
+		expect(total).toBe(2);
+		expect(items[0]).toMatchObject({
+			id: alertId,
+			eventData: original.eventData,
+			source: { kind: 'replay', historyId: original.id }
+		});
+		expect((await context.api.getHistoryStats({})).total).toBe(1);
+		expect((await context.api.queryHistory({ includeReplays: false })).items.map((entry) => entry.id)).toEqual([original.id]);
+	});
+
+	it('uses the current template when asked to', async () => {
+		const result = await context.api.replayHistoryEntry(original.id, { useCurrentTemplate: true });
+		expect(result).toMatchObject({ success: true, templateVersion: 2, usedCurrentTemplate: true });
+
+		await vi.advanceTimersByTimeAsync(2000);
+		expect(lastShownHtml()).toContain('<p>second bob</p>');
+	});
+
+	it('queues the replay ahead of pending alerts by default', async () => {
+		context.api.pauseQueue();
+		await context.api.showAlert({ type: 'donation', templateId: template.id, data: { username: 'next', amount: 1 } });
+		const { alertId } = await context.api.replayHistoryEntry(original.id);
+
+		expect(context.api.getQueue()[0]).toMatchObject({ id: alertId, priority: 1 });
+		expect(JSON.parse(context.store.get(`queue:${alertId}`)).templateVersion).toBe(1);
+	});
+
+	it('rejects unknown entries and bad priorities', async () => {
+		expect(await context.api.replayHistoryEntry('alert_missing')).toMatchObject({ success: false, status: 404 });
+		expect(await context.api.replayHistoryEntry(original.id, { priority: 11 })).toMatchObject({ success: false, status: 400 });
+	});
+});
@@ -0,0 +1,370 @@
+/**
+ * Media Probe - Testing Suite
+ *
+ * Probes small hand-built files of each supported format and checks the
+ * format, dimensions and duration read from their headers, and the errors
+ * truncated or corrupt files are rejected with.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectFormat, probeMedia, toLoudness } from '../routes/lib/mediaProbe.js';
+
+function u16be(value) {
+	const buffer = Buffer.alloc(2);
+	buffer.writeUInt16BE(value);
+	return buffer;
+}
+
+function u16le(value) {
+	const buffer = Buffer.alloc(2);
+	buffer.writeUInt16LE(value);
+	return buffer;
+}
+
+function u32be(value) {
+	const buffer = Buffer.alloc(4);
+	buffer.writeUInt32BE(value);
+	return buffer;
+}
+
+function u32le(value) {
+	const buffer = Buffer.alloc(4);
+	buffer.writeUInt32LE(value);
+	return buffer;
+}
+
+function ascii(text) {
+	return Buffer.from(text, 'ascii');
+}
+
+function png(width, height) {
+	return Buffer.concat([
+		Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+		u32be(13),
+		ascii('IHDR'),
+		u32be(width),
+		u32be(height),
+		Buffer.from([8, 6, 0, 0, 0]),
+		u32be(0)
+	]);
+}
+
+function jpeg(width, height) {
+	return Buffer.concat([
+		Buffer.from([0xff, 0xd8]),
+		// APP0 (JFIF) comes before the frame header
+		Buffer.from([0xff, 0xe0]),
+		u16be(16),
+		Buffer.concat([ascii('JFIF\0'), Buffer.alloc(9)]),
+		Buffer.from([0xff, 0xc0]),
+		u16be(17),
+		Buffer.from([8]),
+		u16be(height),
+		u16be(width),
+		Buffer.alloc(10)
+	]);
+}
+
+function riff(form, chunks) {
+	const body = Buffer.concat([ascii(form), ...chunks]);
+	return Buffer.concat([ascii('RIFF'), u32le(body.length), body]);
+}
+
+function chunk(type, data) {
+	return Buffer.concat([ascii(type), u32le(data.length), data, Buffer.alloc(data.length % 2)]);
+}
+
+function webpVp8x(width, height) {
+	const data = Buffer.alloc(10);
+	data.writeUIntLE(width - 1, 4, 3);
+	data.writeUIntLE(height - 1, 7, 3);
+	return riff('WEBP', [chunk('VP8X', data)]);
+}
+
+function webpVp8l(width, height) {
+	const data = Buffer.alloc(10);
+	data[0] = 0x2f;
+	data.writeUInt32LE(((width - 1) | ((height - 1) << 14)) >>> 0, 1);
+	return riff('WEBP', [chunk('VP8L', data)]);
+}
+
+function webpVp8(width, height) {
+	const data = Buffer.alloc(10);
+	data.set([0x9d, 0x01, 0x2a], 3);
+	data.writeUInt16LE(width, 6);
+	data.writeUInt16LE(height, 8);
+	return riff('WEBP', [chunk('VP8 ', data)]);
+}
+
+// A GIF of 1x1 frames shown for `delays` centiseconds each
+function gif(width, height, delays) {
+	const frames = delays.map((delay) =>
+		Buffer.concat([
+			Buffer.from([0x21, 0xf9, 0x04, 0x00]),
+			u16le(delay),
+			Buffer.from([0x00, 0x00]),
+			Buffer.from([0x2c]),
+			u16le(0),
+			u16le(0),
+			u16le(1),
+			u16le(1),
+			Buffer.from([0x00]),
+			Buffer.from([0x02, 0x02, 0x44, 0x01, 0x00])
+		])
+	);
+
+	return Buffer.concat([
+		ascii('GIF89a'),
+		u16le(width),
+		u16le(height),
+		// A global color table of two colors
+		Buffer.from([0x80, 0x00, 0x00]),
+		Buffer.from([0, 0, 0, 255, 255, 255]),
+		...frames,
+		Buffer.from([0x3b])
+	]);
+}
+
+function box(type, ...contents) {
+	const body = Buffer.concat(contents);
+	return Buffer.concat([u32be(body.length + 8), ascii(type), body]);
+}
+
+function mvhd(timescale, duration) {
+	return box('mvhd', Buffer.alloc(12), u32be(timescale), u32be(duration), Buffer.alloc(80));
+}
+
+// The track header ends with width and height in 16.16 fixed point
+function tkhd(width, height) {
+	return box('tkhd', Buffer.alloc(76), u32be(width * 65536), u32be(height * 65536));
+}
+
+function mp4(brand, timescale, duration, width, height) {
+	return Buffer.concat([
+		box('ftyp', ascii(brand), u32be(0), ascii('isom')),
+		box('moov', mvhd(timescale, duration), box('trak', tkhd(width, height))),
+		box('mdat', Buffer.alloc(16))
+	]);
+}
+
+function ebml(id, ...contents) {
+	const body = Buffer.concat(contents);
+	return Buffer.concat([Buffer.from(id), Buffer.from([0x40 | (body.length >> 8), body.length & 0xff]), body]);
+}
+
+function webm(width, height, durationMs) {
+	const duration = Buffer.alloc(4);
+	duration.writeFloatBE(durationMs);
+
+	return Buffer.concat([
+		ebml([0x1a, 0x45, 0xdf, 0xa3], ebml([0x42, 0x82], ascii('webm'))),
+		ebml(
+			[0x18, 0x53, 0x80, 0x67],
+			ebml([0x15, 0x49, 0xa9, 0x66], ebml([0x2a, 0xd7, 0xb1], Buffer.from([0x0f, 0x42, 0x40])), ebml([0x44, 0x89], duration)),
+			ebml(
+				[0x16, 0x54, 0xae, 0x6b],
+				ebml([0xae], ebml([0xd7], Buffer.from([1])), ebml([0xe0], ebml([0xb0], u16be(width)), ebml([0xba], u16be(height))))
+			)
+		)
+	]);
+}
+
+// MPEG-1 layer III, 128kbps, 44.1kHz, stereo
+const MP3_FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0x00]);
+
+function id3(size) {
+	return Buffer.concat([ascii('ID3'), Buffer.from([4, 0, 0, 0, 0, (size >> 7) & 0x7f, size & 0x7f]), Buffer.alloc(size)]);
+}
+
+function wav(sampleRate, samples) {
+	const data = Buffer.alloc(samples.length * 2);
+	samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+
+	const format = Buffer.concat([u16le(1), u16le(1), u32le(sampleRate), u32le(sampleRate * 2), u16le(2), u16le(16)]);
+	return riff('WAVE', [chunk('fmt ', format), chunk('data', data)]);
+}
+
+function oggPage(granule, packet) {
+	const header = Buffer.alloc(27);
+	header.write('OggS', 0, 'ascii');
+	header.writeBigInt64LE(BigInt(granule), 6);
+	header[26] = 1;
+	return Buffer.concat([header, Buffer.from([packet.length]), packet]);
+}
+
+function vorbis(sampleRate, channels, samples) {
+	const identification = Buffer.alloc(30);
+	identification[0] = 0x01;
+	identification.write('vorbis', 1, 'ascii');
+	identification[11] = channels;
+	identification.writeUInt32LE(sampleRate, 12);
+	return Buffer.concat([oggPage(0, identification), oggPage(samples, Buffer.alloc(8))]);
+}
+
+function opus(channels, preSkip, samples48k) {
+	const head = Buffer.alloc(19);
+	head.write('OpusHead', 0, 'ascii');
+	head[8] = 1;
+	head[9] = channels;
+	head.writeUInt16LE(preSkip, 10);
+	head.writeUInt32LE(44100, 12);
+	return Buffer.concat([oggPage(0, head), oggPage(samples48k + preSkip, Buffer.alloc(8))]);
+}
+
+function probeError(buffer) {
+	try {
+		probeMedia(buffer);
+	} catch (err) {
+		return err.message;
+	}
+	return null;
+}
+
+describe('Media probe', () => {
+	describe('images', () => {
+		it('reads PNG dimensions', () => {
+			expect(probeMedia(png(640, 360))).toEqual({
+				format: 'png',
+				mimeType: 'image/png',
+				width: 640,
+				height: 360,
+				duration: null
+			});
+		});
+
+		it('reads JPEG dimensions from the frame header after other segments', () => {
+			expect(probeMedia(jpeg(1920, 1080))).toMatchObject({ format: 'jpeg', width: 1920, height: 1080 });
+		});
+
+		it('reads WebP dimensions from each encoding', () => {
+			expect(probeMedia(webpVp8x(1000, 500))).toMatchObject({ format: 'webp', width: 1000, height: 500 });
+			expect(probeMedia(webpVp8l(300, 200))).toMatchObject({ width: 300, height: 200 });
+			expect(probeMedia(webpVp8(128, 64))).toMatchObject({ width: 128, height: 64 });
+		});
+
+		it('reads GIF dimensions and the duration of animated GIFs', () => {
+			expect(probeMedia(gif(200, 100, [50, 50, 25]))).toMatchObject({ format: 'gif', width: 200, height: 100, duration: 1.25 });
+			expect(probeMedia(gif(20, 10, [0])).duration).toBeNull();
+		});
+	});
+
+	describe('video', () => {
+		it('reads MP4 dimensions and duration', () => {
+			expect(probeMedia(mp4('isom', 1000, 4500, 1280, 720))).toEqual({
+				format: 'mp4',
+				mimeType: 'video/mp4',
+				width: 1280,
+				height: 720,
+				duration: 4.5
+			});
+		});
+
+		it('reads WebM dimensions and duration in timecode units', () => {
+			expect(probeMedia(webm(854, 480, 2500))).toMatchObject({ format: 'webm', width: 854, height: 480, duration: 2.5 });
+		});
+
+		it('reads Lottie dimensions and duration from frames and frame rate', () => {
+			const animation = Buffer.from(JSON.stringify({ v: '5.7.0', w: 400, h: 300, fr: 30, ip: 0, op: 90, layers: [] }));
+			expect(probeMedia(animation)).toMatchObject({
+				format: 'lottie',
+				mimeType: 'application/json',
+				width: 400,
+				height: 300,
+				duration: 3
+			});
+		});
+	});
+
+	describe('audio', () => {
+		it('reads constant bitrate MP3 duration from the file size, after an ID3 tag', () => {
+			// 16000 bytes at 128kbps is one second
+			const audio = Buffer.concat([id3(100), MP3_FRAME_HEADER, Buffer.alloc(15996)]);
+			expect(probeMedia(audio)).toMatchObject({ format: 'mp3', sampleRate: 44100, channels: 2, duration: 1 });
+		});
+
+		it('reads variable bitrate MP3 duration from the Xing frame count', () => {
+			const xing = Buffer.concat([Buffer.alloc(32), ascii('Xing'), u32be(1), u32be(441)]);
+			const audio = Buffer.concat([MP3_FRAME_HEADER, xing, Buffer.alloc(400)]);
+			expect(probeMedia(audio).duration).toBeCloseTo((441 * 1152) / 44100, 6);
+		});
+
+		it('reads M4A audio as M4A with no dimensions', () => {
+			expect(probeMedia(mp4('M4A ', 44100, 88200, 0, 0))).toMatchObject({
+				format: 'm4a',
+				mimeType: 'audio/mp4',
+				width: null,
+				height: null,
+				duration: 2
+			});
+		});
+
+		it('reads WAV sample rate, channels and duration', () => {
+			expect(probeMedia(wav(8000, new Array(4000).fill(1000)))).toMatchObject({
+				format: 'wav',
+				mimeType: 'audio/wav',
+				sampleRate: 8000,
+				channels: 1,
+				duration: 0.5
+			});
+		});
+
+		it('reads Ogg Vorbis and Opus duration from the last granule position', () => {
+			expect(probeMedia(vorbis(22050, 2, 44100))).toMatchObject({ format: 'ogg', sampleRate: 22050, channels: 2, duration: 2 });
+			// Opus counts 48kHz samples whatever the input rate, after the pre-skip
+			expect(probeMedia(opus(1, 312, 144000))).toMatchObject({ sampleRate: 44100, channels: 1, duration: 3 });
+		});
+	});
+
+	describe('WAV loudness', () => {
+		const square = (amplitude, length) => Array.from({ length }, (_, i) => (i % 2 ? -amplitude : amplitude));
+		const sine = (amplitude, length) => Array.from({ length }, (_, i) => Math.round(amplitude * Math.sin((2 * Math.PI * i) / 80)));
+
+		it('measures a full-scale square wave at 0 dBFS peak and RMS', () => {
+			const { loudness } = probeMedia(wav(8000, square(32767, 800)));
+			expect(loudness.peakDb).toBeCloseTo(0, 5);
+			expect(loudness.rmsDb).toBeCloseTo(0, 5);
+		});
+
+		it('measures a half-scale square wave 6dB down', () => {
+			expect(probeMedia(wav(8000, square(16384, 800))).loudness).toEqual({ peakDb: -6, rmsDb: -6 });
+		});
+
+		it('measures a sine wave with its RMS 3dB below its peak', () => {
+			expect(probeMedia(wav(8000, sine(16384, 800))).loudness).toEqual({ peakDb: -6, rmsDb: -9 });
+		});
+
+		it('gives silence no loudness', () => {
+			expect(probeMedia(wav(8000, new Array(800).fill(0))).loudness).toBeNull();
+			expect(toLoudness(0, 0)).toBeNull();
+		});
+
+		it('rounds amplitudes to tenths of a dB', () => {
+			expect(toLoudness(1, 0.5)).toEqual({ peakDb: 0, rmsDb: -6 });
+			expect(toLoudness(0.1, 0.01)).toEqual({ peakDb: -20, rmsDb: -40 });
+		});
+	});
+
+	describe('bad input', () => {
+		it('rejects unrecognized and too short files', () => {
+			expect(detectFormat(Buffer.from('hello'))).toBeNull();
+			expect(probeError(Buffer.from('plain text, not media'))).toBe('Unrecognized media format');
+		});
+
+		it('reports truncated headers as corrupt files', () => {
+			expect(probeError(png(640, 360).subarray(0, 12))).toBe('Corrupt PNG file');
+			expect(probeError(webpVp8x(100, 100).subarray(0, 20))).toBe('Corrupt WebP file');
+			expect(probeError(mp4('isom', 1000, 4500, 1280, 720).subarray(0, 40))).toBe('Corrupt MP4 file');
+			expect(probeError(wav(8000, [0, 0]).subarray(0, 24))).toBe('Corrupt WAV file');
+			expect(probeError(vorbis(22050, 2, 44100).subarray(0, 40))).toBe('Corrupt Ogg file');
+		});
+
+		it('rejects files whose structure is wrong', () => {
+			const badJpeg = jpeg(10, 10);
+			// The second segment does not start with a marker
+			badJpeg[2] = 0x00;
+			expect(probeError(badJpeg)).toBe('Corrupt JPEG file');
+			expect(probeError(Buffer.from('{"layers": "none", "padding": true}'))).toBe('JSON file is not a Lottie animation');
+			expect(probeError(Buffer.from('{ not json at all, padding }'))).toBe('Lottie file is not valid JSON');
+		});
+	});
+});
@@ -0,0 +1,89 @@
+/**
+ * Media Templates - Testing Suite
+ *
+ * Renders video templates through the module with a mocked context and checks
+ * the volume the overlay sets on the video.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+const VIDEO_URL = '/modules/alerts/media/clip.webm';
+
+function videoVolume(html) {
+	return html.match(/video\.volume = ([^;]+);/)[1];
+}
+
+describe('Media templates', () => {
+	let context;
+
+	async function renderVideo(mediaSettings) {
+		const created = await context.api.createTemplate({
+			eventType: 'donation',
+			name: 'Video',
+			mediaType: 'video',
+			mediaUrl: VIDEO_URL,
+			mediaSettings
+		});
+		await context.api.showAlert({ type: 'donation', templateId: created.id, data: {} });
+		await vi.waitFor(() => expect(context.overlay.show).toHaveBeenCalled());
+		return context.overlay.show.mock.calls[0][0].data.html;
+	}
+
+	beforeEach(() => {
+		context = createMockContext();
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	it('sets the video to the template volume, muted at 0', async () => {
+		await alertsModule.initialize(context);
+		const html = await renderVideo({ volume: 0 });
+
+		expect(videoVolume(html)).toBe('0');
+		expect(html).toContain(' muted></video>');
+	});
+
+	it('plays at the default volume when the template sets none', async () => {
+		await alertsModule.initialize(context);
+		const html = await renderVideo({ volume: null, loop: true });
+
+		expect(videoVolume(html)).toBe('1');
+		expect(html).not.toContain(' muted');
+	});
+
+	it('rejects media settings with a volume that is not a number from 0 to 1', async () => {
+		await alertsModule.initialize(context);
+
+		for (const mediaSettings of [{ volume: 'loud' }, { volume: 2 }, 'loud']) {
+			await expect(
+				context.api.createTemplate({ eventType: 'donation', name: 'Bad', mediaType: 'video', mediaUrl: VIDEO_URL, mediaSettings })
+			).rejects.toThrow(/Media (volume|settings)/);
+		}
+	});
+
+	it('falls back to the default volume for stored templates with an invalid one', async () => {
+		context.store.set(
+			'template:template_legacy',
+			JSON.stringify({
+				id: 'template_legacy',
+				eventType: 'donation',
+				name: 'Legacy Video',
+				enabled: true,
+				htmlContent: '',
+				mediaType: 'video',
+				mediaUrl: VIDEO_URL,
+				mediaSettings: { volume: 'loud' }
+			})
+		);
+		await alertsModule.initialize(context);
+
+		await context.api.showAlert({ type: 'donation', templateId: 'template_legacy', data: {} });
+		await vi.waitFor(() => expect(context.overlay.show).toHaveBeenCalled());
+
+		expect(videoVolume(context.overlay.show.mock.calls[0][0].data.html)).toBe('1');
+	});
+});
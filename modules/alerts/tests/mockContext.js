@@ -0,0 +1,54 @@
+/**
+ * Mocked module context shared by the test suites: in-memory storage, a
+ * recording overlay and the registered module API on `context.api`.
+ */
+
+import { vi } from 'vitest';
+
+export function createMockContext() {
+	const store = new Map();
+	const context = {
+		api: null,
+		store,
+		logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+		storage: {
+			get: vi.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+			set: vi.fn(async (key, value) => {
+				store.set(key, value);
+			}),
+			delete: vi.fn(async (key) => {
+				store.delete(key);
+			}),
+			keys: vi.fn(async () => Array.from(store.keys()))
+		},
+		overlay: { show: vi.fn(async () => {}) },
+		getConfig: vi.fn(async () => ({})),
+		on: vi.fn(),
+		registerApi: vi.fn((name, api) => {
+			context.api = api;
+		})
+	};
+	return context;
+}
+
+/**
+ * Store history entries in day buckets the way the module does, for a context
+ * that has not been initialized yet
+ */
+export function seedHistory(context, entries) {
+	const days = {};
+	const byDay = new Map();
+	for (const entry of entries) {
+		const day = entry.displayedAt.slice(0, 10);
+		byDay.set(day, [...(byDay.get(day) || []), entry]);
+	}
+
+	for (const [day, dayEntries] of byDay) {
+		const chunks = Math.ceil(dayEntries.length / 200);
+		for (let chunk = 0; chunk < chunks; chunk++) {
+			context.store.set(`history:${day}:${chunk}`, JSON.stringify(dayEntries.slice(chunk * 200, (chunk + 1) * 200)));
+		}
+		days[day] = { chunks, count: dayEntries.length };
+	}
+	context.store.set('history:index', JSON.stringify({ days }));
+}
@@ -0,0 +1,82 @@
+/**
+ * Template Bundles - Testing Suite
+ *
+ * Imports bundle templates through the module API with a mocked context and
+ * checks how conflicts, within the bundle and with stored templates, are
+ * resolved, and that exported bundles parse again.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alertsModule from '../index.js';
+import { buildBundle, parseBundle } from '../routes/lib/templateBundle.js';
+import { createMockContext } from './mockContext.js';
+
+function record(fields) {
+	return { eventType: 'follow', htmlContent: '<p>{{username}}</p>', ...fields };
+}
+
+describe('Template bundles', () => {
+	let context;
+
+	beforeEach(() => {
+		context = createMockContext();
+	});
+
+	afterEach(async () => {
+		if (context.api) {
+			await alertsModule.shutdown(context);
+		}
+	});
+
+	it('imports a copy of a template whose ID appears twice in the bundle', async () => {
+		await alertsModule.initialize(context);
+
+		const results = await context.api.importTemplates([record({ id: 'dup', name: 'A' }), record({ id: 'dup', name: 'B' })]);
+
+		expect(results.map((result) => result.action)).toEqual(['create', 'rename']);
+		expect(results[1].conflictWith).toBe('dup');
+		expect(context.api.getTemplate('dup').name).toBe('A');
+		expect(context.api.getTemplate(results[1].templateId).name).toBe('B (2)');
+	});
+
+	it('applies the conflict mode to templates with the same name in the bundle', async () => {
+		await alertsModule.initialize(context);
+		const bundle = [record({ name: 'Neon' }), record({ name: 'neon ', htmlContent: '<p>second</p>' })];
+
+		const skipped = await context.api.importTemplates(bundle, { conflict: 'skip' });
+		expect(skipped.map((result) => result.action)).toEqual(['create', 'skip']);
+
+		const overwritten = await context.api.importTemplates(
+			[record({ id: 'neon_b', name: 'Glow' }), record({ id: 'neon_b', name: 'Glow', htmlContent: '<p>second</p>' })],
+			{ conflict: 'overwrite' }
+		);
+		expect(overwritten.map((result) => result.action)).toEqual(['create', 'overwrite']);
+		expect(context.api.getTemplate('neon_b').htmlContent).toBe('<p>second</p>');
+		expect(await context.api.getTemplateVersions('neon_b')).toHaveLength(2);
+	});
+
+	it('overwrites fields the existing template was saved without', async () => {
+		// Stored before templates had a layout, lane or weight
+		context.store.set(
+			'template:legacy',
+			JSON.stringify({ id: 'legacy', name: 'Legacy', eventType: 'follow', htmlContent: '<p>old</p>', version: 1 })
+		);
+		await alertsModule.initialize(context);
+
+		const layout = { position: 'top-right' };
+		await context.api.importTemplates([record({ id: 'legacy', name: 'Legacy', layout, lane: 'corner', weight: 3 })], {
+			conflict: 'overwrite'
+		});
+
+		expect(context.api.getTemplate('legacy')).toMatchObject({ layout, lane: 'corner', weight: 3 });
+	});
+
+	it('exports a bundle that parses again', async () => {
+		await alertsModule.initialize(context);
+		const template = await context.api.createTemplate(record({ name: 'Round Trip' }));
+
+		const bundle = parseBundle(JSON.stringify(await buildBundle(context.api, [template.id])));
+
+		expect(bundle.templates).toEqual([expect.objectContaining({ id: template.id, name: 'Round Trip' })]);
+	});
+});
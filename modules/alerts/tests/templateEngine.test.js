@@ -0,0 +1,172 @@
+/**
+ * Alert Template Language - Testing Suite
+ *
+ * Renders templates through the module's preview with a mocked context and
+ * checks blocks, loops, filters and nested paths, and the errors templates
+ * with bad syntax are rejected with.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('Alert template language', () => {
+	let context;
+
+	// The rendered template, without the overlay document around it
+	function render(htmlContent, data = {}) {
+		const { html } = context.api.previewTemplate({
+			eventType: 'donation',
+			template: { htmlContent: `<p>${htmlContent}</p>` },
+			data
+		});
+		return html.match(/<p>([\s\S]*?)<\/p>/)[1];
+	}
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	describe('conditionals', () => {
+		it('renders the if branch or the else branch', () => {
+			const template = '{{#if amount >= 100}}big{{else}}small{{/if}}';
+			expect(render(template, { amount: 150 })).toBe('big');
+			expect(render(template, { amount: 5 })).toBe('small');
+		});
+
+		it('treats empty lists and missing fields as false', () => {
+			const template = '{{#if users}}some{{else}}none{{/if}}';
+			expect(render(template, { users: [] })).toBe('none');
+			expect(render(template, { users: ['a'] })).toBe('some');
+			expect(render('{{#if missing}}yes{{else}}no{{/if}}')).toBe('no');
+		});
+
+		it('compares loosely so tiers from webhooks match numbers', () => {
+			expect(render('{{#if tier == 3}}tier three{{/if}}', { tier: '3' })).toBe('tier three');
+			expect(render('{{#unless isGift}}bought{{else}}gifted{{/unless}}', { isGift: false })).toBe('bought');
+		});
+
+		it('nests blocks', () => {
+			const template = '{{#if vip}}{{#if amount > 10}}big vip{{else}}vip{{/if}}{{/if}}';
+			expect(render(template, { vip: true, amount: 50 })).toBe('big vip');
+			expect(render(template, { vip: true, amount: 1 })).toBe('vip');
+			expect(render(template, { vip: false, amount: 50 })).toBe('');
+		});
+	});
+
+	describe('loops', () => {
+		it('exposes @index, @number, @first and @last', () => {
+			const template =
+				'{{#each names}}{{#if @first}}[{{/if}}{{@index}}:{{this}}#{{@number}}{{#unless @last}}, {{else}}]{{/unless}}{{/each}}';
+			expect(render(template, { names: ['ann', 'bob', 'cy'] })).toBe('[0:ann#1, 1:bob#2, 2:cy#3]');
+		});
+
+		it('makes object fields available inside the loop, falling back to outer fields', () => {
+			const template = '{{#each gifts}}{{name}} x{{count}} from {{gifter}};{{/each}}';
+			expect(render(template, { gifter: 'santa', gifts: [{ name: 'sub', count: 5 }, { name: 'bits', count: 100 }] })).toBe(
+				'sub x5 from santa;bits x100 from santa;'
+			);
+		});
+
+		it('renders the else branch for an empty or missing list', () => {
+			const template = '{{#each users}}{{this}}{{else}}nobody{{/each}}';
+			expect(render(template, { users: [] })).toBe('nobody');
+			expect(render(template, {})).toBe('nobody');
+			expect(render(template, { users: 'not a list' })).toBe('nobody');
+		});
+	});
+
+	describe('paths', () => {
+		it('reads nested fields and array indexes', () => {
+			const data = { user: { profile: { name: 'Goth' } }, items: [{ label: 'first' }] };
+			expect(render('{{user.profile.name}} {{items.0.label}}', data)).toBe('Goth first');
+		});
+
+		it('renders missing nested fields as empty instead of failing', () => {
+			expect(render('[{{user.profile.name}}]', { user: null })).toBe('[]');
+		});
+
+		it('does not read inherited properties', () => {
+			expect(render('[{{user.constructor}}][{{user.__proto__}}]', { user: {} })).toBe('[][]');
+		});
+	});
+
+	describe('filters', () => {
+		it.each([
+			['{{name | upper}}', { name: 'goth' }, 'GOTH'],
+			['{{name | lower}}', { name: 'GoTh' }, 'goth'],
+			['{{name | capitalize}}', { name: 'goth' }, 'Goth'],
+			['{{message | default "No message"}}', { message: '' }, 'No message'],
+			['{{message | default "No message"}}', { message: 'hi' }, 'hi'],
+			['{{message | truncate 5}}', { message: 'abcdefgh' }, 'abcde…'],
+			['{{message | truncate 5 "..."}}', { message: 'abcdefgh' }, 'abcde...'],
+			['{{message | truncate 10}}', { message: 'short' }, 'short'],
+			['{{amount | number}}', { amount: 1234567 }, '1,234,567'],
+			['{{amount | number 2}}', { amount: 1234.5 }, '1,234.50'],
+			['{{amount | round 1}}', { amount: 2.46 }, '2.5'],
+			['{{amount | round}}', { amount: 2.5 }, '3'],
+			['{{amount | currency}}', { amount: 5, currency: 'EUR' }, '€5.00'],
+			['{{amount | currency "USD"}}', { amount: 1234.5 }, '$1,234.50'],
+			['{{amount | currency "NOPE"}}', { amount: 5 }, 'NOPE 5.00'],
+			['{{count}} {{count | pluralize "gift"}}', { count: 1 }, '1 gift'],
+			['{{count}} {{count | pluralize "gift"}}', { count: 3 }, '3 gifts'],
+			['{{count | pluralize "person" "people"}}', { count: 2 }, 'people'],
+			['{{at | date "iso"}}', { at: '2026-03-01T10:00:00Z' }, '2026-03-01T10:00:00.000Z'],
+			['{{at | date}}', { at: 'not a date' }, 'not a date'],
+			['{{names | join " & "}}', { names: ['a', 'b'] }, 'a &amp; b'],
+			['{{names | join}}', { names: ['a', 'b'] }, 'a, b'],
+			['{{names | count}}', { names: ['a', 'b', 'c'] }, '3'],
+			['{{{meta | json}}}', { meta: { tier: 2 } }, '{"tier":2}'],
+			['{{name | lower | capitalize | truncate 3}}', { name: 'GOTHBOT' }, 'Got…']
+		])('%s', (template, data, expected) => {
+			expect(render(template, data)).toBe(expected);
+		});
+
+		it('reads filter arguments from event fields', () => {
+			expect(render('{{amount | currency code}}', { amount: 5, code: 'GBP' })).toBe('£5.00');
+		});
+
+		it('keeps a pipe inside a quoted argument', () => {
+			expect(render('{{missing | default "a|b"}}')).toBe('a|b');
+		});
+	});
+
+	describe('syntax errors', () => {
+		it.each([
+			['{{#if amount}}open', 'unclosed {{#if}}'],
+			['{{/if}}', 'unexpected {{/if}}'],
+			['{{#if a}}x{{/each}}', 'unexpected {{/each}}'],
+			['{{else}}', 'unexpected {{else}}'],
+			['{{#if a}}x{{else}}y{{else}}z{{/if}}', 'unexpected {{else}}'],
+			['{{#with user}}x{{/with}}', 'unknown block {{#with}}'],
+			['{{#each}}x{{/each}}', '{{#each}} requires an expression'],
+			['{{name | shout}}', 'unknown filter "shout"']
+		])('rejects %s', async (htmlContent, message) => {
+			await expect(context.api.createTemplate({ eventType: 'donation', name: 'Broken', htmlContent })).rejects.toThrow(
+				`Template syntax error: ${message}`
+			);
+		});
+
+		it('checks the CSS and TTS templates too', async () => {
+			await expect(
+				context.api.createTemplate({ eventType: 'donation', name: 'Broken', cssContent: '{{#if a}}' })
+			).rejects.toThrow('Template syntax error');
+			await expect(
+				context.api.createTemplate({ eventType: 'donation', name: 'Broken', ttsTemplate: '{{name | nope}}' })
+			).rejects.toThrow('unknown filter "nope"');
+		});
+
+		it('rejects bad syntax on update and keeps the saved template', async () => {
+			const template = await context.api.createTemplate({ eventType: 'donation', name: 'Good', htmlContent: 'ok' });
+			await expect(context.api.updateTemplate(template.id, { htmlContent: '{{#each users}}' })).rejects.toThrow(
+				'unclosed {{#each}}'
+			);
+			expect(context.api.getTemplate(template.id).htmlContent).toBe('ok');
+		});
+	});
+});
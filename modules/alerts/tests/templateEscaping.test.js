@@ -0,0 +1,226 @@
+/**
+ * Alert Template Escaping - Testing Suite
+ *
+ * Renders templates through the module API with a mocked context and checks
+ * that user-controlled event data cannot inject markup or script into the
+ * overlay HTML.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+async function renderAlert(context, template, data) {
+	const created = await context.api.createTemplate({ eventType: 'donation', name: 'XSS Test', ...template });
+	const result = await context.api.showAlert({ type: 'donation', templateId: created.id, data });
+	expect(result.success).toBe(true);
+
+	await vi.waitFor(() => expect(context.overlay.show).toHaveBeenCalled());
+	return context.overlay.show.mock.calls[0][0].data.html;
+}
+
+describe('Alert template escaping', () => {
+	let context;
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	it('escapes script tags in messages', async () => {
+		const html = await renderAlert(context, { htmlContent: '<div>{{message}}</div>' }, {
+			message: '<script>alert(1)</script>'
+		});
+
+		expect(html).not.toContain('<script>alert(1)');
+		expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+	});
+
+	it('escapes img onerror payloads in display names', async () => {
+		const html = await renderAlert(context, { htmlContent: '<div>{{displayName}}</div>' }, {
+			displayName: '<img src=x onerror=alert(1)>'
+		});
+
+		expect(html).not.toContain('<img src=x');
+		expect(html).toContain('&lt;img src&#61;x onerror&#61;alert(1)&gt;');
+	});
+
+	it('prevents breaking out of quoted attributes', async () => {
+		const html = await renderAlert(context, { htmlContent: '<div title="{{username}}">hi</div>' }, {
+			username: '" onmouseover="alert(1)'
+		});
+
+		expect(html).toContain('title="&quot; onmouseover&#61;&quot;alert(1)"');
+	});
+
+	it('blocks javascript: URLs in href and src attributes', async () => {
+		const html = await renderAlert(context, { htmlContent: '<a href="{{url}}">link</a><img src="{{avatar}}">' }, {
+			url: 'javascript:alert(1)',
+			avatar: ' JaVaScRiPt:alert(2)'
+		});
+
+		expect(html).not.toMatch(/javascript:/i);
+		expect(html).toContain('href="about:blank"');
+	});
+
+	it('blocks script URLs hidden by tabs, newlines and control characters', async () => {
+		const html = await renderAlert(
+			context,
+			{ htmlContent: '<a href="{{first}}">a</a><a href="{{second}}">b</a><img src="{{third}}">' },
+			{ first: 'java\tscript:alert(1)', second: 'java\nscript:alert(2)', third: '\u0001javascript:alert(3)' }
+		);
+
+		expect(html).not.toMatch(/script:/i);
+		expect(html.match(/="about:blank"/g)).toHaveLength(3);
+	});
+
+	it('blocks script URLs spelled with character references in template HTML', async () => {
+		const html = await renderAlert(
+			context,
+			{
+				htmlContent:
+					'<a href="java&#x09;script:alert(1)">a</a><a href="javascript&colon;alert(2)">b</a><a href=" &#14;javascript:alert(3)">c</a>'
+			},
+			{}
+		);
+
+		expect(html).toContain('<a href="about:blank">a</a><a href="about:blank">b</a><a href="about:blank">c</a>');
+	});
+
+	it('strips CSS breakouts from style values', async () => {
+		const html = await renderAlert(
+			context,
+			{
+				htmlContent: '<div style="color: {{color}}">x</div>',
+				cssContent: '.alert-amount { color: {{color}}; }'
+			},
+			{ color: 'red;} body { background: url(http://evil.example) } </style><script>alert(1)</script>' }
+		);
+
+		expect(html).not.toContain('url(');
+		expect(html).not.toContain('<script>');
+		expect(html).not.toMatch(/<\/style><script/);
+	});
+
+	it('allows raw output with triple braces but still sanitizes it', async () => {
+		const html = await renderAlert(context, { htmlContent: '<div>{{{badge}}}</div>' }, {
+			badge: '<b class="badge">VIP</b><img src=x onerror=alert(1)><script>alert(2)</script>'
+		});
+
+		expect(html).toContain('<b class="badge">VIP</b>');
+		expect(html).not.toContain('onerror');
+		expect(html).not.toContain('<script>');
+	});
+
+	it('sanitizes script and event handlers in template HTML', async () => {
+		const html = await renderAlert(
+			context,
+			{
+				htmlContent:
+					'<div onclick="steal()">{{displayName}}</div><script>steal()</script><iframe src="https://evil.example"></iframe><svg><a xlink:href="javascript:alert(1)">x</a></svg>'
+			},
+			{ displayName: 'Viewer' }
+		);
+
+		expect(html).toContain('<div>Viewer</div>');
+		expect(html).not.toContain('onclick');
+		expect(html).not.toContain('<script>');
+		expect(html).not.toContain('<iframe');
+		expect(html).not.toMatch(/javascript:/i);
+	});
+
+	it('strips event handlers separated by slashes instead of spaces', async () => {
+		const html = await renderAlert(context, { htmlContent: '<div>{{{badge}}}</div>' }, {
+			badge: '<svg/onload=alert(1)><img/src=x/onerror=alert(2)><svg><g/onclick="alert(3)"/></svg>'
+		});
+
+		expect(html).toContain('<svg>');
+		expect(html).not.toMatch(/onload|onclick/);
+		// Unquoted values run to the next space, so the slash belongs to src
+		expect(html).toContain('<img src="x/onerror=alert(2)">');
+	});
+
+	it('drops comments, unknown elements and animations that rewrite links', async () => {
+		const html = await renderAlert(context, { htmlContent: '<div>{{{badge}}}</div>' }, {
+			badge:
+				'<!-- <img src=x onerror=alert(1)> --><math><mtext><b>VIP</b></mtext></math><svg><a><animate attributeName="href" to="javascript:alert(2)"/>x</a></svg><object data="x"></object>'
+		});
+
+		expect(html).toContain('<div><b>VIP</b><svg><a>x</a></svg></div>');
+		expect(html).not.toMatch(/onerror|javascript|animate|object/i);
+	});
+
+	it('keeps spoken messages inside the overlay speech script', async () => {
+		await context.api.updateSettings({ enableTTS: true });
+		const html = await renderAlert(
+			context,
+			{ htmlContent: '<div>{{displayName}}</div>', ttsEnabled: true, ttsTemplate: '{{message}}' },
+			{ displayName: 'Viewer', message: '</script><script>alert(1)</script>' }
+		);
+
+		expect(html.match(/<script>/g)).toHaveLength(1);
+		expect(html).not.toContain('</script><script>alert(1)');
+		expect(html).toContain('\\u003c/script>\\u003cscript>alert(1)');
+	});
+
+	it('rejects script URLs and escapes quotes in media URLs', async () => {
+		await expect(
+			context.api.createTemplate({ eventType: 'donation', name: 'Media', mediaType: 'image', mediaUrl: 'javascript:alert(1)' })
+		).rejects.toThrow('Media URL');
+
+		const html = await renderAlert(
+			context,
+			{ htmlContent: '<p>Hi</p>', mediaType: 'image', mediaUrl: 'https://example.com/a.png" onerror="alert(1)' },
+			{}
+		);
+
+		expect(html).not.toContain('" onerror="');
+		expect(html).toContain('src="https://example.com/a.png&quot; onerror&#61;&quot;alert(1)"');
+	});
+
+	it('keeps event data inside the template script sandbox', async () => {
+		const html = await renderAlert(
+			context,
+			{ htmlContent: '<p>{{message}}</p>', jsContent: 'alert.onShow(function () {});' },
+			{ message: '"></iframe><script>alert(1)</script>' }
+		);
+
+		expect(html.match(/<iframe/g)).toHaveLength(1);
+		expect(html).toContain('sandbox="allow-scripts"');
+		expect(html).not.toContain('<script>alert(1)');
+	});
+
+	it('rejects layouts that would add CSS to the overlay', async () => {
+		await expect(
+			context.api.createTemplate({
+				eventType: 'donation',
+				name: 'Layout Test',
+				layout: { position: 'center; } body { background: url(https://example.com/x)' }
+			})
+		).rejects.toThrow('Unknown alert position');
+		await expect(
+			context.api.createTemplate({ eventType: 'donation', name: 'Layout Test', layout: { offsetX: '0px; color: red' } })
+		).rejects.toThrow('offsetX');
+		await expect(context.api.updateSettings({ alertSafeArea: { top: '1px; }' } })).rejects.toThrow('Safe area');
+
+		const html = await renderAlert(
+			context,
+			{ htmlContent: '<p>Hi</p>', layout: { position: 'bottom-right', offsetY: -40, scale: 2 } },
+			{}
+		);
+
+		expect(html).toContain('justify-content: flex-end;');
+		expect(html).toContain('top: -40px;');
+		expect(html).toContain('body > * { zoom: 2; }');
+	});
+
+	it('leaves text that only looks like an attribute untouched', async () => {
+		const html = await renderAlert(context, { htmlContent: '<p>one = 1</p>' }, {});
+
+		expect(html).toContain('<p>one = 1</p>');
+	});
+});
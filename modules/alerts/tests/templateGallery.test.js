@@ -0,0 +1,107 @@
+/**
+ * Template Gallery - Testing Suite
+ *
+ * Serves a catalog from a local HTTP server and checks which packs are
+ * downloaded, which are rejected, and that the bundled catalog stands in when
+ * the remote one cannot be reached.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createHash } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const PACK = JSON.stringify({ format: 'gothbot-alerts-bundle', version: 1, templates: [{ name: 'Served', eventType: 'follow' }] });
+
+function pack(id, fields) {
+	return {
+		id,
+		moduleId: 'alerts',
+		name: id,
+		version: '1.0.0',
+		downloadUrl: `${id}.alertpack.json`,
+		sha256: createHash('sha256').update(PACK).digest('hex'),
+		...fields
+	};
+}
+
+const CATALOG = JSON.stringify({
+	templatePacks: [pack('served'), pack('tampered', { sha256: 'f'.repeat(64) }), pack('endless')]
+});
+
+// The gallery reads its catalog URL when it is first imported
+async function loadGallery(catalogUrl) {
+	vi.resetModules();
+	process.env.ALERTS_CATALOG_URL = catalogUrl;
+	return import('../routes/lib/templateGallery.js');
+}
+
+describe('Template gallery', () => {
+	let server;
+	let baseUrl;
+
+	beforeAll(async () => {
+		server = createServer((request, response) => {
+			if (request.url === '/catalog.json') {
+				response.end(CATALOG);
+			} else if (request.url === '/endless.alertpack.json') {
+				// Never ends by itself; only a download that stops reading gets past this
+				const chunk = Buffer.alloc(64 * 1024, 32);
+				const write = () => {
+					if (!response.destroyed && response.write(chunk)) setImmediate(write);
+				};
+				response.on('drain', write);
+				write();
+			} else if (request.url.endsWith('.alertpack.json')) {
+				response.end(PACK);
+			} else {
+				response.statusCode = 404;
+				response.end();
+			}
+		});
+		await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+		baseUrl = `http://127.0.0.1:${server.address().port}`;
+	});
+
+	afterAll(async () => {
+		delete process.env.ALERTS_CATALOG_URL;
+		server.closeAllConnections();
+		await new Promise((resolve) => server.close(resolve));
+	});
+
+	it('downloads a pack that matches its catalog checksum', async () => {
+		const gallery = await loadGallery(`${baseUrl}/catalog.json`);
+		const packs = await gallery.loadTemplatePacks();
+
+		expect(packs.map((p) => p.id)).toEqual(['served', 'tampered', 'endless']);
+		expect(await gallery.downloadTemplatePack(packs[0])).toBe(PACK);
+	});
+
+	it('rejects a pack that does not match its catalog checksum', async () => {
+		const gallery = await loadGallery(`${baseUrl}/catalog.json`);
+		const tampered = (await gallery.loadTemplatePacks()).find((p) => p.id === 'tampered');
+
+		await expect(gallery.downloadTemplatePack(tampered)).rejects.toMatchObject({
+			status: 502,
+			body: { message: 'tampered does not match its catalog checksum' }
+		});
+	});
+
+	it('stops downloading a pack once it is larger than the size limit', async () => {
+		const gallery = await loadGallery(`${baseUrl}/catalog.json`);
+		const endless = (await gallery.loadTemplatePacks()).find((p) => p.id === 'endless');
+
+		await expect(gallery.downloadTemplatePack(endless)).rejects.toMatchObject({
+			status: 502,
+			body: { message: 'Could not download endless: File is larger than 50MB' }
+		});
+	});
+
+	it('falls back to the bundled catalog when the remote one cannot be loaded', async () => {
+		const gallery = await loadGallery(`${baseUrl}/missing/catalog.json`);
+		const packs = await gallery.loadTemplatePacks();
+
+		expect(packs.map((p) => p.id)).toContain('neon-basics');
+		const bundle = JSON.parse(await gallery.downloadTemplatePack(packs.find((p) => p.id === 'neon-basics')));
+		expect(bundle.templates.length).toBeGreaterThan(0);
+	});
+});
@@ -0,0 +1,86 @@
+/**
+ * Template Preview - Testing Suite
+ *
+ * Renders saved and unsaved templates through the module's preview with a
+ * mocked context, and checks that previewing leaves the queue, history and
+ * usage counts alone.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('Template preview', () => {
+	let context;
+	let template;
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+
+		template = await context.api.createTemplate({
+			eventType: 'donation',
+			name: 'Preview Test',
+			duration: 4000,
+			htmlContent: '<p class="saved">{{username}} gave {{amount}} {{currency}}</p>',
+			cssContent: '.saved { color: blue; }'
+		});
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	it('renders a saved template with sample data for its event type', () => {
+		const preview = context.api.previewTemplate({ templateId: template.id });
+
+		expect(preview).toMatchObject({ duration: 4000, eventType: 'donation', data: { username: 'TestDonor', amount: 5 } });
+		expect(preview.html).toContain('<p class="saved">TestDonor gave 5 USD</p>');
+		expect(preview.html).toContain('.saved { color: blue; }');
+	});
+
+	it('lays unsaved changes and data over the saved template and the sample', () => {
+		const preview = context.api.previewTemplate({
+			templateId: template.id,
+			template: { htmlContent: '<p class="draft">{{username}}: {{message}}</p>', duration: 7000 },
+			data: { username: 'ann' }
+		});
+
+		expect(preview.duration).toBe(7000);
+		expect(preview.html).toContain('<p class="draft">ann: Great stream!</p>');
+		expect(preview.html).toContain('.saved { color: blue; }');
+
+		// The saved template is unchanged
+		expect(context.api.getTemplate(template.id).htmlContent).toContain('class="saved"');
+	});
+
+	it('renders a template that was never saved', () => {
+		const preview = context.api.previewTemplate({
+			eventType: 'raid',
+			template: { htmlContent: '<p>{{username}} raids with {{viewers}}</p>' }
+		});
+
+		expect(preview).toMatchObject({ eventType: 'raid', duration: 5000 });
+		expect(preview.html).toContain('<p>TestRaider raids with 50</p>');
+	});
+
+	it('does not queue, record history or count a use', async () => {
+		const keys = Array.from(context.store.keys()).sort();
+		context.api.previewTemplate({ templateId: template.id });
+
+		expect(context.overlay.show).not.toHaveBeenCalled();
+		expect(context.api.getQueue()).toEqual([]);
+		expect((await context.api.queryHistory({})).total).toBe(0);
+		expect(context.api.getTemplate(template.id).usageCount).toBe(0);
+		expect(Array.from(context.store.keys()).sort()).toEqual(keys);
+	});
+
+	it('rejects unknown templates, malformed requests and invalid templates', () => {
+		expect(() => context.api.previewTemplate({ templateId: 'template_missing' })).toThrow(
+			'Template not found: template_missing'
+		);
+		expect(() => context.api.previewTemplate({ template: 'nope' })).toThrow('Preview template must be an object');
+		expect(() => context.api.previewTemplate({ template: {}, data: [] })).toThrow('Preview data must be an object');
+		expect(() => context.api.previewTemplate({ template: { htmlContent: '{{#if amount}}open' } })).toThrow();
+	});
+});
@@ -0,0 +1,64 @@
+/**
+ * Template Selection - Testing Suite
+ *
+ * Creates competing templates for one event type through the module API and
+ * checks which one each event is queued with.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('Template selection', () => {
+	let context;
+
+	async function tier(name, conditions) {
+		return context.api.createTemplate({ eventType: 'donation', name, htmlContent: `<p>${name}</p>`, ...conditions });
+	}
+
+	async function selected(data) {
+		const result = await context.api.showAlert({ type: 'donation', data });
+		expect(result.success).toBe(true);
+		const queued = JSON.parse(context.store.get(`queue:${result.alertId}`));
+		return { templateId: queued.templateId, selection: queued.selection };
+	}
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+		context.api.pauseQueue();
+		for (const template of context.api.getTemplates({ eventType: 'donation' })) {
+			await context.api.deleteTemplate(template.id);
+		}
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	it('shows the highest amount tier a donation reaches', async () => {
+		await tier('$5+', { minAmount: 5 });
+		const fifty = await tier('$50+', { minAmount: 50 });
+		await tier('$500+', { minAmount: 500 });
+
+		for (let i = 0; i < 10; i++) {
+			const { templateId, selection } = await selected({ username: 'donor', amount: 100 });
+			expect(templateId).toBe(fifty.id);
+			expect(selection.reason).toContain('closest range');
+		}
+	});
+
+	it('prefers the narrower range when the minimums are equal', async () => {
+		await tier('$5 to $1000', { minAmount: 5, maxAmount: 1000 });
+		const narrow = await tier('$5 to $200', { minAmount: 5, maxAmount: 200 });
+
+		expect((await selected({ username: 'donor', amount: 100 })).templateId).toBe(narrow.id);
+	});
+
+	it('still prefers more conditions over a closer range', async () => {
+		await tier('$50+', { minAmount: 50 });
+		const vip = await tier('VIP $5+', { minAmount: 5, vipOnly: true });
+
+		expect((await selected({ username: 'donor', amount: 100, isVip: true })).templateId).toBe(vip.id);
+	});
+});
@@ -0,0 +1,100 @@
+/**
+ * Template Versions - Testing Suite
+ *
+ * Edits templates through the module API with a mocked context and checks the
+ * kept versions, the diffs between them and rolling back.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('Template versions', () => {
+	let context;
+	let template;
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+
+		template = await context.api.createTemplate({
+			eventType: 'follow',
+			name: 'Versioned',
+			duration: 5000,
+			htmlContent: '<div>\n<h1>New follower</h1>\n<p>{{username}}</p>\n</div>'
+		});
+		await context.api.updateTemplate(
+			template.id,
+			{ htmlContent: '<div>\n<h1>Welcome!</h1>\n<p>{{username}}</p>\n</div>', cssContent: 'h1 { color: red; }' },
+			{ author: 'alice' }
+		);
+		await context.api.updateTemplate(template.id, { duration: 8000 }, { author: 'bob' });
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	it('keeps a version per update, newest first, with its author and changed fields', async () => {
+		const versions = await context.api.getTemplateVersions(template.id);
+
+		expect(versions.map((version) => version.version)).toEqual([3, 2, 1]);
+		expect(versions[0]).toMatchObject({ author: 'bob', changes: ['duration'], current: true });
+		expect(versions[1]).toMatchObject({ author: 'alice', current: false });
+		expect(versions[1].changes).toEqual(expect.arrayContaining(['htmlContent', 'cssContent']));
+		expect(versions[2].current).toBe(false);
+	});
+
+	it('does not add a version for an update that changes nothing', async () => {
+		await context.api.updateTemplate(template.id, { duration: 8000 });
+		expect(context.api.getTemplate(template.id).version).toBe(3);
+		expect(await context.api.getTemplateVersions(template.id)).toHaveLength(3);
+	});
+
+	it('diffs the code line by line and lists changed settings', async () => {
+		const diff = await context.api.diffTemplateVersions(template.id, 1);
+
+		expect(diff).toMatchObject({ templateId: template.id, from: 1, to: 3 });
+		expect(diff.html.changed).toBe(true);
+		expect(diff.html.lines).toEqual([
+			{ op: ' ', text: '<div>' },
+			{ op: '-', text: '<h1>New follower</h1>' },
+			{ op: '+', text: '<h1>Welcome!</h1>' },
+			{ op: ' ', text: '<p>{{username}}</p>' },
+			{ op: ' ', text: '</div>' }
+		]);
+		expect(diff.css.lines).toEqual([{ op: '+', text: 'h1 { color: red; }' }]);
+		expect(diff.js.changed).toBe(false);
+		expect(diff.settings).toEqual([{ field: 'duration', from: 5000, to: 8000 }]);
+
+		const between = await context.api.diffTemplateVersions(template.id, 2, 3);
+		expect(between.html.changed).toBe(false);
+	});
+
+	it('rolls back by saving the old content as a new version', async () => {
+		const restored = await context.api.rollbackTemplate(template.id, 1, { author: 'carol' });
+
+		expect(restored).toMatchObject({ version: 4, duration: 5000, htmlContent: expect.stringContaining('New follower') });
+		expect(context.api.getTemplate(template.id).htmlContent).toContain('New follower');
+
+		const [latest] = await context.api.getTemplateVersions(template.id);
+		expect(latest).toMatchObject({ version: 4, author: 'carol', rolledBackFrom: 1, current: true });
+
+		// The undone versions are still there to go back to
+		expect((await context.api.getTemplateVersion(template.id, 3)).duration).toBe(8000);
+	});
+
+	it('rejects rolling back to an unknown version or to the current content', async () => {
+		await expect(context.api.rollbackTemplate(template.id, 9)).rejects.toThrow('Template version not found: 9');
+		await expect(context.api.rollbackTemplate(template.id, 3)).rejects.toThrow('Template already matches version 3');
+		await expect(context.api.diffTemplateVersions(template.id, 9)).rejects.toThrow('Template version not found');
+	});
+
+	it('keeps versions across restarts', async () => {
+		await alertsModule.shutdown(context);
+		await alertsModule.initialize(context);
+
+		expect((await context.api.getTemplateVersions(template.id)).map((version) => version.version)).toEqual([3, 2, 1]);
+		expect((await context.api.getTemplateVersion(template.id, 1)).htmlContent).toContain('New follower');
+	});
+});
@@ -0,0 +1,104 @@
+/**
+ * Text-to-Speech - Testing Suite
+ *
+ * Shows TTS templates through the module with a mocked context and a fake
+ * audio engine, and checks the settings, the cache and how speech is played.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+function fakeEngine() {
+	return {
+		id: 'local',
+		name: 'Fake local',
+		synthesize: vi.fn(async ({ text }) => ({
+			audio: `/modules/alerts/media/tts/${text.length}.wav`,
+			mimeType: 'audio/wav',
+			durationMs: 1200
+		})),
+		discard: vi.fn(async () => {})
+	};
+}
+
+describe('Text-to-speech', () => {
+	let context;
+	let template;
+
+	async function speak(data) {
+		context.overlay.show.mockClear();
+		await context.api.showAlert({ type: 'donation', templateId: template.id, data });
+		await vi.advanceTimersByTimeAsync(1500);
+		return context.overlay.show.mock.calls[0][0];
+	}
+
+	beforeEach(async () => {
+		vi.useFakeTimers();
+		context = createMockContext();
+		context.audio = { play: vi.fn(async () => {}) };
+		context.getConfig.mockResolvedValue({ enableTTS: true, ttsVoice: 'en-GB' });
+		await alertsModule.initialize(context);
+		await context.api.updateSettings({ minDelay: 0 });
+		template = await context.api.createTemplate({
+			eventType: 'donation',
+			name: 'TTS Test',
+			duration: 1000,
+			ttsEnabled: true,
+			ttsTemplate: '{{displayName}} says {{message}}'
+		});
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+		vi.useRealTimers();
+	});
+
+	it('plays engine audio through context.audio in the configured default voice', async () => {
+		const engine = fakeEngine();
+		context.api.registerTtsEngine(engine);
+
+		const shown = await speak({ displayName: 'Ada', message: 'hello' });
+
+		expect(engine.synthesize).toHaveBeenCalledWith(expect.objectContaining({ text: 'Ada says hello', voice: 'en-GB' }));
+		expect(context.audio.play).toHaveBeenCalledWith({ file: '/modules/alerts/media/tts/14.wav', volume: 1 });
+		expect(shown.data.html).not.toContain('speechSynthesis');
+		// Kept on screen for the delay, the speech and a short pause
+		expect(shown.duration).toBe(1000 + 1200 + 500);
+	});
+
+	it('synthesizes the same text once and discards files the cache drops', async () => {
+		const engine = fakeEngine();
+		context.api.registerTtsEngine(engine);
+		await context.api.updateSettings({ ttsCacheSize: 1 });
+
+		await speak({ displayName: 'Ada', message: 'hello' });
+		await vi.advanceTimersByTimeAsync(3500);
+		await speak({ displayName: 'Ada', message: 'hello' });
+		expect(engine.synthesize).toHaveBeenCalledTimes(1);
+
+		await vi.advanceTimersByTimeAsync(3500);
+		await speak({ displayName: 'Bob', message: 'hi there' });
+		expect(engine.synthesize).toHaveBeenCalledTimes(2);
+		expect(engine.discard).toHaveBeenCalledWith(expect.objectContaining({ audio: '/modules/alerts/media/tts/14.wav' }));
+	});
+
+	it('falls back to the overlay voices when no audio engine is registered', async () => {
+		const shown = await speak({ displayName: 'Ada', message: 'hello' });
+
+		expect(shown.data.html).toContain('speechSynthesis');
+		expect(shown.data.html).toContain('"en-GB"');
+		expect(context.audio.play).not.toHaveBeenCalled();
+	});
+
+	it('stays silent while enableTTS is off', async () => {
+		const engine = fakeEngine();
+		context.api.registerTtsEngine(engine);
+		await context.api.updateSettings({ enableTTS: false });
+
+		const shown = await speak({ displayName: 'Ada', message: 'hello' });
+
+		expect(engine.synthesize).not.toHaveBeenCalled();
+		expect(shown.data.html).not.toContain('speechSynthesis');
+	});
+});
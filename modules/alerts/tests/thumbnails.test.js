@@ -0,0 +1,111 @@
+/**
+ * Template Thumbnails - Testing Suite
+ *
+ * Renders thumbnails with a stand-in for headless Chrome into a temporary
+ * media directory and checks how they are cached, removed and exported, and
+ * how a local Chrome is looked for.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { chmod, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+// Writes a fake PNG wherever --screenshot= points
+const FAKE_CHROME = `#!/bin/sh
+for arg; do
+  case "$arg" in --screenshot=*) printf 'PNG' > "\${arg#--screenshot=}" ;; esac
+done
+`;
+
+describe('Template thumbnails', () => {
+	let workDir;
+	let context;
+	let thumbnails;
+	let templateBundle;
+
+	beforeAll(async () => {
+		workDir = await mkdtemp(join(tmpdir(), 'alerts-thumbnails-test-'));
+		const chrome = join(workDir, 'chrome');
+		await writeFile(chrome, FAKE_CHROME);
+		await chmod(chrome, 0o755);
+
+		vi.resetModules();
+		process.env.ALERTS_MEDIA_DIR = join(workDir, 'media');
+		process.env.ALERTS_CHROME_PATH = chrome;
+		thumbnails = await import('../routes/lib/thumbnails.js');
+		templateBundle = await import('../routes/lib/templateBundle.js');
+
+		context = createMockContext();
+		await alertsModule.initialize(context);
+		for (const id of ['a.b', 'a_b', 'never-rendered']) {
+			await context.api.createTemplate({ id, name: id, eventType: 'follow', htmlContent: `<p>${id}</p>` });
+		}
+	});
+
+	afterAll(async () => {
+		await alertsModule.shutdown(context);
+		delete process.env.ALERTS_MEDIA_DIR;
+		delete process.env.ALERTS_CHROME_PATH;
+		await rm(workDir, { recursive: true, force: true });
+	});
+
+	it('keeps the thumbnails of template IDs that differ only in punctuation apart', async () => {
+		await thumbnails.getThumbnail(context.api, 'a.b', 'png', 'http://localhost');
+		await thumbnails.getThumbnail(context.api, 'a_b', 'png', 'http://localhost');
+
+		await thumbnails.removeThumbnails('a_b');
+
+		expect(await thumbnails.getCachedThumbnail(context.api, 'a.b')).toEqual(Buffer.from('PNG'));
+		expect(await thumbnails.getCachedThumbnail(context.api, 'a_b')).toBeNull();
+	});
+
+	it('exports only thumbnails that are already cached', async () => {
+		const bundle = await templateBundle.buildBundle(context.api, ['a.b', 'never-rendered']);
+
+		expect(bundle.thumbnails).toEqual({ 'a.b': Buffer.from('PNG').toString('base64') });
+		expect(await thumbnails.getCachedThumbnail(context.api, 'never-rendered')).toBeNull();
+	});
+});
+
+describe('Finding Chrome', () => {
+	let workDir;
+	const path = process.env.PATH;
+
+	beforeAll(async () => {
+		workDir = await mkdtemp(join(tmpdir(), 'alerts-chrome-test-'));
+		vi.useFakeTimers({ toFake: ['Date'] });
+		process.env.ALERTS_CHROME_PATH = join(workDir, 'chrome');
+		// Nothing on the PATH or in Puppeteer's cache
+		process.env.PATH = join(workDir, 'bin');
+		vi.doMock('node:os', async (importOriginal) => ({ ...(await importOriginal()), homedir: () => workDir }));
+	});
+
+	afterAll(async () => {
+		vi.doUnmock('node:os');
+		vi.useRealTimers();
+		process.env.PATH = path;
+		delete process.env.ALERTS_CHROME_PATH;
+		await rm(workDir, { recursive: true, force: true });
+	});
+
+	it('looks again for a browser installed after a search found none', async () => {
+		vi.resetModules();
+		const { findChrome } = await import('../routes/lib/thumbnails.js');
+		expect(await findChrome()).toBeNull();
+
+		await writeFile(process.env.ALERTS_CHROME_PATH, FAKE_CHROME);
+		await chmod(process.env.ALERTS_CHROME_PATH, 0o755);
+		// A missing browser is not searched for again on every request
+		expect(await findChrome()).toBeNull();
+
+		vi.setSystemTime(Date.now() + 61000);
+		expect(await findChrome()).toBe(process.env.ALERTS_CHROME_PATH);
+
+		// Once found it is kept
+		await rm(process.env.ALERTS_CHROME_PATH);
+		expect(await findChrome()).toBe(join(workDir, 'chrome'));
+	});
+});
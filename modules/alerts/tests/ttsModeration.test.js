@@ -0,0 +1,164 @@
+/**
+ * TTS Moderation - Testing Suite
+ *
+ * Previews and shows TTS templates through the module with a mocked context
+ * and checks the blocklist, regex rules, mute list, length cap and link
+ * removal applied to what is spoken.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+describe('TTS moderation', () => {
+	let context;
+
+	function speak(message, data = {}) {
+		return context.api.previewSpeech({
+			ttsTemplate: '{{username}} says {{message}}',
+			data: { username: 'ann', message, ...data }
+		});
+	}
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	describe('blocklist', () => {
+		it('replaces blocked words, whole words only and in any case', async () => {
+			await context.api.updateSettings({ ttsBlockedWords: ['darn', 'heck'], ttsReplacement: 'beep' });
+
+			const speech = await speak('DARN it, what the heck, darned thing');
+			expect(speech.text).toBe('ann says beep it, what the beep, darned thing');
+			expect(speech.applied).toContain('blocklist');
+		});
+
+		it('applies to the rendered text, so names are filtered too', async () => {
+			await context.api.updateSettings({ ttsBlockedWords: ['darn'] });
+			expect((await speak('hello', { username: 'darn' })).text).toBe('bleep says hello');
+		});
+
+		it('treats blocked words as text, not patterns', async () => {
+			await context.api.updateSettings({ ttsBlockedWords: ['a.c'] });
+			expect((await speak('abc a.c')).text).toBe('ann says abc bleep');
+		});
+	});
+
+	describe('regex rules', () => {
+		it('applies rules in order, case-insensitive unless flags are given', async () => {
+			await context.api.updateSettings({
+				ttsRegexRules: [
+					{ pattern: '\\bgg\\b', replacement: 'good game' },
+					{ pattern: 'good game wp', flags: '', replacement: 'well played' }
+				]
+			});
+
+			const speech = await speak('gg wp');
+			expect(speech.text).toBe('ann says well played');
+			expect(speech.applied).toContain('rules');
+			expect((await speak('GG WP')).text).toBe('ann says good game WP');
+		});
+
+		it('rejects a rule that does not compile and keeps the previous rules', async () => {
+			await context.api.updateSettings({ ttsRegexRules: [{ pattern: 'foo', replacement: 'bar' }] });
+			await expect(context.api.updateSettings({ ttsRegexRules: [{ pattern: '(unclosed' }] })).rejects.toThrow(
+				'Invalid TTS rule "(unclosed"'
+			);
+
+			expect((await speak('foo')).text).toBe('ann says bar');
+		});
+	});
+
+	describe('mute list', () => {
+		it('says nothing for a muted user, on any platform or on the one muted', async () => {
+			await context.api.muteTtsUser('Troll', null, 'spam');
+			await context.api.muteTtsUser('pest', 'youtube');
+
+			expect(await speak('hi', { username: 'troll', platform: 'twitch' })).toMatchObject({
+				text: '',
+				muted: true,
+				applied: ['muted']
+			});
+			expect((await speak('hi', { username: 'pest', platform: 'youtube' })).muted).toBe(true);
+			expect((await speak('hi', { username: 'pest', platform: 'twitch' })).muted).toBe(false);
+		});
+
+		it('keeps mutes across restarts until the user is unmuted', async () => {
+			const entry = await context.api.muteTtsUser('troll', 'twitch');
+			await alertsModule.shutdown(context);
+			await alertsModule.initialize(context);
+
+			expect(context.api.getTtsMutedUsers()).toEqual([entry]);
+			expect(await context.api.unmuteTtsUser(entry.id)).toBe(true);
+			expect((await speak('hi', { username: 'troll', platform: 'twitch' })).text).toBe('troll says hi');
+			expect(context.store.has(`ttsmute:${entry.id}`)).toBe(false);
+		});
+
+		it('does not synthesize speech for a muted user', async () => {
+			vi.useFakeTimers();
+			try {
+				const engine = {
+					id: 'local',
+					name: 'Fake',
+					synthesize: vi.fn(async () => ({ audio: '/modules/alerts/media/tts/a.wav', durationMs: 500 }))
+				};
+				context.api.registerTtsEngine(engine);
+				await context.api.updateSettings({ enableTTS: true });
+				const template = await context.api.createTemplate({
+					eventType: 'donation',
+					name: 'TTS',
+					duration: 1000,
+					ttsEnabled: true,
+					ttsTemplate: '{{message}}'
+				});
+				await context.api.muteTtsUser('troll');
+
+				await context.api.showAlert({ type: 'donation', templateId: template.id, data: { username: 'troll', message: 'hi' } });
+				await vi.advanceTimersByTimeAsync(100);
+
+				expect(context.overlay.show).toHaveBeenCalled();
+				expect(engine.synthesize).not.toHaveBeenCalled();
+			} finally {
+				vi.useRealTimers();
+			}
+		});
+	});
+
+	describe('message cleanup', () => {
+		it('removes links with and without a scheme', async () => {
+			const speech = await speak('visit https://evil.example/x or www.spam.net and scam.gg/free now');
+			expect(speech.text).toBe('ann says visit or and now');
+			expect(speech.applied).toContain('urls');
+		});
+
+		it('keeps links when link removal is off', async () => {
+			await context.api.updateSettings({ ttsStripUrls: false });
+			expect((await speak('see example.com')).text).toBe('ann says see example.com');
+		});
+
+		it('cuts long messages at a word boundary near the limit', async () => {
+			await context.api.updateSettings({ ttsMaxLength: 30 });
+
+			const speech = await speak('one two three four five six seven eight nine ten');
+			expect(speech.text).toBe('ann says one two three four five six');
+			expect(speech.applied).toContain('length');
+		});
+
+		it('collapses repeated words and stretched letters', async () => {
+			const speech = await speak('Kappa Kappa Kappa noooooooo!!!!!!');
+			expect(speech.text).toBe('ann says Kappa nooo!!!');
+			expect(speech.applied).toContain('spam');
+		});
+
+		it('removes the emotes sent with the event', async () => {
+			expect((await speak('PogChamp that was great LUL', { emotes: ['PogChamp', { name: 'LUL' }] })).text).toBe(
+				'ann says that was great'
+			);
+		});
+	});
+});
@@ -0,0 +1,70 @@
+/**
+ * First-Time Viewer Tracking - Testing Suite
+ *
+ * Feeds chat messages and alerts through the module with a mocked context and
+ * checks which sightings are recorded and when they reach storage.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alertsModule from '../index.js';
+import { createMockContext } from './mockContext.js';
+
+function viewerWrites(context) {
+	return context.storage.set.mock.calls.filter(([key]) => key.startsWith('viewer:'));
+}
+
+describe('First-time viewer tracking', () => {
+	let context;
+	let onChatMessage;
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+		onChatMessage = context.on.mock.calls.find(([event]) => event === 'chat_message')[1];
+	});
+
+	afterEach(async () => {
+		if (context.api) {
+			await alertsModule.shutdown(context);
+		}
+	});
+
+	it('batches chat sightings into one write per viewer', async () => {
+		for (let i = 0; i < 20; i++) {
+			await onChatMessage({ platform: 'twitch', user: { username: 'Chatty' } });
+		}
+		expect(viewerWrites(context)).toHaveLength(0);
+
+		await alertsModule.shutdown(context);
+		context.api = null;
+
+		const writes = viewerWrites(context);
+		expect(writes).toHaveLength(1);
+		expect(writes[0][0]).toBe('viewer:twitch:chatty');
+		expect(JSON.parse(writes[0][1]).seenCount).toBe(20);
+	});
+
+	it('does not record the sample viewers of test alerts', async () => {
+		await context.api.testAlert('follow');
+		await alertsModule.shutdown(context);
+		context.api = null;
+
+		expect(viewerWrites(context)).toHaveLength(0);
+	});
+
+	it('counts viewers not seen for months as first-time again', async () => {
+		const longAgo = new Date(Date.now() - 200 * 86400000).toISOString();
+		context.store.set(
+			'viewer:twitch:returning',
+			JSON.stringify({ username: 'returning', platform: 'twitch', firstSeenAt: longAgo, lastSeenAt: longAgo, seenCount: 4 })
+		);
+
+		await onChatMessage({ platform: 'twitch', user: { username: 'returning' } });
+		await alertsModule.shutdown(context);
+		context.api = null;
+
+		const viewer = JSON.parse(context.store.get('viewer:twitch:returning'));
+		expect(viewer.seenCount).toBe(1);
+		expect(viewer.firstSeenAt).not.toBe(longAgo);
+	});
+});
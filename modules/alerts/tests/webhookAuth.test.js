@@ -0,0 +1,150 @@
+/**
+ * Webhook Authentication - Testing Suite
+ *
+ * Authenticates webhook requests against integrations created through the
+ * module API, with API keys and with HMAC signatures, and checks the
+ * per-integration checks the module applies before showing an alert.
+ */
+
+import { createHmac } from 'node:crypto';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import alertsModule from '../index.js';
+import { authenticateWebhook, generateCredentials, hashApiKey } from '../routes/lib/webhookAuth.js';
+import { createMockContext } from './mockContext.js';
+
+function webhookRequest(headers) {
+	return new Request('http://localhost/api/alerts/webhook', { method: 'POST', headers });
+}
+
+function sign(secret, timestamp, body) {
+	return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function authStatus(request, body, alerts) {
+	try {
+		await authenticateWebhook(request, body, alerts);
+	} catch (err) {
+		return err.status;
+	}
+	return 200;
+}
+
+describe('Webhook authentication', () => {
+	let context;
+	let credentials;
+	let integration;
+
+	beforeEach(async () => {
+		context = createMockContext();
+		await alertsModule.initialize(context);
+
+		credentials = generateCredentials();
+		const { apiKey, ...stored } = credentials;
+		integration = await context.api.createWebhookIntegration({ name: 'Tips', ...stored });
+	});
+
+	afterEach(async () => {
+		await alertsModule.shutdown(context);
+	});
+
+	it('stores only the hash of the API key', async () => {
+		expect(integration.keyHash).toBeUndefined();
+		expect(integration.secret).toBeUndefined();
+		expect(JSON.stringify([...context.store.values()])).not.toContain(credentials.apiKey);
+		expect(context.api.findWebhookIntegrationByKey(hashApiKey(credentials.apiKey)).id).toBe(integration.id);
+	});
+
+	it('never hands the signing secret or key hash to other modules', async () => {
+		for (const found of [
+			context.api.getWebhookIntegration(integration.id),
+			context.api.findWebhookIntegrationByKey(hashApiKey(credentials.apiKey)),
+			...context.api.getWebhookIntegrations()
+		]) {
+			expect(found.id).toBe(integration.id);
+			expect(found.secret).toBeUndefined();
+			expect(found.keyHash).toBeUndefined();
+		}
+	});
+
+	it('accepts a valid API key and rejects unknown or missing credentials', async () => {
+		const body = '{"type":"donation"}';
+
+		const authenticated = await authenticateWebhook(webhookRequest({ 'x-api-key': credentials.apiKey }), body, context.api);
+		expect(authenticated.id).toBe(integration.id);
+		expect(await authStatus(webhookRequest({ 'x-api-key': 'gba_wrong' }), body, context.api)).toBe(401);
+		expect(await authStatus(webhookRequest({}), body, context.api)).toBe(401);
+	});
+
+	it('accepts a valid signature and rejects tampered, stale or foreign ones', async () => {
+		const body = '{"type":"donation"}';
+		const now = String(Date.now());
+		const headers = (timestamp, signature, id = integration.id) => ({
+			'x-webhook-id': id,
+			'x-webhook-timestamp': timestamp,
+			'x-webhook-signature': signature
+		});
+
+		const valid = webhookRequest(headers(now, sign(credentials.secret, now, body)));
+		expect((await authenticateWebhook(valid, body, context.api)).id).toBe(integration.id);
+
+		const tampered = webhookRequest(headers(now, sign(credentials.secret, now, body)));
+		expect(await authStatus(tampered, '{"type":"raid"}', context.api)).toBe(401);
+
+		const old = String(Date.now() - 10 * 60 * 1000);
+		expect(await authStatus(webhookRequest(headers(old, sign(credentials.secret, old, body))), body, context.api)).toBe(401);
+
+		const foreign = webhookRequest(headers(now, sign(generateCredentials().secret, now, body)));
+		expect(await authStatus(foreign, body, context.api)).toBe(401);
+
+		const unknown = webhookRequest(headers(now, sign(credentials.secret, now, body), 'webhook_missing'));
+		expect(await authStatus(unknown, body, context.api)).toBe(401);
+	});
+
+	it('refuses disabled integrations and alert types they are not allowed to send', async () => {
+		await context.api.updateWebhookIntegration(integration.id, { allowedTypes: ['donation'] });
+
+		const refused = await context.api.triggerWebhook(integration.id, { type: 'raid', data: {} });
+		expect(refused).toMatchObject({ success: false, status: 403 });
+
+		const accepted = await context.api.triggerWebhook(integration.id, { type: 'donation', data: { amount: 5 } });
+		expect(accepted.success).toBe(true);
+
+		await context.api.updateWebhookIntegration(integration.id, { enabled: false });
+		const disabled = await context.api.triggerWebhook(integration.id, { type: 'donation', data: {} });
+		expect(disabled).toMatchObject({ success: false, status: 401 });
+	});
+
+	it('keeps the credentials working after a webhook call and a restart', async () => {
+		const accepted = await context.api.triggerWebhook(integration.id, { type: 'follow', data: {} });
+		expect(accepted.success).toBe(true);
+		expect(context.api.getWebhookIntegration(integration.id).usageCount).toBe(1);
+
+		await alertsModule.shutdown(context);
+		await alertsModule.initialize(context);
+
+		expect(context.api.getWebhookIntegration(integration.id)).toMatchObject({ usageCount: 1, lastUsedAt: expect.any(String) });
+
+		const body = '{"type":"donation"}';
+		const byKey = await authenticateWebhook(webhookRequest({ 'x-api-key': credentials.apiKey }), body, context.api);
+		expect(byKey.id).toBe(integration.id);
+
+		const now = String(Date.now());
+		const signed = webhookRequest({
+			'x-webhook-id': integration.id,
+			'x-webhook-timestamp': now,
+			'x-webhook-signature': sign(credentials.secret, now, body)
+		});
+		expect((await authenticateWebhook(signed, body, context.api)).id).toBe(integration.id);
+	});
+
+	it('rate limits each integration', async () => {
+		await context.api.updateWebhookIntegration(integration.id, { rateLimit: { maxRequests: 2, windowMs: 60000 } });
+
+		await context.api.triggerWebhook(integration.id, { type: 'follow', data: {} });
+		await context.api.triggerWebhook(integration.id, { type: 'follow', data: {} });
+		const limited = await context.api.triggerWebhook(integration.id, { type: 'follow', data: {} });
+
+		expect(limited).toMatchObject({ success: false, status: 429 });
+		expect(limited.retryAfter).toBeGreaterThan(0);
+	});
+});